@@ -1,5 +1,5 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { MapContainer, TileLayer, Marker, Polyline, GeoJSON, CircleMarker, Circle, useMapEvents } from "react-leaflet";
+import { MapContainer, TileLayer, Marker, Polyline, Polygon, Rectangle, GeoJSON, CircleMarker, Circle, useMapEvents } from "react-leaflet";
 import L from "leaflet";
 import {
   Box,
@@ -17,10 +17,12 @@ import {
   FormControlLabel,
   Checkbox,
   Slider,
-  LinearProgress
+  LinearProgress,
+  Autocomplete,
+  ListSubheader
 } from "@mui/material";
 import { createTheme, ThemeProvider } from "@mui/material/styles";
-import { getMeta, getSnapshot, getCallsigns, getTrack, getAirspace, getTracon, getAirspaces, getAirports, getAtcSnapshot, getEvents, getPreloadSnapshots } from "./api";
+import { getMeta, getInterpolatedSnapshot, getCallsigns, getTrack, getAirspace, getTracon, getAirspaces, getAirports, getAirport, getAtcSnapshot, getEvents, getPins, createPin, deletePin, getPreloadSnapshots, getAlerts, getCoverage, searchCallsigns, checkFilterExpression } from "./api";
 import { fmt, clamp, toDateTimeLocalValue, fromDateTimeLocalValue } from "./time";
 
 const panelTheme = createTheme({
@@ -178,6 +180,52 @@ function distanceLabelIcon(text) {
   });
 }
 
+const EMERGENCY_SQUAWK_LABELS = {
+  "7500": "Hijack",
+  "7600": "Radio failure",
+  "7700": "Emergency"
+};
+
+function formatAlertLabel(alert) {
+  const label = EMERGENCY_SQUAWK_LABELS[alert.code] || `Squawk ${alert.code}`;
+  return `${alert.code} ${label} • ${alert.callsign}`;
+}
+
+// UTC start of an event or pin for the "Replay event" selector
+function formatWindowStart(ts) {
+  return Number.isFinite(ts) ? new Date(ts * 1000).toISOString().slice(0, 16).replace("T", " ") : "n/a";
+}
+
+function formatGapLabel(gap) {
+  const minutes = Math.max(1, Math.round(gap.durationSeconds / 60));
+  const reason = gap.lastError
+    ? gap.lastError
+    : (gap.runs > 0 ? Object.entries(gap.outcomes).map(([k, v]) => `${k} ×${v}`).join(", ") : "collector not running");
+  return `${fmt(gap.start)} – ${fmt(gap.end)} (${minutes} min): ${reason}`;
+}
+
+// Douglas-Peucker keeps turns and level-offs that averaging 15 s buckets would cut off
+const TRACK_SIMPLIFICATION = { toleranceNm: 0.25, altitudeTolerance: 300, maxPoints: 2000 };
+
+// Keeps the server's recency ranking inside each airline group, groups ordered by their most
+// recent callsign (Autocomplete needs options of one group next to each other).
+function groupSearchResultsByAirline(rows) {
+  const groupOrder = new Map();
+  rows.forEach((row, i) => {
+    const group = row.airline || "Other";
+    if (!groupOrder.has(group)) groupOrder.set(group, i);
+  });
+  return rows
+    .map((row, i) => ({ row, i, group: groupOrder.get(row.airline || "Other") }))
+    .sort((a, b) => a.group - b.group || a.i - b.i)
+    .map((x) => x.row);
+}
+
+function parseAirportCodes(text) {
+  if (typeof text !== "string") return [];
+  return text.split(/[\s,;]+/).map((x) => x.trim().toUpperCase()).filter(Boolean);
+}
+
 function parseAltitudeInput(value) {
   if (typeof value !== "string" || value.trim().length === 0) return null;
   const parsed = parseInt(value, 10);
@@ -202,6 +250,68 @@ function MapClickHandler({ onClick }) {
   return null;
 }
 
+const METERS_PER_NM = 1852;
+const DEFAULT_AREA_RADIUS_NM = 40;
+const areaPathOptions = { color: "#ffd54f", weight: 2, fillColor: "#ffd54f", fillOpacity: 0.05 };
+
+// Collects clicks for the area filter being drawn: two corners for a box, centre then edge for
+// a circle, and vertices for a polygon (finished by double click or the Finish button).
+function AreaDrawHandler({ drawMode, points, onPoints, onHover, onDone }) {
+  const map = useMapEvents({
+    click: (e) => {
+      const p = [e.latlng.lat, e.latlng.lng];
+      if (drawMode === "polygon" || points.length === 0) {
+        onPoints([...points, p]);
+        return;
+      }
+      if (drawMode === "bbox") {
+        const [a] = points;
+        const west = Math.min(a[1], p[1]);
+        const east = Math.max(a[1], p[1]);
+        onDone(east - west >= 360
+          ? { kind: "bbox", south: Math.min(a[0], p[0]), west: -180, north: Math.max(a[0], p[0]), east: 180 }
+          : { kind: "bbox", south: Math.min(a[0], p[0]), west, north: Math.max(a[0], p[0]), east });
+      } else if (drawMode === "radius") {
+        onDone({ kind: "radius", center: points[0], radiusNm: map.distance(points[0], p) / METERS_PER_NM });
+      }
+    },
+    dblclick: () => {
+      if (drawMode !== "polygon") return;
+      // The double click's own clicks land on the same spot; keep one vertex for it
+      const vertices = points.filter((p, i) => i === 0 || map.distance(points[i - 1], p) > 1);
+      if (vertices.length >= 3) onDone({ kind: "polygon", points: vertices });
+    },
+    mousemove: (e) => onHover([e.latlng.lat, e.latlng.lng])
+  });
+  useEffect(() => {
+    map.doubleClickZoom.disable();
+    map.getContainer().style.cursor = "crosshair";
+    return () => {
+      map.doubleClickZoom.enable();
+      map.getContainer().style.cursor = "";
+    };
+  }, [map]);
+  return null;
+}
+
+function describeAreaFilter(area) {
+  if (!area) return "None";
+  if (area.kind === "bbox") return "Box";
+  if (area.kind === "radius") return `${Math.round(area.radiusNm)} NM of ${area.near || "point"}`;
+  return `Polygon (${area.points.length} pts)`;
+}
+
+function MapBoundsTracker({ onChange }) {
+  const map = useMapEvents({
+    moveend: () => onChange(map.getBounds()),
+    zoomend: () => onChange(map.getBounds())
+  });
+  useEffect(() => {
+    onChange(map.getBounds());
+  }, [map]);
+  return null;
+}
+
 // Mapping of VATSIM sector codes to GeoJSON boundary IDs
 const sectorToGeojsonMap = {
   "BOS": "KZBW",
@@ -240,30 +350,84 @@ function mapVatsimToGeojson(vatsimCode) {
 
 const featureBBoxCache = new WeakMap();
 
+// Longitude helpers. Leaflet bounds keep running past +/-180 when the map is panned across the
+// antimeridian, so every longitude comparison is done modulo 360.
+function wrapLonNear(lon, refLon) {
+  return lon + 360 * Math.round((refLon - lon) / 360);
+}
+
+// Returns lon shifted into [west, east] (the copy that is on screen), or null when outside.
+function lonWithinBounds(lon, west, east) {
+  if (!Number.isFinite(lon)) return null;
+  const shifted = wrapLonNear(lon, (west + east) / 2);
+  if (east - west >= 360) return shifted;
+  return shifted >= west && shifted <= east ? shifted : null;
+}
+
+function positionInBounds(lat, lon, bounds) {
+  if (!bounds) return lon;
+  if (!Number.isFinite(lat) || lat < bounds.south || lat > bounds.north) return null;
+  return lonWithinBounds(lon, bounds.west, bounds.east);
+}
+
+// Makes a [lat, lon] path continuous across the antimeridian instead of jumping across the map.
+function unwrapPath(points) {
+  const out = [];
+  for (const [lat, lon] of points) {
+    const prev = out.length > 0 ? out[out.length - 1][1] : null;
+    out.push([lat, prev == null ? lon : wrapLonNear(lon, prev)]);
+  }
+  return out;
+}
+
 function computeBBoxFromCoords(coords) {
-  let found = false;
-  const bbox = { west: Infinity, south: Infinity, east: -Infinity, north: -Infinity };
+  let bbox = null;
+
+  function addRing(ring) {
+    // Unwrap the ring first so a polygon crossing the antimeridian gets a narrow bbox
+    let west = Infinity;
+    let east = -Infinity;
+    let south = Infinity;
+    let north = -Infinity;
+    let prevLon = null;
+    for (const c of ring) {
+      if (!Number.isFinite(c?.[0]) || !Number.isFinite(c?.[1])) continue;
+      const lon = prevLon == null ? c[0] : wrapLonNear(c[0], prevLon);
+      const lat = c[1];
+      prevLon = lon;
+      if (lon < west) west = lon;
+      if (lon > east) east = lon;
+      if (lat < south) south = lat;
+      if (lat > north) north = lat;
+    }
+    if (prevLon == null) return;
+
+    if (!bbox) {
+      bbox = { west, south, east, north };
+      return;
+    }
+    const shift = wrapLonNear(west, bbox.west) - west;
+    bbox.west = Math.min(bbox.west, west + shift);
+    bbox.east = Math.max(bbox.east, east + shift);
+    bbox.south = Math.min(bbox.south, south);
+    bbox.north = Math.max(bbox.north, north);
+  }
 
   function walk(c) {
-    if (!c) return;
+    if (!Array.isArray(c) || c.length === 0) return;
     if (typeof c[0] === "number" && typeof c[1] === "number") {
-      const lon = c[0];
-      const lat = c[1];
-      if (!Number.isFinite(lon) || !Number.isFinite(lat)) return;
-      found = true;
-      if (lon < bbox.west) bbox.west = lon;
-      if (lon > bbox.east) bbox.east = lon;
-      if (lat < bbox.south) bbox.south = lat;
-      if (lat > bbox.north) bbox.north = lat;
+      addRing([c]);
       return;
     }
-    if (Array.isArray(c)) {
-      for (const item of c) walk(item);
+    if (Array.isArray(c[0]) && typeof c[0][0] === "number") {
+      addRing(c);
+      return;
     }
+    for (const item of c) walk(item);
   }
 
   walk(coords);
-  return found ? bbox : null;
+  return bbox;
 }
 
 function getFeatureBBox(feature) {
@@ -300,7 +464,10 @@ function bboxIntersectsBounds(bbox, bounds, padDeg = 0) {
   const east = bounds.east + padDeg;
   const south = bounds.south - padDeg;
   const north = bounds.north + padDeg;
-  return !(bbox.east < west || bbox.west > east || bbox.north < south || bbox.south > north);
+  if (bbox.north < south || bbox.south > north) return false;
+  // Compare against the copy of the bbox nearest the viewport
+  const shift = wrapLonNear(bbox.west, west) - bbox.west;
+  return [shift - 360, shift, shift + 360].some((s) => !(bbox.east + s < west || bbox.west + s > east));
 }
 
 function buildAtcOnlineSets(rows) {
@@ -362,6 +529,9 @@ export default function App() {
   const [atcSnapshot, setAtcSnapshot] = useState([]);
   const [callsign, setCallsign] = useState("");
   const [callsigns, setCallsigns] = useState([]);
+  const [callsignSearchInput, setCallsignSearchInput] = useState("");
+  const [callsignSearchResults, setCallsignSearchResults] = useState([]);
+  const [callsignSearchLoading, setCallsignSearchLoading] = useState(false);
   const [track, setTrackState] = useState([]);
   const [showAirspace, setShowAirspace] = useState(false);
   const [airspace, setAirspace] = useState(null);
@@ -373,6 +543,9 @@ export default function App() {
   const [showPilotAirspace, setShowPilotAirspace] = useState(true);
   const [showRouteAirports, setShowRouteAirports] = useState(true);
   const [showHistoryTrail, setShowHistoryTrail] = useState(false);
+  const [showSquawk, setShowSquawk] = useState(false);
+  const [alerts, setAlerts] = useState([]);
+  const [coverageGaps, setCoverageGaps] = useState([]);
   const [selectedRingMiles, setSelectedRingMiles] = useState([]);
   const [selectedAirspaces, setSelectedAirspaces] = useState([]);
   const [airspaceOptions, setAirspaceOptions] = useState([]);
@@ -380,8 +553,56 @@ export default function App() {
   const [airportOptions, setAirportOptions] = useState([]);
   const [eventOptions, setEventOptions] = useState([]);
   const [selectedEventId, setSelectedEventId] = useState("");
+  const [pinOptions, setPinOptions] = useState([]);
+  const [pinName, setPinName] = useState("");
+  const [pinError, setPinError] = useState("");
+  // Events and retention pins share the "Replay event" selector; pin keys are prefixed "pin:"
+  const replayWindows = useMemo(() => [
+    ...pinOptions.map((pin) => ({
+      key: `pin:${pin.id}`,
+      pinId: pin.id,
+      name: pin.name,
+      startTs: pin.startTs,
+      endTs: pin.endTs,
+      airports: pin.airports,
+      airspaces: pin.region
+    })),
+    ...eventOptions.map((row) => ({
+      key: String(row.id),
+      name: row.name,
+      startTs: Math.floor(Date.parse(row.start_time) / 1000),
+      endTs: Math.floor(Date.parse(row.end_time) / 1000),
+      airports: Array.isArray(row.airports)
+        ? row.airports
+            .map((a) => (typeof a?.icao === "string" ? a.icao.trim().toUpperCase() : ""))
+            .filter(Boolean)
+        : [],
+      airspaces: []
+    }))
+  ], [pinOptions, eventOptions]);
+  const selectedReplayWindow = useMemo(
+    () => replayWindows.find((w) => w.key === selectedEventId) ?? null,
+    [replayWindows, selectedEventId]
+  );
   const [minAltitude, setMinAltitude] = useState("");
   const [maxAltitude, setMaxAltitude] = useState("");
+  const [areaFilter, setAreaFilter] = useState(null);
+  const [areaDrawMode, setAreaDrawMode] = useState(null);
+  const [areaDrawPoints, setAreaDrawPoints] = useState([]);
+  const [areaDrawHover, setAreaDrawHover] = useState(null);
+  const [areaRadiusText, setAreaRadiusText] = useState(String(DEFAULT_AREA_RADIUS_NM));
+  const [filterExpressionText, setFilterExpressionText] = useState("");
+  const [appliedFilterExpression, setAppliedFilterExpression] = useState("");
+  const [filterExpressionError, setFilterExpressionError] = useState("");
+  // Everything the replay queries filter on, in the shape api.js sends
+  const trafficFilters = useMemo(() => ({
+    airspaces: selectedAirspaces.join(","),
+    airports: airportFilterText,
+    minAltitude: parseAltitudeInput(minAltitude),
+    maxAltitude: parseAltitudeInput(maxAltitude),
+    area: areaFilter,
+    filter: appliedFilterExpression
+  }), [selectedAirspaces, airportFilterText, minAltitude, maxAltitude, areaFilter, appliedFilterExpression]);
   const [rangeStart, setRangeStart] = useState(null);
   const [rangeEnd, setRangeEnd] = useState(null);
   const [debouncedRangeStart, setDebouncedRangeStart] = useState(null);
@@ -389,10 +610,20 @@ export default function App() {
   const [mapBounds, setMapBounds] = useState(null);
   const [airspaceOptionsLoaded, setAirspaceOptionsLoaded] = useState(false);
   const [airportOptionsLoaded, setAirportOptionsLoaded] = useState(false);
+  const airportFilterCodes = useMemo(() => parseAirportCodes(airportFilterText), [airportFilterText]);
+  const airportFilterNames = useMemo(() => {
+    const names = new Map(airportOptions.map((a) => [a.icao, a.name]));
+    return airportFilterCodes
+      .map((icao) => (names.get(icao) ? `${icao} ${names.get(icao)}` : null))
+      .filter(Boolean)
+      .join(" · ");
+  }, [airportFilterCodes, airportOptions]);
   const [preloadedSnapshots, setPreloadedSnapshots] = useState(new Map());
   const [preloadedAtcSnapshots, setPreloadedAtcSnapshots] = useState(new Map());
   const [isPreloading, setIsPreloading] = useState(false);
   const [preloadProgress, setPreloadProgress] = useState(0);
+  // Step of the loaded replay: the server picks it from the resolution stored for the range
+  const [replayStepSeconds, setReplayStepSeconds] = useState(null);
   const [distanceTargets, setDistanceTargets] = useState([]);
   const planeIconCache = useRef(new Map());
   const mapRef = useRef(null);
@@ -405,20 +636,17 @@ export default function App() {
   }, [meta]);
 
   const selectedEventWindow = useMemo(() => {
-    if (!selectedEventId || !bounds) return null;
-    const selected = eventOptions.find((e) => String(e.id) === String(selectedEventId));
-    if (!selected) return null;
-    const eventStartTs = Math.floor(Date.parse(selected.start_time) / 1000);
-    const eventEndTs = Math.floor(Date.parse(selected.end_time) / 1000);
-    if (!Number.isFinite(eventStartTs) || !Number.isFinite(eventEndTs)) return null;
-
-    const clampedStart = clamp(eventStartTs, bounds.min, bounds.max);
-    const clampedEnd = clamp(eventEndTs, bounds.min, bounds.max);
+    if (!selectedReplayWindow || !bounds) return null;
+    const { startTs, endTs } = selectedReplayWindow;
+    if (!Number.isFinite(startTs) || !Number.isFinite(endTs)) return null;
+
+    const clampedStart = clamp(startTs, bounds.min, bounds.max);
+    const clampedEnd = clamp(endTs, bounds.min, bounds.max);
     return {
       start: Math.min(clampedStart, clampedEnd),
       end: Math.max(clampedStart, clampedEnd)
     };
-  }, [selectedEventId, eventOptions, bounds]);
+  }, [selectedReplayWindow, bounds]);
 
   const allowedRangeBounds = useMemo(() => {
     if (!bounds) return null;
@@ -430,7 +658,7 @@ export default function App() {
     };
   }, [bounds, selectedEventWindow]);
 
-  const stepSeconds = meta?.pollIntervalSeconds ?? 15;
+  const stepSeconds = replayStepSeconds ?? meta?.pollIntervalSeconds ?? 15;
   const sliderStepSeconds = 15;
 
   const playableTimestamps = useMemo(() => {
@@ -516,18 +744,35 @@ useEffect(() => {
     })().catch(console.error);
   }, []);
 
+// Boundary dataset in force at the replay time (null on servers that don't record versions)
+const boundaryVersion = useMemo(() => {
+  const versions = meta?.boundaryVersions;
+  if (!Array.isArray(versions) || versions.length === 0) return null;
+  if (t == null) return versions[versions.length - 1].version;
+  let match = versions[0];
+  for (const v of versions) {
+    if (v.firstTs <= t) match = v;
+  }
+  return match.version;
+}, [meta, t]);
+
 // Load VATSIM VATSpy boundaries (airspace/FIR polygons) and TRACON boundaries
 useEffect(() => {
-  if (!showAirspace || airspace) return;
+  if (!showAirspace) return;
+  if (airspace && (!boundaryVersion || airspace.version === boundaryVersion)) return;
+  let cancelled = false;
   (async () => {
     try {
-      const data = await getAirspace();
-      setAirspace(data);
+      const data = await getAirspace(boundaryVersion);
+      if (!cancelled) setAirspace(data);
     } catch (e) {
       console.error("airspace load failed", e);
     }
   })();
-}, [showAirspace, airspace]);
+  return () => {
+    cancelled = true;
+  };
+}, [showAirspace, airspace, boundaryVersion]);
 
 useEffect(() => {
   // If the toggle is off, do nothing. If tracon already has features, skip fetch.
@@ -598,10 +843,9 @@ useEffect(() => {
       return;
     }
 
-    const airspacesStr = selectedAirspaces.join(",");
-    const minAlt = parseAltitudeInput(minAltitude);
-    const maxAlt = parseAltitudeInput(maxAltitude);
-    const r = await getSnapshot(ts, airspacesStr, airportFilterText, minAlt, maxAlt);
+    // Without preloaded polls, ask for one interpolated state per aircraft so scrubbing between
+    // polls moves smoothly and nobody is drawn twice
+    const r = await getInterpolatedSnapshot(ts, trafficFilters);
     setSnapshot(r.rows || []);
   }
 
@@ -619,13 +863,22 @@ useEffect(() => {
     if (!bounds) return;
     const until = rangeEnd ?? bounds.max;
     const since = rangeStart ?? bounds.min;
-    const airspacesStr = selectedAirspaces.join(",");
-    const minAlt = parseAltitudeInput(minAltitude);
-    const maxAlt = parseAltitudeInput(maxAltitude);
-    const r = await getCallsigns(since, until, airspacesStr, airportFilterText, minAlt, maxAlt);
+    const r = await getCallsigns(since, until, trafficFilters);
     setCallsigns((r.rows || []).map(x => x.callsign).sort());
   }
 
+  async function refreshAlerts() {
+    if (debouncedRangeStart == null || debouncedRangeEnd == null) return;
+    const r = await getAlerts(debouncedRangeStart, debouncedRangeEnd, "emergency_squawk");
+    setAlerts(Array.isArray(r?.rows) ? r.rows : []);
+  }
+
+  async function refreshCoverage() {
+    if (debouncedRangeStart == null || debouncedRangeEnd == null) return;
+    const r = await getCoverage(debouncedRangeStart, debouncedRangeEnd);
+    setCoverageGaps(Array.isArray(r?.gaps) ? r.gaps : []);
+  }
+
   async function refreshAirspaceOptions() {
     if (!bounds) return;
     const until = debouncedRangeEnd ?? bounds.max;
@@ -644,12 +897,70 @@ useEffect(() => {
     const until = debouncedRangeEnd ?? bounds.max;
     const since = debouncedRangeStart ?? bounds.min;
     const r = await getAirports(since, until);
-    const unique = Array.from(new Set(
-      (r.rows || [])
-        .map((x) => (typeof x.airport === "string" ? x.airport.trim().toUpperCase() : ""))
-        .filter(Boolean)
-    )).sort();
-    setAirportOptions(unique);
+    const byIcao = new Map();
+    for (const x of r.rows || []) {
+      const icao = typeof x.airport === "string" ? x.airport.trim().toUpperCase() : "";
+      if (icao && !byIcao.has(icao)) byIcao.set(icao, { icao, name: x.name || null });
+    }
+    setAirportOptions(Array.from(byIcao.values()).sort((a, b) => a.icao.localeCompare(b.icao)));
+  }
+
+  // The expression is checked by the server before it replaces the applied one, so a typo
+  // shows up here instead of emptying the map
+  async function applyFilterExpression() {
+    const text = filterExpressionText.trim();
+    if (!text) {
+      setFilterExpressionError("");
+      setAppliedFilterExpression("");
+      return;
+    }
+    try {
+      const r = await checkFilterExpression(text);
+      if (!r.ok) {
+        setFilterExpressionError(`${r.error} (at ${r.position + 1})`);
+        return;
+      }
+      setFilterExpressionError("");
+      setAppliedFilterExpression(r.filter);
+    } catch (e) {
+      setFilterExpressionError(String(e?.message || e));
+    }
+  }
+
+  function startAreaDraw(kind) {
+    setAreaDrawMode(kind);
+    setAreaDrawPoints([]);
+    setAreaDrawHover(null);
+  }
+
+  function finishAreaDraw(area) {
+    setAreaDrawMode(null);
+    setAreaDrawPoints([]);
+    setAreaDrawHover(null);
+    if (area) setAreaFilter(area);
+  }
+
+  // "Everything near this airport": a radius around it, whatever the filed route
+  async function applyAirportRadius(icao) {
+    const radiusNm = parseFloat(areaRadiusText);
+    if (!icao || !Number.isFinite(radiusNm) || radiusNm <= 0) return;
+    try {
+      const airport = await getAirport(icao);
+      if (!Number.isFinite(airport?.latitude) || !Number.isFinite(airport?.longitude)) return;
+      finishAreaDraw({ kind: "radius", near: icao, center: [airport.latitude, airport.longitude], radiusNm });
+    } catch (e) {
+      console.error("airport lookup failed", e);
+    }
+  }
+
+  async function centerOnAirport(icao) {
+    try {
+      const airport = await getAirport(icao);
+      if (!Number.isFinite(airport?.latitude) || !Number.isFinite(airport?.longitude)) return;
+      mapRef.current?.flyTo([airport.latitude, airport.longitude], 11);
+    } catch (e) {
+      console.error("airport lookup failed", e);
+    }
   }
 
   async function ensureAirspaceOptionsLoaded(force = false) {
@@ -691,19 +1002,48 @@ useEffect(() => {
     setEventOptions(Array.isArray(r?.rows) ? r.rows : []);
   }
 
+  async function refreshPins() {
+    const r = await getPins();
+    setPinOptions(Array.isArray(r?.rows) ? r.rows : []);
+  }
+
+  // Pins the selected replay range (with the airport and airspace filters as its scope) so
+  // retention keeps it
+  async function pinCurrentRange() {
+    if (rangeStart == null || rangeEnd == null || pinName.trim().length === 0) return;
+    setPinError("");
+    const result = await createPin({
+      name: pinName.trim(),
+      startTs: rangeStart,
+      endTs: rangeEnd,
+      airports: airportFilterCodes,
+      region: selectedAirspaces
+    });
+    if (result?.ok === false) {
+      setPinError(result.error || "pin rejected");
+      return;
+    }
+    setPinName("");
+    await refreshPins();
+    setSelectedEventId(`pin:${result.id}`);
+  }
+
+  async function unpinSelectedWindow() {
+    if (!selectedReplayWindow?.pinId) return;
+    await deletePin(selectedReplayWindow.pinId);
+    await refreshPins();
+  }
+
   function applySelectedEvent() {
-    if (!selectedEventId) return;
-    const selected = eventOptions.find((e) => String(e.id) === String(selectedEventId));
+    const selected = selectedReplayWindow;
     if (!selected) return;
 
-    const airports = Array.isArray(selected.airports)
-      ? selected.airports
-          .map((a) => (typeof a?.icao === "string" ? a.icao.trim().toUpperCase() : ""))
-          .filter(Boolean)
-      : [];
-
-    if (airports.length > 0) {
-      setAirportFilterText(Array.from(new Set(airports)).join(","));
+    if (selected.airports.length > 0) {
+      setAirportFilterText(Array.from(new Set(selected.airports)).join(","));
+    }
+    if (selected.airspaces.length > 0) {
+      setSelectedAirspaces(selected.airspaces);
+      ensureAirspaceOptionsLoaded().catch(console.error);
     }
 
     if (selectedEventWindow) {
@@ -726,10 +1066,9 @@ useEffect(() => {
     // Ensure parameters are numbers
     const since = Number(rangeStart);
     const until = Number(rangeEnd);
-    const step = Number(stepSeconds);
 
-    if (!Number.isFinite(since) || !Number.isFinite(until) || !Number.isFinite(step)) {
-      console.error("[preload] invalid numeric parameters", { since, until, step, rangeStart, rangeEnd, stepSeconds });
+    if (!Number.isFinite(since) || !Number.isFinite(until)) {
+      console.error("[preload] invalid numeric parameters", { since, until, rangeStart, rangeEnd });
       return;
     }
 
@@ -746,11 +1085,6 @@ useEffect(() => {
       const snapshots = new Map();
       const atcSnapshots = new Map();
 
-      // Parse altitude filters
-      const minAlt = parseAltitudeInput(minAltitude);
-      const maxAlt = parseAltitudeInput(maxAltitude);
-      const airspacesStr = selectedAirspaces.join(",");
-
       progressTimer = setInterval(() => {
         setPreloadProgress((prev) => {
           if (prev >= 90) return 90;
@@ -758,15 +1092,8 @@ useEffect(() => {
         });
       }, 120);
 
-      const result = await getPreloadSnapshots(
-        since,
-        until,
-        step,
-        airspacesStr,
-        airportFilterText,
-        minAlt,
-        maxAlt
-      );
+      const result = await getPreloadSnapshots(since, until, null, trafficFilters);
+      setReplayStepSeconds(Number.isFinite(result?.step) ? result.step : null);
 
       const timestamps = Array.isArray(result?.timestamps) ? result.timestamps : [];
       const sourceTsByBucket = result?.sourceTsByBucket ?? {};
@@ -831,22 +1158,72 @@ useEffect(() => {
     }
   }
 
-  async function loadTrack(cs) {
+  async function loadTrack(cs, range = null) {
     if (!bounds) return;
     setLoading(true);
     try {
-      const until = rangeEnd ?? bounds.max;
-      const since = rangeStart ?? bounds.min;
-      const airspacesStr = selectedAirspaces.join(",");
-      const minAlt = parseAltitudeInput(minAltitude);
-      const maxAlt = parseAltitudeInput(maxAltitude);
-      const r = await getTrack(cs, since, until, 15, airspacesStr, airportFilterText, minAlt, maxAlt);
-      setTrackState((r.rows || []).map(p => [p.lat, p.lon]));
+      const until = range?.until ?? rangeEnd ?? bounds.max;
+      const since = range?.since ?? rangeStart ?? bounds.min;
+      const r = await getTrack(cs, since, until, 0, trafficFilters, TRACK_SIMPLIFICATION);
+      setTrackState(unwrapPath((r.rows || []).map(p => [p.lat, p.lon])));
     } finally {
       setLoading(false);
     }
   }
 
+  // Moves the replay to a search match's last stored position: shifts the range if needed,
+  // sets the time, flies the map there and, in track mode, loads its track.
+  function jumpToCallsign(match) {
+    if (!match || !bounds) return;
+    const ts = clamp(match.lastSeen, bounds.min, bounds.max);
+    let since = rangeStart ?? bounds.min;
+    let until = rangeEnd ?? bounds.max;
+    if (ts < since || ts > until) {
+      const width = Math.min(Math.max(until - since, stepSeconds), MAX_REPLAY_SECONDS);
+      since = Math.max(bounds.min, Math.min(ts - Math.floor(width / 2), bounds.max - width));
+      until = Math.min(bounds.max, since + width);
+      setRangeStart(since);
+      setRangeEnd(until);
+    }
+    setT(ts);
+    setPlaying(false);
+
+    if (Number.isFinite(match.lat) && Number.isFinite(match.lon)) {
+      const map = mapRef.current;
+      map?.flyTo([match.lat, match.lon], Math.max(map.getZoom(), 7));
+    }
+    if (mode === "track") {
+      setCallsign(match.callsign);
+      loadTrack(match.callsign, { since, until }).catch(console.error);
+    }
+  }
+
+  useEffect(() => {
+    const input = callsignSearchInput.trim().toUpperCase();
+    if (!input) {
+      setCallsignSearchResults([]);
+      return;
+    }
+    // Digits only is a CID: every callsign that member connected as
+    const query = /^\d+$/.test(input) ? { cid: input } : { q: input };
+    let cancelled = false;
+    const id = setTimeout(() => {
+      setCallsignSearchLoading(true);
+      searchCallsigns({ ...query, pageSize: 30 })
+        .then((r) => {
+          if (!cancelled) setCallsignSearchResults(groupSearchResultsByAirline(r.rows || []));
+        })
+        .catch(console.error)
+        .finally(() => {
+          if (!cancelled) setCallsignSearchLoading(false);
+        });
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(id);
+    };
+  }, [callsignSearchInput]);
+
   // Whenever time changes, fetch ATC snapshot; traffic snapshot only in ALL mode
   useEffect(() => {
     if (!t) return;
@@ -854,7 +1231,7 @@ useEffect(() => {
       refreshSnapshot(t).catch(console.error);
     }
     refreshAtcSnapshot(t).catch(console.error);
-  }, [t, mode, selectedAirspaces, airportFilterText]);
+  }, [t, mode, selectedAirspaces, airportFilterText, areaFilter, appliedFilterExpression]);
 
   useEffect(() => {
     if (!bounds) return;
@@ -868,8 +1245,14 @@ useEffect(() => {
 
   useEffect(() => {
     refreshEvents(false).catch(console.error);
+    refreshPins().catch(console.error);
   }, []);
 
+  useEffect(() => {
+    refreshAlerts().catch(console.error);
+    refreshCoverage().catch(console.error);
+  }, [debouncedRangeStart, debouncedRangeEnd]);
+
   useEffect(() => {
     // Remove any selected airspaces that are no longer in options
     const validAirspaces = selectedAirspaces.filter(a => airspaceOptions.includes(a));
@@ -880,17 +1263,16 @@ useEffect(() => {
 
   useEffect(() => {
     if (!selectedEventId) return;
-    const exists = eventOptions.some((e) => String(e.id) === String(selectedEventId));
-    if (!exists) {
+    if (!selectedReplayWindow) {
       setSelectedEventId("");
     }
-  }, [eventOptions, selectedEventId]);
+  }, [selectedReplayWindow, selectedEventId]);
 
   // Clear preloaded snapshots when filters change
   useEffect(() => {
     setPreloadedSnapshots(new Map());
     setPreloadedAtcSnapshots(new Map());
-  }, [selectedAirspaces, airportFilterText, minAltitude, maxAltitude]);
+  }, [selectedAirspaces, airportFilterText, minAltitude, maxAltitude, areaFilter, appliedFilterExpression]);
 
 // Playback: advance by one stored step each "update", at updatesPerSecond rate
 useInterval(() => {
@@ -953,41 +1335,31 @@ useEffect(() => {
   }, [mode]);
 
   // Track map bounds for viewport filtering
-  useEffect(() => {
-    const map = mapRef.current?.leafletElement;
-    if (!map) return;
-
-    const handleMoveEnd = () => {
-      const b = map.getBounds();
-      setMapBounds({
-        north: b.getNorth(),
-        south: b.getSouth(),
-        east: b.getEast(),
-        west: b.getWest()
-      });
-    };
-
-    handleMoveEnd(); // Initial bounds
-    map.on("moveend", handleMoveEnd);
-    return () => map.off("moveend", handleMoveEnd);
+  const handleMapBoundsChange = useCallback((b) => {
+    setMapBounds({
+      north: b.getNorth(),
+      south: b.getSouth(),
+      east: b.getEast(),
+      west: b.getWest()
+    });
   }, []);
 
   // Filter snapshot to only planes within map bounds
   const visibleSnapshot = useMemo(() => {
     if (!snapshot.length) return snapshot;
-    return snapshot.filter((p) => {
-      if (hideBelow30Knots && Number.isFinite(p.groundspeed) && p.groundspeed < 30) {
-        return false;
+    const rows = [];
+    for (const p of snapshot) {
+      if (hideBelow30Knots && Number.isFinite(p.groundspeed) && p.groundspeed < 30) continue;
+      if (!mapBounds) {
+        rows.push(p);
+        continue;
       }
-      if (!mapBounds) return true;
-      const { lat, lon } = p;
-      return (
-        lat >= mapBounds.south &&
-        lat <= mapBounds.north &&
-        lon >= mapBounds.west &&
-        lon <= mapBounds.east
-      );
-    });
+      // Planes are drawn on the world copy that is on screen (e.g. lon -170 as 190 past the dateline)
+      const lon = positionInBounds(p.lat, p.lon, mapBounds);
+      if (lon == null) continue;
+      rows.push(lon === p.lon ? p : { ...p, lon });
+    }
+    return rows;
   }, [snapshot, mapBounds, hideBelow30Knots]);
 
   const visibleAirspace = useMemo(() => {
@@ -1008,6 +1380,18 @@ useEffect(() => {
 
 
   // Style GeoJSON features based on ATC online status
+  // Outline of the area being drawn, following the pointer
+  const areaDrawPreview = useMemo(() => {
+    if (!areaDrawMode || areaDrawPoints.length === 0) return [];
+    const hover = areaDrawHover ?? areaDrawPoints[areaDrawPoints.length - 1];
+    if (areaDrawMode === "bbox") {
+      const [a] = areaDrawPoints;
+      return [a, [a[0], hover[1]], hover, [hover[0], a[1]], a];
+    }
+    if (areaDrawMode === "radius") return [areaDrawPoints[0], hover];
+    return [...areaDrawPoints, hover, areaDrawPoints[0]];
+  }, [areaDrawMode, areaDrawPoints, areaDrawHover]);
+
   const geojsonStyle = useCallback((feature) => {
     // Check against the GeoJSON feature ID or TRACON prefix array
     const featureId = (feature?.id || feature?.properties?.id || "").toString();
@@ -1088,7 +1472,8 @@ useEffect(() => {
       if (showRouteAirports) rows.push(`${p.departure || "—"}-${p.destination || "—"}`);
       if (showAltitude) rows.push(Number.isFinite(p.altitude) ? `${Math.round(p.altitude)} ft` : "—");
       if (showGroundspeed) rows.push(Number.isFinite(p.groundspeed) ? `${Math.round(p.groundspeed)} kt` : "—");
-      if (showPilotAirspace) rows.push(p.airspace || "—");
+      if (showPilotAirspace) rows.push(p.fir && p.fir !== p.airspace ? `${p.airspace} (${p.fir})` : (p.airspace || "—"));
+      if (showSquawk) rows.push(p.transponder ? `SQ ${p.transponder}` : "—");
       return rows;
     };
 
@@ -1097,6 +1482,7 @@ useEffect(() => {
         key={p.callsign}
         position={[p.lat, p.lon]}
         icon={getPlaneIcon(p.callsign, p.heading, formatDetailRows(p), markerDetailLevel)}
+        opacity={p.stale ? 0.45 : 1}
         eventHandlers={{
           click: () => {
             setDistanceTargets((prev) => {
@@ -1112,7 +1498,7 @@ useEffect(() => {
         }}
       />
     ));
-  }, [visibleSnapshot, getPlaneIcon, showRouteAirports, showAltitude, showGroundspeed, showPilotAirspace]);
+  }, [visibleSnapshot, getPlaneIcon, showRouteAirports, showAltitude, showGroundspeed, showPilotAirspace, showSquawk]);
 
   const aircraftRings = useMemo(() => {
     if (selectedRingMiles.length === 0) return [];
@@ -1139,8 +1525,10 @@ useEffect(() => {
 
   const distanceTargetPositions = useMemo(() => {
     if (distanceTargets.length === 0 || snapshot.length === 0) return [];
+    // Prefer the on-screen copy of each plane; the second target is placed next to the first
     const byCallsign = new Map(snapshot.map((p) => [p.callsign, p]));
-    return distanceTargets
+    for (const p of visibleSnapshot) byCallsign.set(p.callsign, p);
+    const positions = distanceTargets
       .map((callsign) => {
         const row = byCallsign.get(callsign);
         if (!row) return null;
@@ -1148,7 +1536,11 @@ useEffect(() => {
         return { callsign, lat: row.lat, lon: row.lon, groundspeed: row.groundspeed };
       })
       .filter(Boolean);
-  }, [distanceTargets, snapshot]);
+    if (positions.length === 2) {
+      positions[1] = { ...positions[1], lon: wrapLonNear(positions[1].lon, positions[0].lon) };
+    }
+    return positions;
+  }, [distanceTargets, snapshot, visibleSnapshot]);
 
   const distanceNm = useMemo(() => {
     if (distanceTargetPositions.length !== 2) return null;
@@ -1184,6 +1576,30 @@ useEffect(() => {
     return `${distanceNm.toFixed(1)} NM • ${distanceEtaText}`;
   }, [distanceNm, distanceEtaText]);
 
+  const alertMarks = useMemo(() => {
+    if (rangeStart == null || rangeEnd == null) return [];
+    return alerts
+      .filter((a) => a.ts >= rangeStart && a.ts <= rangeEnd)
+      .map((a) => ({ value: a.ts }));
+  }, [alerts, rangeStart, rangeEnd]);
+
+  // Gaps are drawn over the slider rail as percentages of the visible range
+  const gapShading = useMemo(() => {
+    if (rangeStart == null || rangeEnd == null || rangeEnd <= rangeStart) return [];
+    const span = rangeEnd - rangeStart;
+    return coverageGaps
+      .filter((g) => g.end > rangeStart && g.start < rangeEnd)
+      .map((g) => {
+        const start = Math.max(g.start, rangeStart);
+        const end = Math.min(g.end, rangeEnd);
+        return {
+          key: `${g.start}-${g.end}`,
+          left: ((start - rangeStart) / span) * 100,
+          width: Math.max(0.5, ((end - start) / span) * 100)
+        };
+      });
+  }, [coverageGaps, rangeStart, rangeEnd]);
+
   const historyTrailDots = useMemo(() => {
     if (!showHistoryTrail || mode !== "all" || t == null || preloadedSnapshots.size === 0 || snapshot.length === 0) {
       return [];
@@ -1202,14 +1618,11 @@ useEffect(() => {
     for (const [callsign, current] of currentByCallsign) {
       if (!Number.isFinite(current?.lat) || !Number.isFinite(current?.lon)) continue;
       if (hideBelow30Knots && Number.isFinite(current.groundspeed) && current.groundspeed < 30) continue;
-      if (mapBounds) {
-        if (current.lat < mapBounds.south || current.lat > mapBounds.north || current.lon < mapBounds.west || current.lon > mapBounds.east) {
-          continue;
-        }
-      }
+      const lon = positionInBounds(current.lat, current.lon, mapBounds);
+      if (lon == null) continue;
 
       perAircraft.set(callsign, [
-        { key: `${callsign}-${t}-${current.lat}-${current.lon}`, lat: current.lat, lon: current.lon }
+        { key: `${callsign}-${t}-${current.lat}-${current.lon}`, lat: current.lat, lon }
       ]);
     }
 
@@ -1222,13 +1635,11 @@ useEffect(() => {
         if (existing.length >= TRAIL_POINTS_PER_AIRCRAFT) continue;
         if (!Number.isFinite(p.lat) || !Number.isFinite(p.lon)) continue;
         if (hideBelow30Knots && Number.isFinite(p.groundspeed) && p.groundspeed < 30) continue;
-        if (mapBounds) {
-          if (p.lat < mapBounds.south || p.lat > mapBounds.north || p.lon < mapBounds.west || p.lon > mapBounds.east) {
-            continue;
-          }
-        }
+        // Each trail dot follows the previous one so trails crossing the dateline stay continuous
+        const lon = wrapLonNear(p.lon, existing[existing.length - 1].lon);
+        if (positionInBounds(p.lat, lon, mapBounds) == null) continue;
 
-        existing.push({ key: `${p.callsign}-${ts}-${p.lat}-${p.lon}`, lat: p.lat, lon: p.lon });
+        existing.push({ key: `${p.callsign}-${ts}-${p.lat}-${p.lon}`, lat: p.lat, lon });
         perAircraft.set(p.callsign, existing);
       }
     }
@@ -1336,14 +1747,65 @@ useEffect(() => {
           </Stack>
 
           <Typography variant="caption" sx={{ opacity: 1, color: "text.secondary" }}>Timeline</Typography>
-          <Slider
-            value={t ?? 0}
-            min={rangeStart ?? (bounds?.min ?? 0)}
-            max={rangeEnd ?? (bounds?.max ?? 0)}
-            step={sliderStepSeconds}
-            onChange={(_, value) => setT(Array.isArray(value) ? value[0] : value)}
-            disabled={!bounds}
-          />
+          <Box sx={{ position: "relative" }}>
+            {gapShading.map((g) => (
+              <Box
+                key={g.key}
+                sx={{
+                  position: "absolute",
+                  top: "50%",
+                  left: `${g.left}%`,
+                  width: `${g.width}%`,
+                  height: 14,
+                  transform: "translateY(-50%)",
+                  backgroundColor: "rgba(255, 171, 64, 0.35)",
+                  borderRadius: 1,
+                  pointerEvents: "none"
+                }}
+              />
+            ))}
+            <Slider
+              value={t ?? 0}
+              min={rangeStart ?? (bounds?.min ?? 0)}
+              max={rangeEnd ?? (bounds?.max ?? 0)}
+              step={sliderStepSeconds}
+              onChange={(_, value) => setT(Array.isArray(value) ? value[0] : value)}
+              disabled={!bounds}
+              marks={alertMarks}
+              sx={{
+                "& .MuiSlider-mark": { backgroundColor: "#ff5252", width: 3, height: 12, opacity: 1 },
+                "& .MuiSlider-markActive": { backgroundColor: "#ff5252" }
+              }}
+            />
+          </Box>
+          {coverageGaps.length > 0 && (
+            <Typography
+              variant="caption"
+              sx={{ display: "block", mb: 1, color: "#ffab40" }}
+              title={coverageGaps.map(formatGapLabel).join("\n")}
+            >
+              {coverageGaps.length} collection gap{coverageGaps.length === 1 ? "" : "s"} in range (shaded) — no data was recorded, not an absence of traffic.
+            </Typography>
+          )}
+          {alerts.length > 0 && (
+            <Stack direction="row" spacing={1} useFlexGap flexWrap="wrap" sx={{ mb: 1 }}>
+              {alerts.slice(0, 8).map((a) => (
+                <Chip
+                  key={a.id}
+                  size="small"
+                  color="error"
+                  variant="outlined"
+                  label={formatAlertLabel(a)}
+                  title={fmt(a.ts)}
+                  onClick={() => {
+                    setT(a.ts);
+                    setPlaying(false);
+                  }}
+                />
+              ))}
+              {alerts.length > 8 && <Chip size="small" label={`+${alerts.length - 8} more`} />}
+            </Stack>
+          )}
           <Typography variant="caption" sx={{ display: "block", mb: 1, opacity: 1, color: "text.secondary" }}>Each update advances one stored step (~{stepSeconds}s).</Typography>
 
           <Chip
@@ -1439,14 +1901,21 @@ useEffect(() => {
               onChange={(e) => setSelectedEventId(e.target.value)}
               renderValue={(value) => {
                 if (!value) return "None";
-                const selected = eventOptions.find((row) => String(row.id) === String(value));
-                return selected ? `${selected.name} (${selected.start_time?.slice?.(0, 10) || "n/a"})` : "None";
+                const selected = replayWindows.find((w) => w.key === value);
+                return selected ? `${selected.name} (${formatWindowStart(selected.startTs).slice(0, 10)})` : "None";
               }}
             >
               <MenuItem value="">None</MenuItem>
-              {eventOptions.map((row) => (
-                <MenuItem key={row.id} value={String(row.id)}>
-                  {row.name} ({row.start_time?.slice?.(0, 16)?.replace("T", " ") || "n/a"}Z)
+              {pinOptions.length > 0 && <ListSubheader>Pinned</ListSubheader>}
+              {replayWindows.filter((w) => w.pinId != null).map((w) => (
+                <MenuItem key={w.key} value={w.key}>
+                  {w.name} ({formatWindowStart(w.startTs)}Z)
+                </MenuItem>
+              ))}
+              {pinOptions.length > 0 && eventOptions.length > 0 && <ListSubheader>Events</ListSubheader>}
+              {replayWindows.filter((w) => w.pinId == null).map((w) => (
+                <MenuItem key={w.key} value={w.key}>
+                  {w.name} ({formatWindowStart(w.startTs)}Z)
                 </MenuItem>
               ))}
             </Select>
@@ -1456,11 +1925,36 @@ useEffect(() => {
             <Button fullWidth size="small" variant="outlined" onClick={applySelectedEvent} disabled={!selectedEventId || !bounds}>
               Apply Event
             </Button>
-            <Button fullWidth size="small" variant="outlined" onClick={() => refreshEvents(true).catch(console.error)}>
+            <Button fullWidth size="small" variant="outlined" onClick={() => { refreshEvents(true).catch(console.error); refreshPins().catch(console.error); }}>
               Refresh Events
             </Button>
           </Stack>
 
+          <Stack direction="row" spacing={1} sx={{ mb: 1 }}>
+            <TextField
+              label="Pin range as"
+              size="small"
+              fullWidth
+              value={pinName}
+              onChange={(e) => { setPinName(e.target.value); setPinError(""); }}
+              error={Boolean(pinError)}
+              helperText={pinError || undefined}
+            />
+            <Button
+              size="small"
+              variant="outlined"
+              onClick={() => pinCurrentRange().catch(console.error)}
+              disabled={pinName.trim().length === 0 || rangeStart == null || rangeEnd == null}
+            >
+              Pin
+            </Button>
+            {selectedReplayWindow?.pinId != null && (
+              <Button size="small" variant="outlined" onClick={() => unpinSelectedWindow().catch(console.error)}>
+                Unpin
+              </Button>
+            )}
+          </Stack>
+
           <FormControl fullWidth size="small" sx={{ mb: 1 }}>
             <InputLabel>Replay airspace(s)</InputLabel>
             <Select
@@ -1485,13 +1979,24 @@ useEffect(() => {
             onChange={(e) => setAirportFilterText(e.target.value.toUpperCase())}
             onFocus={() => ensureAirportOptionsLoaded().catch(console.error)}
             placeholder="KJFK, KLAX"
+            helperText={airportFilterNames || undefined}
             inputProps={{ list: "airport-options" }}
           />
           <datalist id="airport-options">
-            {airportOptions.map((name) => (
-              <option key={name} value={name} />
+            {airportOptions.map((a) => (
+              <option key={a.icao} value={a.icao} label={a.name || undefined} />
             ))}
           </datalist>
+          <Button
+            fullWidth
+            size="small"
+            variant="outlined"
+            sx={{ mt: 1 }}
+            onClick={() => centerOnAirport(airportFilterCodes[0])}
+            disabled={airportFilterCodes.length === 0}
+          >
+            {airportFilterCodes.length > 0 ? `Center on ${airportFilterCodes[0]}` : "Center on airport"}
+          </Button>
 
           <Stack direction="row" spacing={1} sx={{ mt: 1 }}>
             <TextField
@@ -1513,6 +2018,96 @@ useEffect(() => {
               inputProps={{ min: "0", step: "100" }}
             />
           </Stack>
+
+          <TextField
+            label="Filter expression"
+            size="small"
+            fullWidth
+            multiline
+            maxRows={3}
+            sx={{ mt: 1 }}
+            value={filterExpressionText}
+            onChange={(e) => setFilterExpressionText(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter" && !e.shiftKey) {
+                e.preventDefault();
+                applyFilterExpression().catch(console.error);
+              }
+            }}
+            placeholder="dest:EGLL AND alt>10000 AND NOT callsign:BAW*"
+            error={Boolean(filterExpressionError)}
+            helperText={filterExpressionError
+              || (filterExpressionText.trim() !== appliedFilterExpression
+                ? "Press Enter to apply"
+                : "Fields: callsign dep dest airport ground airspace fir squawk alt gs hdg cid")}
+          />
+          <Stack direction="row" spacing={1} sx={{ mt: 0.5 }}>
+            <Button fullWidth size="small" variant="outlined" onClick={() => applyFilterExpression().catch(console.error)}>
+              Apply filter
+            </Button>
+            <Button
+              fullWidth
+              size="small"
+              variant="outlined"
+              onClick={() => {
+                setFilterExpressionText("");
+                setFilterExpressionError("");
+                setAppliedFilterExpression("");
+              }}
+              disabled={!filterExpressionText && !appliedFilterExpression}
+            >
+              Clear filter
+            </Button>
+          </Stack>
+
+          <Typography variant="caption" component="div" sx={{ mt: 1, color: "text.secondary" }}>
+            {areaDrawMode
+              ? (areaDrawMode === "polygon" ? "Click to add vertices, double click to finish" : `Click the ${areaDrawMode === "bbox" ? "two corners" : "centre, then the edge"} on the map`)
+              : `Area: ${describeAreaFilter(areaFilter)}`}
+          </Typography>
+          <Stack direction="row" spacing={1} sx={{ mt: 0.5 }}>
+            <Button fullWidth size="small" variant={areaDrawMode === "bbox" ? "contained" : "outlined"} onClick={() => startAreaDraw("bbox")}>Box</Button>
+            <Button fullWidth size="small" variant={areaDrawMode === "radius" ? "contained" : "outlined"} onClick={() => startAreaDraw("radius")}>Circle</Button>
+            <Button fullWidth size="small" variant={areaDrawMode === "polygon" ? "contained" : "outlined"} onClick={() => startAreaDraw("polygon")}>Polygon</Button>
+          </Stack>
+          <Stack direction="row" spacing={1} sx={{ mt: 1 }}>
+            <TextField
+              label="Radius (NM)"
+              type="number"
+              size="small"
+              value={areaRadiusText}
+              onChange={(e) => setAreaRadiusText(e.target.value)}
+              inputProps={{ min: "1", step: "5" }}
+            />
+            <Button
+              fullWidth
+              size="small"
+              variant="outlined"
+              onClick={() => applyAirportRadius(airportFilterCodes[0])}
+              disabled={airportFilterCodes.length === 0}
+            >
+              {airportFilterCodes.length > 0 ? `Near ${airportFilterCodes[0]}` : "Near airport"}
+            </Button>
+          </Stack>
+          <Stack direction="row" spacing={1} sx={{ mt: 1 }}>
+            {areaDrawMode === "polygon" && (
+              <Button fullWidth size="small" variant="contained" onClick={() => finishAreaDraw({ kind: "polygon", points: areaDrawPoints })} disabled={areaDrawPoints.length < 3}>
+                Finish polygon
+              </Button>
+            )}
+            <Button
+              fullWidth
+              size="small"
+              variant="outlined"
+              onClick={() => {
+                finishAreaDraw(null);
+                setAreaFilter(null);
+              }}
+              disabled={!areaFilter && !areaDrawMode}
+            >
+              {areaDrawMode ? "Cancel drawing" : "Clear area"}
+            </Button>
+          </Stack>
         </Paper>
 
         <Paper variant="outlined" sx={{ p: 1.25, bgcolor: "rgba(255,255,255,0.03)" }}>
@@ -1538,11 +2133,40 @@ useEffect(() => {
             <FormControlLabel control={<Checkbox checked={hideBelow30Knots} onChange={(e) => setHideBelow30Knots(e.target.checked)} />} label="< 30 knots" />
             <FormControlLabel control={<Checkbox checked={showRouteAirports} onChange={(e) => setShowRouteAirports(e.target.checked)} />} label="Show dep-arr" />
             <FormControlLabel control={<Checkbox checked={showPilotAirspace} onChange={(e) => setShowPilotAirspace(e.target.checked)} />} label="Show pilot airspace" />
+            <FormControlLabel control={<Checkbox checked={showSquawk} onChange={(e) => setShowSquawk(e.target.checked)} />} label="Show squawk" />
           </FormGroup>
         </Paper>
 
         <Paper variant="outlined" sx={{ p: 1.25, bgcolor: "rgba(255,255,255,0.03)" }}>
           <Typography variant="overline" sx={{ opacity: 1, color: "text.secondary" }}>Selection</Typography>
+          <Autocomplete
+            size="small"
+            sx={{ mb: 1 }}
+            options={callsignSearchResults}
+            loading={callsignSearchLoading}
+            filterOptions={(x) => x}
+            groupBy={(o) => o.airline || "Other"}
+            getOptionLabel={(o) => o.callsign}
+            isOptionEqualToValue={(o, v) => o.callsign === v.callsign}
+            inputValue={callsignSearchInput}
+            onInputChange={(_, value) => setCallsignSearchInput(value)}
+            onChange={(_, value) => jumpToCallsign(value)}
+            noOptionsText={callsignSearchInput ? "No matches" : "Type a callsign, BAW*, *123 or a CID"}
+            renderOption={(props, o) => {
+              const { key, ...rest } = props;
+              return (
+                <li key={key} {...rest}>
+                  <Stack>
+                    <Typography variant="body2">{o.callsign}</Typography>
+                    <Typography variant="caption" sx={{ color: "text.secondary" }}>
+                      {`CID ${o.cids.join(", ") || "—"} · last seen ${fmt(o.lastSeen)}`}
+                    </Typography>
+                  </Stack>
+                </li>
+              );
+            }}
+            renderInput={(params) => <TextField {...params} label="Find callsign / CID" placeholder="BAW*, *123, 1234567" />}
+          />
           {mode === "all" ? (
             <Stack spacing={1}>
               <Stack direction="row" spacing={1} useFlexGap flexWrap="wrap">
@@ -1550,6 +2174,8 @@ useEffect(() => {
                 <Chip size="small" label={`Airspace: ${selectedAirspaces.length === 0 ? "All" : selectedAirspaces.join(", ")}`} />
                 <Chip size="small" label={`Airport: ${airportFilterText || "All"}`} />
                 <Chip size="small" label={`Altitude: ${minAltitude || "0"} - ${maxAltitude || "∞"} ft`} />
+                <Chip size="small" label={`Area: ${describeAreaFilter(areaFilter)}`} />
+                {appliedFilterExpression && <Chip size="small" label={`Filter: ${appliedFilterExpression}`} />}
               </Stack>
               <Stack direction="row" spacing={1} useFlexGap flexWrap="wrap">
                 <Chip size="small" label={distanceTargets[0] ? `Target A: ${distanceTargets[0]}` : "Target A: click aircraft"} />
@@ -1578,6 +2204,16 @@ useEffect(() => {
 
       <MapContainer ref={mapRef} center={center} zoom={5} style={{ height: "100%", width: "100%" }}>
         <MapClickHandler onClick={() => setDistanceTargets([])} />
+        <MapBoundsTracker onChange={handleMapBoundsChange} />
+        {areaDrawMode && (
+          <AreaDrawHandler
+            drawMode={areaDrawMode}
+            points={areaDrawPoints}
+            onPoints={setAreaDrawPoints}
+            onHover={setAreaDrawHover}
+            onDone={finishAreaDraw}
+          />
+        )}
         <TileLayer
           attribution="&copy; OpenStreetMap contributors &copy; CARTO"
           url="https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png"
@@ -1629,6 +2265,23 @@ useEffect(() => {
         {mode === "track" && track.length > 1 && (
           <Polyline positions={track} />
         )}
+
+        {areaFilter?.kind === "bbox" && (
+          <Rectangle bounds={[[areaFilter.south, areaFilter.west], [areaFilter.north, areaFilter.east]]} pathOptions={areaPathOptions} interactive={false} />
+        )}
+        {areaFilter?.kind === "radius" && (
+          <Circle center={areaFilter.center} radius={areaFilter.radiusNm * METERS_PER_NM} pathOptions={areaPathOptions} interactive={false} />
+        )}
+        {areaFilter?.kind === "polygon" && (
+          <Polygon positions={areaFilter.points} pathOptions={areaPathOptions} interactive={false} />
+        )}
+        {areaDrawMode && areaDrawPoints.length > 0 && (
+          <Polyline
+            positions={areaDrawPreview}
+            pathOptions={{ ...areaPathOptions, dashArray: "4, 6" }}
+            interactive={false}
+          />
+        )}
       </MapContainer>
     </div>
   );
@@ -1,42 +1,99 @@
+function normalizeLon(lon) {
+  return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
+// area: null, { kind: "bbox", south, west, north, east }, { kind: "radius", near, radiusNm },
+// { kind: "radius", center: [lat, lon], radiusNm } or { kind: "polygon", points: [[lat, lon], ...] }
+function setAreaParams(params, area) {
+  if (!area) return;
+  if (area.kind === "bbox") {
+    params.set("bbox", [area.west, area.south, area.east, area.north].map((x, i) => (i % 2 === 0 ? normalizeLon(x) : x).toFixed(4)).join(","));
+  } else if (area.kind === "radius") {
+    params.set("near", area.near || `${area.center[0].toFixed(4)},${normalizeLon(area.center[1]).toFixed(4)}`);
+    params.set("radiusNm", String(Math.round(area.radiusNm * 10) / 10));
+  } else if (area.kind === "polygon") {
+    params.set("polygon", area.points.map(([lat, lon]) => `${lat.toFixed(4)},${normalizeLon(lon).toFixed(4)}`).join(";"));
+  }
+}
+
+// filters: { airspaces: "EGTT,EGPX", airports: "KJFK, KLGA", minAltitude, maxAltitude, area,
+// filter: "dest:EGLL AND alt>10000" }, every part optional
+function setFilterParams(params, filters) {
+  const { airspaces = "", airports = "", minAltitude = null, maxAltitude = null, area = null, filter = "" } = filters || {};
+  if (airspaces) params.set("airspaces", airspaces);
+  if (airports) params.set("airports", airports);
+  if (minAltitude !== null && minAltitude >= 0) params.set("minAltitude", String(minAltitude));
+  if (maxAltitude !== null && maxAltitude >= 0) params.set("maxAltitude", String(maxAltitude));
+  setAreaParams(params, area);
+  if (filter) params.set("filter", filter);
+}
+
 export async function getMeta() {
   const r = await fetch("/api/meta");
   if (!r.ok) throw new Error("meta failed");
   return r.json();
 }
 
-export async function getSnapshot(ts, airspaces = "", airports = "", minAltitude = null, maxAltitude = null) {
+export async function getSnapshot(ts, filters = {}) {
   const params = new URLSearchParams({ ts: String(ts) });
-  if (airspaces) params.set("airspaces", airspaces);
-  if (airports) params.set("airports", airports);
-  if (minAltitude !== null && minAltitude >= 0) params.set("minAltitude", String(minAltitude));
-  if (maxAltitude !== null && maxAltitude >= 0) params.set("maxAltitude", String(maxAltitude));
+  setFilterParams(params, filters);
   const r = await fetch(`/api/snapshot?${params.toString()}`);
   if (!r.ok) throw new Error("snapshot failed");
   return r.json();
 }
 
-export async function getCallsigns(since, until, airspaces = "", airports = "", minAltitude = null, maxAltitude = null) {
+// One state per aircraft at ts, interpolated between the stored polls around it
+export async function getInterpolatedSnapshot(ts, filters = {}) {
+  const params = new URLSearchParams({ ts: String(ts) });
+  setFilterParams(params, filters);
+  const r = await fetch(`/api/snapshot/interpolated?${params.toString()}`);
+  if (!r.ok) throw new Error("interpolated snapshot failed");
+  return r.json();
+}
+
+export async function getCallsigns(since, until, filters = {}) {
   const params = new URLSearchParams({ since: String(since), until: String(until), limit: "2000" });
-  if (airspaces) params.set("airspaces", airspaces);
-  if (airports) params.set("airports", airports);
-  if (minAltitude !== null && minAltitude >= 0) params.set("minAltitude", String(minAltitude));
-  if (maxAltitude !== null && maxAltitude >= 0) params.set("maxAltitude", String(maxAltitude));
+  setFilterParams(params, filters);
   const r = await fetch(`/api/callsigns?${params.toString()}`);
   if (!r.ok) throw new Error("callsigns failed");
   return r.json();
 }
 
-export async function getTrack(callsign, since, until, step = 15, airspaces = "", airports = "", minAltitude = null, maxAltitude = null) {
+// query: { q, cid, airline, groupBy, since, until, page, pageSize }
+export async function searchCallsigns(query) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value !== null && value !== undefined && value !== "") params.set(key, String(value));
+  }
+  const r = await fetch(`/api/callsigns/search?${params.toString()}`);
+  if (!r.ok) throw new Error("callsign search failed");
+  return r.json();
+}
+
+// simplify: null for time-bucket downsampling by step, or { toleranceNm, altitudeTolerance, maxPoints }
+// for a Douglas-Peucker simplified track
+export async function getTrack(callsign, since, until, step = 15, filters = {}, simplify = null) {
   const params = new URLSearchParams({ since: String(since), until: String(until), step: String(step) });
-  if (airspaces) params.set("airspaces", airspaces);
-  if (airports) params.set("airports", airports);
-  if (minAltitude !== null && minAltitude >= 0) params.set("minAltitude", String(minAltitude));
-  if (maxAltitude !== null && maxAltitude >= 0) params.set("maxAltitude", String(maxAltitude));
+  if (simplify) {
+    params.set("simplify", "dp");
+    if (simplify.toleranceNm != null) params.set("toleranceNm", String(simplify.toleranceNm));
+    if (simplify.altitudeTolerance != null) params.set("altitudeTolerance", String(simplify.altitudeTolerance));
+    if (simplify.maxPoints != null) params.set("maxPoints", String(simplify.maxPoints));
+  }
+  setFilterParams(params, filters);
   const r = await fetch(`/api/track/${encodeURIComponent(callsign)}?${params.toString()}`);
   if (!r.ok) throw new Error("track failed");
   return r.json();
 }
 
+// Checks a filter expression without running a query: { ok, filter } or { ok: false, error, position }
+export async function checkFilterExpression(filter) {
+  const r = await fetch(`/api/filter-expression?${new URLSearchParams({ filter }).toString()}`);
+  if (r.status === 400) return r.json();
+  if (!r.ok) throw new Error("filter expression check failed");
+  return r.json();
+}
+
 export async function getAirspaces(since, until) {
   const r = await fetch(`/api/airspaces?since=${since}&until=${until}&limit=2000`);
   if (!r.ok) throw new Error("airspaces failed");
@@ -49,28 +106,61 @@ export async function getAirports(since, until) {
   return r.json();
 }
 
-export async function getAirspace() {
+export async function getAirport(icao) {
+  const r = await fetch(`/api/airports/${encodeURIComponent(icao)}`);
+  if (!r.ok) throw new Error("airport failed");
+  return r.json();
+}
+
+export async function getAlerts(since, until, types = "") {
+  const params = new URLSearchParams({ since: String(since), until: String(until), limit: "1000" });
+  if (types) params.set("types", types);
+  const r = await fetch(`/api/alerts?${params.toString()}`);
+  if (!r.ok) throw new Error("alerts failed");
+  return r.json();
+}
+
+export async function getCoverage(since, until) {
+  const params = new URLSearchParams({ since: String(since), until: String(until) });
+  const r = await fetch(`/api/coverage?${params.toString()}`);
+  if (!r.ok) throw new Error("coverage failed");
+  return r.json();
+}
+
+const airspaceByVersion = new Map();
+
+// Boundary datasets are content-versioned: a given version never changes, so it is cached
+// in memory per version and the most recent one is also kept in localStorage.
+export async function getAirspace(version = null) {
+  if (version && airspaceByVersion.has(version)) {
+    return airspaceByVersion.get(version);
+  }
+
   // Check browser cache first
   const cached = localStorage.getItem("airspace_cache");
   if (cached) {
     try {
-      return JSON.parse(cached);
+      const data = JSON.parse(cached);
+      if (!version || data?.version === version) {
+        if (data?.version) airspaceByVersion.set(data.version, data);
+        return data;
+      }
     } catch (e) {
       // Invalid cache, continue to fetch
     }
   }
 
-  const r = await fetch("/api/airspace");
+  const r = await fetch(version ? `/api/airspace?version=${encodeURIComponent(version)}` : "/api/airspace");
   if (!r.ok) throw new Error("airspace failed");
   const data = await r.json();
-  
-  // Cache for 24 hours
+  if (data?.version) airspaceByVersion.set(data.version, data);
+
   try {
     localStorage.setItem("airspace_cache", JSON.stringify(data));
   } catch (e) {
     // Storage full or not available, continue without caching
   }
-  
+
   return data;
 }
 
@@ -86,19 +176,17 @@ export async function getAtcSnapshot(ts) {
   return r.json();
 }
 
-export async function getPreloadSnapshots(since, until, step, airspaces = "", airports = "", minAltitude = null, maxAltitude = null) {
+// step: null lets the server use the resolution stored for the range (coarser once downsampled)
+export async function getPreloadSnapshots(since, until, step = null, filters = {}) {
   const params = new URLSearchParams({
     since: String(since),
-    until: String(until),
-    step: String(step)
+    until: String(until)
   });
-  if (airspaces) params.set("airspaces", airspaces);
-  if (airports) params.set("airports", airports);
-  if (minAltitude !== null && minAltitude >= 0) params.set("minAltitude", String(minAltitude));
-  if (maxAltitude !== null && maxAltitude >= 0) params.set("maxAltitude", String(maxAltitude));
+  if (step != null) params.set("step", String(step));
+  setFilterParams(params, filters);
 
   const url = `/api/preload-snapshots?${params.toString()}`;
-  console.log("[preload] sending request:", { since, until, step, airspaces, airports, minAltitude, maxAltitude, url });
+  console.log("[preload] sending request:", { since, until, step, filters, url });
   
   const r = await fetch(url);
   if (!r.ok) {
@@ -117,6 +205,29 @@ export async function getEvents(limit = 500, refresh = false) {
   return r.json();
 }
 
+export async function getPins() {
+  const r = await fetch("/api/pins");
+  if (!r.ok) throw new Error("pins failed");
+  return r.json();
+}
+
+// Pins a window past retention: the pin, or { ok: false, error } when the server rejects it
+export async function createPin(pin) {
+  const r = await fetch("/api/pins", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(pin)
+  });
+  if (r.status === 400) return r.json();
+  if (!r.ok) throw new Error("pin create failed");
+  return r.json();
+}
+
+export async function deletePin(id) {
+  const r = await fetch(`/api/pins/${encodeURIComponent(id)}`, { method: "DELETE" });
+  if (!r.ok && r.status !== 404) throw new Error("pin delete failed");
+}
+
 export async function getTracon() {
   // Check browser cache first
   const cached = localStorage.getItem("tracon_cache");
@@ -0,0 +1,109 @@
+// Lists, exports, attaches or detaches days of the cold archive (src/archive.js).
+//
+// usage: bun scripts/archive.js [list|export <day>|attach <day>|detach <day>] [--db <path>] [--dir <path>]
+//
+// Days are UTC dates (YYYY-MM-DD). The archive directory defaults to ARCHIVE_DIR. export writes
+// a day that is still in the live tables (the collector does this itself before retention
+// removes it); attach imports an archived day into archive_snapshots / archive_atc_snapshots so
+// it can be replayed, and detach removes it again. The collector's archive pass detaches days that
+// have been attached for more than ARCHIVE_ATTACH_HOURS. A running server picks up attached days
+// within a few seconds, once its response cache expires.
+import dotenv from "dotenv";
+import { resolve } from "node:path";
+
+import { createArchiveStoreFromEnv } from "../src/archive.js";
+import { getArchiveDays, openDb } from "../src/db.js";
+import { resolveDbPath } from "../src/dbPath.js";
+
+dotenv.config();
+
+const USAGE = "usage: bun scripts/archive.js [list|export <day>|attach <day>|detach <day>] [--db <path>] [--dir <path>]";
+const COMMANDS = ["list", "export", "attach", "detach"];
+
+function parseArgs(argv) {
+  const options = { command: "list", day: null, dbPath: null, dir: null };
+  const positional = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--db") {
+      options.dbPath = argv[i + 1];
+      i += 1;
+    } else if (arg === "--dir") {
+      options.dir = argv[i + 1];
+      i += 1;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`unexpected argument ${arg}\n${USAGE}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  if (positional.length > 0) options.command = positional[0];
+  options.day = positional[1] ?? null;
+  const expectedArgs = options.command === "list" ? 1 : 2;
+  if (!COMMANDS.includes(options.command) || positional.length > expectedArgs || (expectedArgs === 2 && !options.day)) {
+    throw new Error(USAGE);
+  }
+  return options;
+}
+
+function formatTs(ts) {
+  return ts == null ? "-" : new Date(ts * 1000).toISOString().replace(".000Z", "Z");
+}
+
+function printDays(days, store) {
+  if (days.length === 0) {
+    console.log("[archive] no archived days");
+    return;
+  }
+  for (const row of days) {
+    const expiresTs = store?.expiresTs(row.attachedTs) ?? null;
+    const attached = row.attachedTs == null
+      ? "detached"
+      : `attached ${formatTs(row.attachedTs)}${expiresTs != null ? ` until ${formatTs(expiresTs)}` : ""}`;
+    console.log(`  ${row.day}  pilots=${row.pilotRows} atc=${row.atcRows}  archived ${formatTs(row.archivedTs)}  ${attached}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const store = createArchiveStoreFromEnv(options.dir ? { ...process.env, ARCHIVE_DIR: options.dir } : process.env);
+  if (!store && options.command !== "list") {
+    throw new Error("no archive directory: set ARCHIVE_DIR or pass --dir");
+  }
+  const dbPath = options.dbPath ? resolve(options.dbPath) : resolveDbPath();
+  const db = openDb(dbPath);
+  console.log(`[archive] sqlite db path: ${dbPath}`);
+  if (store) console.log(`[archive] directory: ${store.dir}`);
+
+  try {
+    if (options.command === "list") {
+      printDays(getArchiveDays(db), store);
+      return 0;
+    }
+    if (options.command === "export") {
+      const record = await store.exportDay(db, options.day);
+      console.log(`[archive] exported ${record.day}: pilots=${record.pilotRows} atc=${record.atcRows}`);
+      return 0;
+    }
+
+    const result = options.command === "attach"
+      ? await store.attachDay(db, options.day)
+      : store.detachDay(db, options.day);
+    if (!result.ok) {
+      console.error(`[archive] ${result.error} (got ${JSON.stringify(result.received)})`);
+      return 1;
+    }
+    const until = result.expiresTs != null ? ` until ${formatTs(result.expiresTs)}` : "";
+    console.log(`[archive] ${options.command}ed ${result.day}: pilots=${result.pilotRows} atc=${result.atcRows}${until}`);
+    return 0;
+  } finally {
+    db.close();
+  }
+}
+
+try {
+  process.exit(await main());
+} catch (e) {
+  console.error("[archive] failed:", e?.message || e);
+  process.exit(2);
+}
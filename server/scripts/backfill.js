@@ -0,0 +1,254 @@
+// Seeds the database from archived vatsim-data.json dumps.
+//
+// usage: bun scripts/backfill.js <dir|file|archive.tar[.gz]>... [--db <path>] [--no-airspace]
+//
+// Inputs may be directories (walked recursively), single dumps (.json / .json.gz) or
+// tar archives (.tar, .tar.gz, .tgz). Each dump is stored under its general.update_timestamp;
+// timestamps that already have pilot or ATC rows are skipped, so an interrupted run can
+// simply be started again.
+import dotenv from "dotenv";
+import { createReadStream, readdirSync, readFileSync, statSync } from "node:fs";
+import { join, resolve } from "node:path";
+import { createGunzip } from "node:zlib";
+
+import { createAirportDbFromEnv } from "../src/airportDb.js";
+import { AirspaceMatcher } from "../src/airspaceMatcher.js";
+import { createBoundaryStoreFromEnv } from "../src/boundaryStore.js";
+import { detectAirspaceCrossings, normalizeAtcPositions, normalizePilots, seedAirspaceState } from "../src/collector.js";
+import { feedUpdateTs, isDumpFileName, parseDumpBuffer } from "../src/dataSources.js";
+import { getLatestAirspaces, getOpenFlights, hasSnapshotsAt, insertAirspaceCrossings, insertAtcSnapshots, insertSnapshots, openDb, recordBoundaryVersion, saveFlights } from "../src/db.js";
+import { resolveDbPath } from "../src/dbPath.js";
+import { FlightAnalyzer } from "../src/flightAnalyzer.js";
+
+dotenv.config();
+
+const TAR_FILE_PATTERN = /\.(tar|tar\.gz|tgz)$/i;
+const TAR_BLOCK_SIZE = 512;
+
+function parseArgs(argv) {
+  const options = { inputs: [], dbPath: null, airspace: true };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--db") {
+      options.dbPath = argv[i + 1];
+      i += 1;
+    } else if (arg === "--no-airspace") {
+      options.airspace = false;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`unknown option ${arg}`);
+    } else {
+      options.inputs.push(arg);
+    }
+  }
+  return options;
+}
+
+function walkDir(dir) {
+  const out = [];
+  const entries = readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      out.push(...walkDir(path));
+    } else if (isDumpFileName(entry.name) || TAR_FILE_PATTERN.test(entry.name)) {
+      out.push(path);
+    }
+  }
+  return out;
+}
+
+// Collects stream chunks and hands out exact byte counts without re-copying the whole buffer per chunk.
+class ByteQueue {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  push(chunk) {
+    this.chunks.push(chunk);
+    this.length += chunk.length;
+  }
+
+  take(n) {
+    const joined = this.chunks.length === 1 ? this.chunks[0] : Buffer.concat(this.chunks, this.length);
+    const out = joined.subarray(0, n);
+    const rest = joined.subarray(n);
+    this.chunks = rest.length > 0 ? [rest] : [];
+    this.length = rest.length;
+    return out;
+  }
+}
+
+function readTarString(header, offset, length) {
+  const raw = header.subarray(offset, offset + length);
+  const end = raw.indexOf(0);
+  return raw.subarray(0, end === -1 ? raw.length : end).toString("utf8");
+}
+
+function parsePaxPath(data) {
+  const match = data.toString("utf8").match(/^\d+ path=(.*)$/m);
+  return match ? match[1] : null;
+}
+
+// Minimal streaming ustar/GNU tar reader; yields regular file entries only.
+async function* readTarEntries(path) {
+  let stream = createReadStream(path);
+  if (/\.(tar\.gz|tgz)$/i.test(path)) {
+    stream = stream.pipe(createGunzip());
+  }
+
+  const queue = new ByteQueue();
+  let entry = null;
+  let nextName = null;
+
+  for await (const chunk of stream) {
+    queue.push(chunk);
+
+    while (true) {
+      if (!entry) {
+        if (queue.length < TAR_BLOCK_SIZE) break;
+        const header = Buffer.from(queue.take(TAR_BLOCK_SIZE));
+        if (header.every((b) => b === 0)) continue;
+
+        const name = readTarString(header, 0, 100);
+        const prefix = readTarString(header, 345, 155);
+        const size = parseInt(readTarString(header, 124, 12).trim() || "0", 8);
+        entry = {
+          name: prefix ? `${prefix}/${name}` : name,
+          type: String.fromCharCode(header[156] || 48),
+          size: Number.isFinite(size) ? size : 0
+        };
+        entry.paddedSize = Math.ceil(entry.size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+      }
+
+      if (queue.length < entry.paddedSize) break;
+      const data = Buffer.from(queue.take(entry.paddedSize).subarray(0, entry.size));
+      const current = entry;
+      entry = null;
+
+      if (current.type === "L") {
+        nextName = readTarString(data, 0, data.length);
+      } else if (current.type === "x") {
+        nextName = parsePaxPath(data) ?? nextName;
+      } else if (current.type === "0" || current.type === "\0") {
+        yield { name: nextName ?? current.name, data };
+        nextName = null;
+      } else {
+        nextName = null;
+      }
+    }
+  }
+}
+
+async function* readDumps(input) {
+  const path = resolve(input);
+  const stat = statSync(path);
+  const files = stat.isDirectory() ? walkDir(path) : [path];
+
+  for (const file of files) {
+    if (TAR_FILE_PATTERN.test(file)) {
+      for await (const entry of readTarEntries(file)) {
+        if (!isDumpFileName(entry.name)) continue;
+        yield { name: `${file}:${entry.name}`, load: () => parseDumpBuffer(entry.data, entry.name) };
+      }
+    } else if (isDumpFileName(file)) {
+      yield { name: file, load: () => parseDumpBuffer(readFileSync(file), file) };
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.inputs.length === 0) {
+    console.error("usage: bun scripts/backfill.js <dir|file|archive.tar[.gz]>... [--db <path>] [--no-airspace]");
+    process.exit(1);
+  }
+
+  const dbPath = options.dbPath ? resolve(options.dbPath) : resolveDbPath();
+  const db = openDb(dbPath);
+  console.log(`[backfill] sqlite db path: ${dbPath}`);
+
+  let matcher = null;
+  if (options.airspace) {
+    try {
+      matcher = new AirspaceMatcher(createBoundaryStoreFromEnv());
+      await matcher.load();
+    } catch (e) {
+      matcher = null;
+      console.warn(`[backfill] airspace matcher unavailable; importing without airspace: ${e?.message || e}`);
+    }
+  }
+
+  const airportDb = createAirportDbFromEnv();
+  try {
+    await airportDb.load();
+  } catch (e) {
+    console.warn(`[backfill] airport list unavailable; importing without ground airports: ${e?.message || e}`);
+  }
+
+  // Flights are segmented in dump order, continuing any flights still open in the database
+  const flightAnalyzer = new FlightAnalyzer({ resolveAirport: (lat, lon) => airportDb.nearestIcao(lat, lon) });
+  flightAnalyzer.seed(getOpenFlights(db));
+  seedAirspaceState(getLatestAirspaces(db));
+
+  const importDump = db.transaction((ts, pilots, atc) => {
+    const result = {
+      pilots: insertSnapshots(db, ts, pilots),
+      atc: insertAtcSnapshots(db, ts, atc)
+    };
+    saveFlights(db, flightAnalyzer.observe(ts, pilots));
+    // Imported frames are classified against today's boundaries; that is recorded unless the
+    // frame falls inside a run the live collector already recorded (see recordBoundaryVersion)
+    if (matcher) {
+      recordBoundaryVersion(db, ts, matcher.version);
+      insertAirspaceCrossings(db, ts, detectAirspaceCrossings(ts, pilots));
+    }
+    return result;
+  });
+
+  const totals = { files: 0, imported: 0, skipped: 0, failed: 0, pilots: 0, atc: 0 };
+
+  for (const input of options.inputs) {
+    for await (const dump of readDumps(input)) {
+      totals.files += 1;
+      try {
+        const data = dump.load();
+        const ts = feedUpdateTs(data);
+        if (ts == null) {
+          totals.failed += 1;
+          console.warn(`[backfill] ${dump.name}: missing general.update_timestamp, skipped`);
+          continue;
+        }
+        if (hasSnapshotsAt(db, ts)) {
+          totals.skipped += 1;
+          continue;
+        }
+
+        const normalized = normalizePilots(data);
+        const airspaces = matcher ? matcher.lookupMany(normalized) : [];
+        const groundAirports = airportDb.lookupGroundAirports(normalized);
+        const pilots = normalized.map((p, i) => ({ ...p, airspace: null, fir: null, ...airspaces[i], groundAirport: groundAirports[i] }));
+        const result = importDump(ts, pilots, normalizeAtcPositions(data));
+        totals.imported += 1;
+        totals.pilots += result.pilots;
+        totals.atc += result.atc;
+      } catch (e) {
+        totals.failed += 1;
+        console.warn(`[backfill] ${dump.name}: ${e?.message || e}`);
+      }
+
+      if (totals.files % 100 === 0) {
+        console.log(`[backfill] files=${totals.files} imported=${totals.imported} skipped=${totals.skipped} failed=${totals.failed}`);
+      }
+    }
+  }
+
+  console.log(`[backfill] done files=${totals.files} imported=${totals.imported} skipped=${totals.skipped} failed=${totals.failed} pilots=${totals.pilots} atc=${totals.atc}`);
+  db.close();
+}
+
+main().catch((e) => {
+  console.error("[backfill] failed:", e?.message || e);
+  process.exit(2);
+});
@@ -0,0 +1,98 @@
+// Shows or applies the database schema migrations (src/migrations.js).
+//
+// usage: bun scripts/migrate.js [status|up] [--dry-run] [--db <path>]
+//
+// status (the default) lists applied and pending migrations without changing anything.
+// up applies the pending ones; with --dry-run they are run against the real data and rolled
+// back. Exits 1 when migrations are pending after `status` or when the database was migrated
+// by a newer server, so deploy scripts can check before starting processes.
+import dotenv from "dotenv";
+import { existsSync } from "node:fs";
+import { resolve } from "node:path";
+
+import { connectDb } from "../src/db.js";
+import { resolveDbPath } from "../src/dbPath.js";
+import { assertSchemaNotNewer, getMigrationStatus, MIGRATIONS, runMigrations } from "../src/migrations.js";
+
+dotenv.config();
+
+const USAGE = "usage: bun scripts/migrate.js [status|up] [--dry-run] [--db <path>]";
+
+function parseArgs(argv) {
+  const options = { command: "status", dbPath: null, dryRun: false };
+  let commandSeen = false;
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--db") {
+      options.dbPath = argv[i + 1];
+      i += 1;
+    } else if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg.startsWith("--") || commandSeen || !["status", "up"].includes(arg)) {
+      throw new Error(`unexpected argument ${arg}\n${USAGE}`);
+    } else {
+      options.command = arg;
+      commandSeen = true;
+    }
+  }
+  return options;
+}
+
+function formatTs(ts) {
+  return new Date(ts * 1000).toISOString().replace(".000Z", "Z");
+}
+
+function printStatus(status) {
+  console.log(`[migrate] schema version ${status.currentVersion}, latest ${status.latestVersion}`);
+  for (const m of status.applied) {
+    console.log(`  applied  ${String(m.version).padStart(3)} ${m.name} (${formatTs(m.appliedTs)}, ${m.durationMs ?? "?"} ms)`);
+  }
+  for (const m of status.pending) {
+    console.log(`  pending  ${String(m.version).padStart(3)} ${m.name}`);
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const dbPath = options.dbPath ? resolve(options.dbPath) : resolveDbPath();
+  // Don't create the file just to report on it
+  if (!existsSync(dbPath) && (options.command === "status" || options.dryRun)) {
+    console.log(`[migrate] ${dbPath} does not exist yet; every migration is pending`);
+    for (const m of MIGRATIONS) {
+      console.log(`  pending  ${String(m.version).padStart(3)} ${m.name}`);
+    }
+    return 1;
+  }
+  const db = connectDb(dbPath);
+  console.log(`[migrate] sqlite db path: ${dbPath}`);
+
+  try {
+    const status = getMigrationStatus(db);
+    printStatus(status);
+    assertSchemaNotNewer(status);
+
+    if (options.command === "status") {
+      if (options.dryRun && status.pending.length > 0) {
+        runMigrations(db, { dryRun: true, log: (line) => console.log(`[migrate] ${line}`) });
+      }
+      return status.pending.length > 0 ? 1 : 0;
+    }
+
+    if (status.pending.length === 0) {
+      console.log("[migrate] nothing to do");
+      return 0;
+    }
+    const applied = runMigrations(db, { dryRun: options.dryRun, log: (line) => console.log(`[migrate] ${line}`) });
+    console.log(`[migrate] ${options.dryRun ? "dry run ok" : "done"}: ${applied.length} migration(s)`);
+    return 0;
+  } finally {
+    db.close();
+  }
+}
+
+try {
+  process.exit(main());
+} catch (e) {
+  console.error("[migrate] failed:", e?.message || e);
+  process.exit(2);
+}
@@ -0,0 +1,254 @@
+import fetch from "node-fetch";
+import { existsSync, mkdirSync, readFileSync, statSync, writeFileSync } from "node:fs";
+import { dirname, isAbsolute, join, resolve } from "node:path";
+
+import { resolveDbPath } from "./dbPath.js";
+import { distanceNm, toRadians } from "./geo.js";
+
+const VATSPY_DAT_URLS = [
+  "https://raw.githubusercontent.com/vatsimnetwork/vatspy-data-project/main/VATSpy.dat",
+  "https://raw.githubusercontent.com/vatsimnetwork/vatspy-data-project/master/VATSpy.dat"
+];
+
+const USER_AGENT = "vatsim-traffic-replay/1.0 (+https://example.local)";
+const FETCH_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const RETRY_AFTER_FAILURE_MS = 10 * 60 * 1000;
+
+// Aerodrome reference points are usually near the middle of the field, so anything within
+// a few miles is on that aerodrome; only the closest one counts.
+const DEFAULT_MATCH_RADIUS_NM = 4;
+// Same threshold the flight analyzer uses for "landed": slower than this is on the ground
+const GROUND_MAX_GROUNDSPEED = 40;
+const GRID_CELL_DEGREES = 1;
+const GRID_COLS = 360 / GRID_CELL_DEGREES;
+
+function gridRow(lat) {
+  return Math.floor((Math.max(-90, Math.min(89.999, lat)) + 90) / GRID_CELL_DEGREES);
+}
+
+function gridCol(lon) {
+  const col = Math.floor((lon + 180) / GRID_CELL_DEGREES);
+  return ((col % GRID_COLS) + GRID_COLS) % GRID_COLS;
+}
+
+function gridKey(row, col) {
+  return row * GRID_COLS + col;
+}
+
+// [Airports] lines are ICAO|Name|Latitude|Longitude|IATA/LID|FIR|IsPseudo
+export function parseVatspyAirports(text) {
+  const airports = [];
+  let section = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line.length === 0 || line.startsWith(";")) continue;
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      section = header[1].trim().toLowerCase();
+      continue;
+    }
+    if (section !== "airports") continue;
+
+    const [icao, name, lat, lon, iata, fir, pseudo] = line.split("|").map((x) => x?.trim() ?? "");
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lon);
+    if (!icao || !Number.isFinite(latitude) || !Number.isFinite(longitude)) continue;
+
+    airports.push({
+      icao: icao.toUpperCase(),
+      name: name || null,
+      latitude,
+      longitude,
+      iata: iata || null,
+      fir: fir || null,
+      pseudo: pseudo === "1"
+    });
+  }
+
+  return airports;
+}
+
+async function downloadText(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      headers: {
+        "User-Agent": USER_AGENT
+      },
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`VATSpy.dat fetch failed: ${response.status} ${response.statusText}`);
+    }
+    return await response.text();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// VATSpy airport list: metadata by ICAO and nearest-aerodrome lookups. Reads a pinned local
+// VATSpy.dat, or downloads it from GitHub and keeps a copy that is reused while fresh and
+// whenever the download fails.
+export class AirportDb {
+  constructor({ cacheFile, pinnedFile = null, urls = VATSPY_DAT_URLS } = {}) {
+    this.cacheFile = cacheFile;
+    this.pinnedFile = pinnedFile;
+    this.urls = urls;
+    this.byIcao = new Map();
+    this.grid = new Map();
+    this.loadedAtMs = 0;
+    this.failedAtMs = 0;
+  }
+
+  get size() {
+    return this.byIcao.size;
+  }
+
+  describe() {
+    return this.pinnedFile ? `pinned (${this.pinnedFile})` : `github, cached at ${this.cacheFile}`;
+  }
+
+  async load() {
+    try {
+      const text = this.pinnedFile ? readFileSync(this.pinnedFile, "utf8") : await this.readOrDownload();
+      this.loadFromText(text);
+      this.loadedAtMs = Date.now();
+    } catch (e) {
+      this.failedAtMs = Date.now();
+      throw e;
+    }
+  }
+
+  async readOrDownload() {
+    const cached = this.cacheFile && existsSync(this.cacheFile) ? this.cacheFile : null;
+    if (cached && Date.now() - statSync(cached).mtimeMs < DEFAULT_MAX_AGE_MS) {
+      return readFileSync(cached, "utf8");
+    }
+
+    let lastError = null;
+    for (const url of this.urls) {
+      try {
+        const text = await downloadText(url);
+        if (this.cacheFile) {
+          try {
+            mkdirSync(dirname(this.cacheFile), { recursive: true });
+            writeFileSync(this.cacheFile, text);
+          } catch (e) {
+            console.warn(`[airports] could not cache ${this.cacheFile}: ${e?.message || e}`);
+          }
+        }
+        return text;
+      } catch (e) {
+        // Timeout or network error, try next URL
+        lastError = e;
+      }
+    }
+
+    if (cached) {
+      console.warn(`[airports] download failed, using cached ${cached}: ${lastError?.message || lastError}`);
+      return readFileSync(cached, "utf8");
+    }
+    throw new Error(`Failed to load VATSpy airports: ${lastError?.message || lastError}`);
+  }
+
+  loadFromText(text) {
+    const byIcao = new Map();
+    const grid = new Map();
+
+    for (const airport of parseVatspyAirports(text)) {
+      // Some ICAOs appear twice (a real aerodrome and a pseudo entry); prefer the real one
+      const existing = byIcao.get(airport.icao);
+      if (!existing || (existing.pseudo && !airport.pseudo)) byIcao.set(airport.icao, airport);
+    }
+
+    for (const airport of byIcao.values()) {
+      if (airport.pseudo) continue;
+      const key = gridKey(gridRow(airport.latitude), gridCol(airport.longitude));
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(airport);
+    }
+
+    this.byIcao = byIcao;
+    this.grid = grid;
+  }
+
+  // Without a usable copy, a failed load is only retried after RETRY_AFTER_FAILURE_MS so an
+  // offline collector doesn't wait on GitHub every poll.
+  async ensureFresh(maxAgeMs = DEFAULT_MAX_AGE_MS) {
+    if (this.byIcao.size > 0 && (this.pinnedFile || Date.now() - this.loadedAtMs < maxAgeMs)) return;
+    if (Date.now() - this.failedAtMs < RETRY_AFTER_FAILURE_MS) return;
+    try {
+      await this.load();
+    } catch (e) {
+      if (this.byIcao.size === 0) throw e;
+      console.warn(`[airports] refresh failed, keeping previous list: ${e?.message || e}`);
+    }
+  }
+
+  get(icao) {
+    if (typeof icao !== "string") return null;
+    return this.byIcao.get(icao.trim().toUpperCase()) ?? null;
+  }
+
+  // Closest non-pseudo aerodrome within maxDistanceNm of the position, or null.
+  nearest(lat, lon, maxDistanceNm = DEFAULT_MATCH_RADIUS_NM) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || this.grid.size === 0) return null;
+
+    const radiusDeg = maxDistanceNm / 60;
+    const cosLat = Math.max(0.01, Math.cos(toRadians(Math.min(89, Math.abs(lat)))));
+    const rowSpan = Math.ceil(radiusDeg / GRID_CELL_DEGREES);
+    const colSpan = Math.min(GRID_COLS / 2, Math.ceil(radiusDeg / cosLat / GRID_CELL_DEGREES));
+    const row = gridRow(lat);
+    const col = gridCol(lon);
+
+    let best = null;
+    let bestDistance = maxDistanceNm;
+    for (let r = Math.max(0, row - rowSpan); r <= Math.min(180 / GRID_CELL_DEGREES - 1, row + rowSpan); r += 1) {
+      for (let c = col - colSpan; c <= col + colSpan; c += 1) {
+        const cell = this.grid.get(gridKey(r, ((c % GRID_COLS) + GRID_COLS) % GRID_COLS));
+        if (!cell) continue;
+        for (const airport of cell) {
+          const d = distanceNm(lat, lon, airport.latitude, airport.longitude);
+          if (d <= bestDistance) {
+            best = airport;
+            bestDistance = d;
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  nearestIcao(lat, lon, maxDistanceNm = DEFAULT_MATCH_RADIUS_NM) {
+    return this.nearest(lat, lon, maxDistanceNm)?.icao ?? null;
+  }
+
+  // Aerodrome each pilot row is on the ground at (null when airborne or away from any), in order.
+  lookupGroundAirports(pilots) {
+    if (!Array.isArray(pilots)) return [];
+    return pilots.map((p) => {
+      const gs = Number.isFinite(p?.groundspeed) ? p.groundspeed : 0;
+      if (gs >= GROUND_MAX_GROUNDSPEED) return null;
+      return this.nearestIcao(p.latitude, p.longitude);
+    });
+  }
+}
+
+function resolveConfiguredPath(value) {
+  const trimmed = value.trim();
+  return isAbsolute(trimmed) ? trimmed : resolve(trimmed);
+}
+
+// AIRPORTS_FILE pins a local VATSpy.dat; otherwise the download is cached next to the database.
+export function createAirportDbFromEnv(env = process.env) {
+  const pinnedFile = typeof env.AIRPORTS_FILE === "string" && env.AIRPORTS_FILE.trim().length > 0
+    ? resolveConfiguredPath(env.AIRPORTS_FILE)
+    : null;
+  return new AirportDb({
+    cacheFile: join(dirname(resolveDbPath()), "VATSpy.dat"),
+    pinnedFile
+  });
+}
@@ -1,11 +1,7 @@
-import fetch from "node-fetch";
-
-const AIRSPACE_URLS = [
-  "https://raw.githubusercontent.com/vatsimnetwork/vatspy-data-project/main/Boundaries.geojson",
-  "https://raw.githubusercontent.com/vatsimnetwork/vatspy-data-project/master/Boundaries.geojson"
-];
-
-const USER_AGENT = "vatsim-traffic-replay/1.0 (+https://example.local)";
+// Uniform lat/lon grid over polygon bboxes; each cell lists the features with a polygon touching it.
+const GRID_CELL_DEGREES = 2;
+const GRID_COLS = Math.ceil(360 / GRID_CELL_DEGREES);
+const GRID_ROWS = Math.ceil(180 / GRID_CELL_DEGREES);
 
 function ringContainsPoint(ring, lon, lat) {
   let inside = false;
@@ -38,48 +34,133 @@ function polygonContainsPoint(polygonCoordinates, lon, lat) {
   return true;
 }
 
-function geometryContainsPoint(geometry, lon, lat) {
-  if (!geometry) return false;
-
-  if (geometry.type === "Polygon") {
-    return polygonContainsPoint(geometry.coordinates, lon, lat);
-  }
+function wrapDelta(delta) {
+  return (((delta % 360) + 540) % 360) - 180;
+}
 
-  if (geometry.type === "MultiPolygon" && Array.isArray(geometry.coordinates)) {
-    return geometry.coordinates.some((poly) => polygonContainsPoint(poly, lon, lat));
+// Rewrites a ring so consecutive longitudes never jump by more than 180 degrees: a ring that
+// crosses the antimeridian keeps going past +/-180 instead of wrapping to the far side.
+function unwrapRing(ring) {
+  const out = [];
+  let prevLon = null;
+  for (const point of Array.isArray(ring) ? ring : []) {
+    if (!Array.isArray(point)) continue;
+    let lon = point[0];
+    const lat = point[1];
+    if (!Number.isFinite(lon) || !Number.isFinite(lat)) continue;
+    if (prevLon != null) lon = prevLon + wrapDelta(lon - prevLon);
+    out.push([lon, lat]);
+    prevLon = lon;
   }
+  return out;
+}
 
-  return false;
+function shiftRing(ring, offset) {
+  return offset === 0 ? ring : ring.map(([lon, lat]) => [lon + offset, lat]);
 }
 
-function computeGeometryBbox(geometry) {
+function ringBbox(ring) {
   let west = Infinity;
   let south = Infinity;
   let east = -Infinity;
   let north = -Infinity;
-  let hasPoint = false;
-
-  function walk(node) {
-    if (!Array.isArray(node)) return;
-    if (typeof node[0] === "number" && typeof node[1] === "number") {
-      const lon = node[0];
-      const lat = node[1];
-      if (Number.isFinite(lon) && Number.isFinite(lat)) {
-        hasPoint = true;
-        if (lon < west) west = lon;
-        if (lon > east) east = lon;
-        if (lat < south) south = lat;
-        if (lat > north) north = lat;
-      }
-      return;
-    }
+  for (const [lon, lat] of ring) {
+    if (lon < west) west = lon;
+    if (lon > east) east = lon;
+    if (lat < south) south = lat;
+    if (lat > north) north = lat;
+  }
+  return { west, south, east, north };
+}
+
+// One polygon of a feature, unwrapped and shifted so its western edge lies in [-180, 180).
+// A part that crosses the antimeridian therefore has east > 180 rather than a world-wide bbox.
+function buildPart(polygonCoordinates) {
+  if (!Array.isArray(polygonCoordinates) || polygonCoordinates.length === 0) return null;
+  let outer = unwrapRing(polygonCoordinates[0]);
+  if (outer.length < 3) return null;
 
-    for (const child of node) walk(child);
+  const bbox = ringBbox(outer);
+  const offset = -360 * Math.floor((bbox.west + 180) / 360);
+  outer = shiftRing(outer, offset);
+  bbox.west += offset;
+  bbox.east += offset;
+
+  const rings = [outer];
+  for (let i = 1; i < polygonCoordinates.length; i += 1) {
+    const hole = unwrapRing(polygonCoordinates[i]);
+    if (hole.length < 3) continue;
+    // Holes follow whichever copy of the world the outer ring ended up in
+    rings.push(shiftRing(hole, 360 * Math.round((outer[0][0] - hole[0][0]) / 360)));
   }
 
-  walk(geometry?.coordinates);
-  if (!hasPoint) return null;
-  return { west, south, east, north };
+  return { rings, bbox };
+}
+
+function buildGeometryParts(geometry) {
+  if (geometry?.type === "Polygon") {
+    return [buildPart(geometry.coordinates)].filter(Boolean);
+  }
+  if (geometry?.type === "MultiPolygon" && Array.isArray(geometry.coordinates)) {
+    return geometry.coordinates.map(buildPart).filter(Boolean);
+  }
+  return [];
+}
+
+function partContainsPoint(part, lon, lat) {
+  // Feed longitudes are in [-180, 180]; parts reaching past +180 are also tested one turn east
+  for (const x of part.bbox.east > 180 ? [lon, lon + 360] : [lon]) {
+    if (bboxContainsPoint(part.bbox, x, lat) && polygonContainsPoint(part.rings, x, lat)) return true;
+  }
+  return false;
+}
+
+function ringArea(ring) {
+  if (!Array.isArray(ring) || ring.length < 3) return 0;
+  let sum = 0;
+  let latSum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+    latSum += ring[i][1];
+  }
+  // Shoelace area in square degrees, with longitude shrunk by the ring's mean latitude
+  const meanLat = latSum / ring.length;
+  return Math.abs(sum / 2) * Math.cos((meanLat * Math.PI) / 180);
+}
+
+function polygonArea(polygonCoordinates) {
+  if (!Array.isArray(polygonCoordinates) || polygonCoordinates.length === 0) return 0;
+  let area = ringArea(polygonCoordinates[0]);
+  for (let i = 1; i < polygonCoordinates.length; i += 1) {
+    area -= ringArea(polygonCoordinates[i]);
+  }
+  return Math.max(0, area);
+}
+
+function computePartsArea(parts) {
+  return parts.reduce((sum, part) => sum + polygonArea(part.rings), 0);
+}
+
+function isOceanicFeature(feature) {
+  const value = feature?.properties?.oceanic;
+  return value === true || value === 1 || value === "1" || value === "true";
+}
+
+// Most specific first: domestic sectors before oceanic areas, then smallest area first.
+function compareSpecificity(a, b) {
+  if (a.oceanic !== b.oceanic) return a.oceanic ? 1 : -1;
+  return a.area - b.area;
+}
+
+// The parent FIR is the containing feature named by the best match's prefix (EDGG for
+// EDGG-E) when there is one, otherwise the broadest containing area of the same kind.
+function pickParentFir(matches) {
+  const best = matches[0];
+  const prefix = best.airspace.split(/[-_]/)[0];
+  const named = matches.find((m) => m !== best && m.airspace === prefix);
+  if (named) return named.airspace;
+  const sameKind = matches.filter((m) => m.oceanic === best.oceanic);
+  return sameKind[sameKind.length - 1].airspace;
 }
 
 function bboxContainsPoint(bbox, lon, lat) {
@@ -87,6 +168,47 @@ function bboxContainsPoint(bbox, lon, lat) {
   return lon >= bbox.west && lon <= bbox.east && lat >= bbox.south && lat <= bbox.north;
 }
 
+// Columns wrap around the antimeridian, so lon 190 lands in the same column as lon -170
+function wrapCol(col) {
+  const wrapped = col % GRID_COLS;
+  return wrapped < 0 ? wrapped + GRID_COLS : wrapped;
+}
+
+function gridCol(lon) {
+  return wrapCol(Math.floor((lon + 180) / GRID_CELL_DEGREES));
+}
+
+function gridRow(lat) {
+  return Math.max(0, Math.min(GRID_ROWS - 1, Math.floor((lat + 90) / GRID_CELL_DEGREES)));
+}
+
+function gridCellIndex(lat, lon) {
+  return gridRow(lat) * GRID_COLS + gridCol(lon);
+}
+
+function buildGrid(features) {
+  const cells = new Map();
+  features.forEach((feature, index) => {
+    for (const { bbox } of feature.parts) {
+      const firstCol = Math.floor((bbox.west + 180) / GRID_CELL_DEGREES);
+      const colCount = Math.min(GRID_COLS, Math.floor((bbox.east + 180) / GRID_CELL_DEGREES) - firstCol + 1);
+      for (let row = gridRow(bbox.south); row <= gridRow(bbox.north); row += 1) {
+        for (let i = 0; i < colCount; i += 1) {
+          const key = row * GRID_COLS + wrapCol(firstCol + i);
+          let bucket = cells.get(key);
+          if (!bucket) {
+            bucket = [];
+            cells.set(key, bucket);
+          }
+          // Parts of the same feature are added back to back; keep one entry per cell
+          if (bucket[bucket.length - 1] !== index) bucket.push(index);
+        }
+      }
+    }
+  });
+  return cells;
+}
+
 function featureAirspaceName(feature) {
   const props = feature?.properties || {};
   const id = feature?.id;
@@ -111,73 +233,84 @@ function featureAirspaceName(feature) {
   return null;
 }
 
+// Point-in-boundary lookups over the boundary dataset a BoundaryStore currently serves;
+// `version` names the dataset the loaded features were built from.
 export class AirspaceMatcher {
-  constructor() {
+  constructor(store) {
+    this.store = store;
     this.features = [];
-    this.lastLoadedAtMs = 0;
-  }
-
-  async load() {
-    let data = null;
-    let lastStatus = null;
-    const FETCH_TIMEOUT_MS = 5000; // 5 second timeout for airspace fetch
-
-    for (const url of AIRSPACE_URLS) {
-      try {
-        const controller = new AbortController();
-        const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
-        const response = await fetch(url, {
-          headers: {
-            "User-Agent": USER_AGENT
-          },
-          signal: controller.signal
-        });
-        clearTimeout(timer);
-
-        lastStatus = response.status;
-        if (!response.ok) continue;
-        data = await response.json();
-        break;
-      } catch (error) {
-        // Timeout or network error, try next URL
-        continue;
-      }
+    this.grid = new Map();
+    this.version = null;
+  }
+
+  async load(maxAgeMs) {
+    const { version, data } = await this.store.current(maxAgeMs);
+    if (version !== this.version || this.features.length === 0) {
+      this.loadFromData(data, version);
     }
+  }
 
+  loadFromData(data, version = null) {
     if (!data || !Array.isArray(data.features)) {
-      throw new Error(`Failed to load airspace boundaries (status: ${lastStatus ?? "unknown"})`);
+      throw new Error("Failed to load airspace boundaries (not a GeoJSON FeatureCollection)");
     }
 
     this.features = data.features
       .map((feature) => {
         const airspace = featureAirspaceName(feature);
-        const geometry = feature?.geometry;
-        const bbox = computeGeometryBbox(geometry);
-
-        if (!airspace || !geometry || !bbox) return null;
-        return { airspace, geometry, bbox };
+        const parts = buildGeometryParts(feature?.geometry);
+
+        if (!airspace || parts.length === 0) return null;
+        return {
+          airspace,
+          parts,
+          area: computePartsArea(parts),
+          oceanic: isOceanicFeature(feature)
+        };
       })
       .filter(Boolean);
-
-    this.lastLoadedAtMs = Date.now();
+    this.grid = buildGrid(this.features);
+    this.version = version;
   }
 
+  // The store decides when to re-download; features are only rebuilt when the version changes
   async ensureFresh(maxAgeMs = 60 * 60 * 1000) {
-    const ageMs = Date.now() - this.lastLoadedAtMs;
-    if (this.features.length > 0 && ageMs < maxAgeMs) return;
-    await this.load();
+    await this.load(maxAgeMs);
   }
 
-  lookup(lat, lon) {
-    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  // Every feature containing the point, most specific first.
+  lookupAll(lat, lon) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return [];
 
-    for (const feature of this.features) {
-      if (!bboxContainsPoint(feature.bbox, lon, lat)) continue;
-      if (geometryContainsPoint(feature.geometry, lon, lat)) {
-        return feature.airspace;
+    const candidates = this.grid.get(gridCellIndex(lat, lon));
+    if (!candidates) return [];
+
+    const matches = [];
+    for (const index of candidates) {
+      const feature = this.features[index];
+      if (feature.parts.some((part) => partContainsPoint(part, lon, lat))) {
+        matches.push(feature);
       }
     }
 
-    return null;
+    return matches.sort(compareSpecificity);
+  }
+
+  // { airspace: most specific match, fir: its parent FIR } (both null outside all boundaries)
+  resolve(lat, lon) {
+    const matches = this.lookupAll(lat, lon);
+    if (matches.length === 0) return { airspace: null, fir: null };
+    return { airspace: matches[0].airspace, fir: pickParentFir(matches) };
+  }
+
+  lookup(lat, lon) {
+    return this.resolve(lat, lon).airspace;
+  }
+
+  // Classifies a whole poll at once: positions are { latitude, longitude } objects (pilot rows);
+  // returns { airspace, fir } for each, in the same order.
+  lookupMany(positions) {
+    if (!Array.isArray(positions)) return [];
+    return positions.map((p) => this.resolve(p?.latitude, p?.longitude));
   }
 }
@@ -0,0 +1,258 @@
+import { once } from "node:events";
+import { createReadStream, createWriteStream, existsSync, mkdirSync, renameSync, rmSync } from "node:fs";
+import { isAbsolute, join, resolve } from "node:path";
+import { createInterface } from "node:readline";
+import { pipeline } from "node:stream/promises";
+import { createGunzip, createGzip } from "node:zlib";
+
+import {
+  deleteAttachedArchiveRows,
+  getArchivableAtcRows,
+  getArchivablePilotRows,
+  getArchiveDay,
+  getArchiveDays,
+  getExpiredAttachedDays,
+  getLiveDataStart,
+  insertAttachedArchiveRows,
+  recordArchiveDay,
+  setArchiveDayAttached
+} from "./db.js";
+
+// Cold archive of pilot and ATC polls. Before retention deletes or downsamples a UTC day, the
+// day is written to ARCHIVE_DIR as <day>.pilots.ndjson.gz and <day>.atc.ndjson.gz, one JSON row
+// per line, and recorded in archive_days. An archived day can be attached again: its rows are
+// imported into archive_snapshots / archive_atc_snapshots, which every replay query reads, until
+// it is detached, by hand or by the archive pass once it has been attached for attachHours.
+
+const DAY_SECONDS = 86400;
+const EXPORT_SLICE_SECONDS = 3600;
+const IMPORT_BATCH_ROWS = 5000;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function archiveDayOf(ts) {
+  return new Date(ts * 1000).toISOString().slice(0, 10);
+}
+
+function dayStartTs(ts) {
+  return ts - (((ts % DAY_SECONDS) + DAY_SECONDS) % DAY_SECONDS);
+}
+
+// Same result shape as validateReplayRange: { ok: true, day, startTs, endTs } (endTs exclusive)
+// or { ok: false, error, received } for a 400 response.
+export function parseArchiveDay(raw) {
+  const day = typeof raw === "string" ? raw.trim() : "";
+  const startMs = DAY_PATTERN.test(day) ? Date.parse(`${day}T00:00:00Z`) : NaN;
+  if (!Number.isFinite(startMs) || archiveDayOf(startMs / 1000) !== day) {
+    return { ok: false, error: "day must be a UTC date as YYYY-MM-DD", received: raw };
+  }
+  const startTs = startMs / 1000;
+  return { ok: true, day, startTs, endTs: startTs + DAY_SECONDS };
+}
+
+// Writes rows from a generator of row arrays as gzip NDJSON; a .tmp file is renamed into place
+// once complete, so a crash never leaves a truncated archive behind. Returns the row count.
+async function writeNdjsonGz(path, chunks) {
+  const tmpPath = `${path}.tmp`;
+  const gzip = createGzip();
+  const done = pipeline(gzip, createWriteStream(tmpPath));
+  let count = 0;
+  try {
+    for (const rows of chunks) {
+      for (const row of rows) {
+        count += 1;
+        if (!gzip.write(`${JSON.stringify(row)}\n`)) await once(gzip, "drain");
+      }
+      // Let the collector's polls run between slices
+      await new Promise((resolveSlice) => setImmediate(resolveSlice));
+    }
+    gzip.end();
+    await done;
+  } catch (e) {
+    gzip.destroy();
+    rmSync(tmpPath, { force: true });
+    throw e;
+  }
+  if (count === 0) {
+    rmSync(tmpPath, { force: true });
+    return 0;
+  }
+  renameSync(tmpPath, path);
+  return count;
+}
+
+function* sliceRows(readRows, startTs, endTs) {
+  for (let sliceTs = startTs; sliceTs < endTs; sliceTs += EXPORT_SLICE_SECONDS) {
+    yield readRows(sliceTs, Math.min(endTs, sliceTs + EXPORT_SLICE_SECONDS) - 1);
+  }
+}
+
+export class ArchiveStore {
+  // attachHours 0 keeps attached days until they are detached by hand
+  constructor({ dir, attachHours = 24 }) {
+    this.dir = dir;
+    this.attachHours = attachHours;
+  }
+
+  // When a day attached at attachedTs is detached again (null: never)
+  expiresTs(attachedTs) {
+    return attachedTs != null && this.attachHours > 0 ? attachedTs + this.attachHours * 3600 : null;
+  }
+
+  fileName(day, kind) {
+    return `${day}.${kind}.ndjson.gz`;
+  }
+
+  // Exports one day from the live tables; the rows themselves are left for retention to remove
+  async exportDay(db, day) {
+    const parsed = parseArchiveDay(day);
+    if (!parsed.ok) throw new Error(`${parsed.error}: ${day}`);
+    // An archived day is never exported again, so it has to be complete
+    if (parsed.endTs > Math.floor(Date.now() / 1000)) throw new Error(`${day} hasn't ended yet`);
+    mkdirSync(this.dir, { recursive: true });
+
+    const pilotsFile = this.fileName(day, "pilots");
+    const atcFile = this.fileName(day, "atc");
+    const pilotRows = await writeNdjsonGz(
+      join(this.dir, pilotsFile),
+      sliceRows((since, until) => getArchivablePilotRows(db, since, until), parsed.startTs, parsed.endTs)
+    );
+    const atcRows = await writeNdjsonGz(
+      join(this.dir, atcFile),
+      sliceRows((since, until) => getArchivableAtcRows(db, since, until), parsed.startTs, parsed.endTs)
+    );
+
+    const record = {
+      day,
+      startTs: parsed.startTs,
+      endTs: parsed.endTs,
+      pilotRows,
+      atcRows,
+      pilotsFile: pilotRows > 0 ? pilotsFile : null,
+      atcFile: atcRows > 0 ? atcFile : null,
+      archivedTs: Math.floor(Date.now() / 1000)
+    };
+    recordArchiveDay(db, record);
+    return record;
+  }
+
+  // How far the live data may be deleted or downsampled without losing anything unarchived: the
+  // start of the first day with live data before horizonTs that isn't archived yet, or of
+  // horizonTs's day. Reads no rows, so the prune pass can check it every time.
+  archivedUntil(db, horizonTs) {
+    const horizonDayTs = dayStartTs(horizonTs);
+    const done = new Set(getArchiveDays(db).map((row) => row.day));
+    let dataTs = getLiveDataStart(db);
+    while (dataTs != null && dataTs < horizonDayTs) {
+      const dayTs = dayStartTs(dataTs);
+      if (!done.has(archiveDayOf(dayTs))) return dayTs;
+      // Days without data are skipped rather than recorded
+      dataTs = getLiveDataStart(db, dayTs + DAY_SECONDS);
+    }
+    return horizonDayTs;
+  }
+
+  // Exports the complete days with live data before horizonTs that haven't been archived yet,
+  // oldest first and at most maxDays per call, and returns their records.
+  async archiveBefore(db, horizonTs, maxDays = 1) {
+    const archived = [];
+    while (archived.length < maxDays) {
+      const dayTs = this.archivedUntil(db, horizonTs);
+      if (dayTs >= dayStartTs(horizonTs)) break;
+      archived.push(await this.exportDay(db, archiveDayOf(dayTs)));
+    }
+    return archived;
+  }
+
+  async *readRows(fileName) {
+    const lines = createInterface({
+      input: createReadStream(join(this.dir, fileName)).pipe(createGunzip()),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      if (line.trim().length > 0) yield JSON.parse(line);
+    }
+  }
+
+  async importFile(db, day, kind, fileName) {
+    if (!fileName) return 0;
+    let imported = 0;
+    let batch = [];
+    for await (const row of this.readRows(fileName)) {
+      batch.push(row);
+      if (batch.length >= IMPORT_BATCH_ROWS) {
+        imported += insertAttachedArchiveRows(db, day, kind, batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) imported += insertAttachedArchiveRows(db, day, kind, batch);
+    return imported;
+  }
+
+  // Same result shape as parseArchiveDay; attaching an attached day imports it afresh
+  async attachDay(db, rawDay) {
+    const parsed = parseArchiveDay(rawDay);
+    if (!parsed.ok) return parsed;
+    const record = getArchiveDay(db, parsed.day);
+    if (!record) {
+      return { ok: false, error: "day has not been archived", received: rawDay };
+    }
+    const missing = [record.pilotsFile, record.atcFile].filter((file) => file && !existsSync(join(this.dir, file)));
+    if (missing.length > 0) {
+      return { ok: false, error: `archive file missing from ${this.dir}: ${missing.join(", ")}`, received: rawDay };
+    }
+
+    deleteAttachedArchiveRows(db, parsed.day);
+    try {
+      const pilotRows = await this.importFile(db, parsed.day, "pilots", record.pilotsFile);
+      const atcRows = await this.importFile(db, parsed.day, "atc", record.atcFile);
+      const attachedTs = Math.floor(Date.now() / 1000);
+      setArchiveDayAttached(db, parsed.day, attachedTs);
+      return {
+        ok: true,
+        day: parsed.day,
+        startTs: parsed.startTs,
+        endTs: parsed.endTs,
+        pilotRows,
+        atcRows,
+        expiresTs: this.expiresTs(attachedTs)
+      };
+    } catch (e) {
+      // Don't leave half a day attached
+      deleteAttachedArchiveRows(db, parsed.day);
+      throw e;
+    }
+  }
+
+  detachDay(db, rawDay) {
+    const parsed = parseArchiveDay(rawDay);
+    if (!parsed.ok) return parsed;
+    if (!getArchiveDay(db, parsed.day)) {
+      return { ok: false, error: "day has not been archived", received: rawDay };
+    }
+    return { ok: true, day: parsed.day, ...deleteAttachedArchiveRows(db, parsed.day) };
+  }
+
+  // Detaches the days attached for longer than attachHours; returns them
+  detachExpired(db, nowTs) {
+    if (this.attachHours <= 0) return [];
+    const days = getExpiredAttachedDays(db, nowTs - this.attachHours * 3600);
+    for (const day of days) deleteAttachedArchiveRows(db, day);
+    return days;
+  }
+}
+
+function resolveConfiguredPath(value) {
+  const trimmed = value.trim();
+  return isAbsolute(trimmed) ? trimmed : resolve(trimmed);
+}
+
+// Archiving is off (null) unless ARCHIVE_DIR is set; attached days are detached after
+// ARCHIVE_ATTACH_HOURS (default 24, 0 = never)
+export function createArchiveStoreFromEnv(env = process.env) {
+  if (typeof env.ARCHIVE_DIR !== "string" || env.ARCHIVE_DIR.trim().length === 0) return null;
+  const attachHours = parseFloat(env.ARCHIVE_ATTACH_HOURS || "24");
+  if (!Number.isFinite(attachHours) || attachHours < 0) {
+    throw new Error(`invalid ARCHIVE_ATTACH_HOURS "${env.ARCHIVE_ATTACH_HOURS}" (expected hours, 0 = never)`);
+  }
+  return new ArchiveStore({ dir: resolveConfiguredPath(env.ARCHIVE_DIR), attachHours });
+}
@@ -0,0 +1,172 @@
+import { distanceNm } from "./geo.js";
+
+// Geographic area filters for the traffic APIs. Exactly one shape per request:
+//   bbox=west,south,east,north            (west > east crosses the antimeridian)
+//   near=KJFK | near=lat,lon & radiusNm=40
+//   polygon=lat,lon;lat,lon;lat,lon;...
+// Every area has a bounding box the SQL queries filter on; radius and polygon areas also
+// carry a contains(lat, lon) test that the query results are narrowed with afterwards.
+
+export const DEFAULT_RADIUS_NM = 40;
+const MAX_RADIUS_NM = 1000;
+const MAX_POLYGON_VERTICES = 200;
+
+class AreaFilterError extends Error {
+  constructor(message, received) {
+    super(message);
+    this.name = "AreaFilterError";
+    this.received = received;
+  }
+}
+
+function normalizeLon(lon) {
+  return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
+function parseNumberList(raw, name) {
+  const values = raw.split(",").map((x) => parseFloat(x.trim()));
+  if (values.some((v) => !Number.isFinite(v))) {
+    throw new AreaFilterError(`invalid '${name}' parameter`, raw);
+  }
+  return values;
+}
+
+function validLatLon(lat, lon) {
+  return lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+}
+
+function parseBbox(raw) {
+  const values = parseNumberList(raw, "bbox");
+  if (values.length !== 4) {
+    throw new AreaFilterError("bbox must be west,south,east,north", raw);
+  }
+  const [west, south, east, north] = values;
+  if (!validLatLon(south, west) || !validLatLon(north, east) || south > north) {
+    throw new AreaFilterError("bbox is out of range or south > north", raw);
+  }
+  return { kind: "bbox", bbox: { west, south, east, north }, contains: null };
+}
+
+// A circle's box widens with latitude; near a pole it covers every longitude
+function radiusBbox(lat, lon, radiusNm) {
+  const dLat = radiusNm / 60;
+  const south = Math.max(-90, lat - dLat);
+  const north = Math.min(90, lat + dLat);
+  const cosLat = Math.cos((Math.max(Math.abs(south), Math.abs(north)) * Math.PI) / 180);
+  const dLon = cosLat > 0.01 ? radiusNm / (60 * cosLat) : 180;
+  if (dLon >= 180) return { west: -180, south, east: 180, north };
+  return { west: normalizeLon(lon - dLon), south, east: normalizeLon(lon + dLon), north };
+}
+
+function parseRadius(near, rawRadius, airportDb) {
+  const radiusNm = rawRadius == null || rawRadius === "" ? DEFAULT_RADIUS_NM : parseFloat(rawRadius);
+  if (!Number.isFinite(radiusNm) || radiusNm <= 0 || radiusNm > MAX_RADIUS_NM) {
+    throw new AreaFilterError(`radiusNm must be between 0 and ${MAX_RADIUS_NM}`, rawRadius);
+  }
+
+  let center;
+  let airport = null;
+  if (near.includes(",")) {
+    const values = parseNumberList(near, "near");
+    if (values.length !== 2 || !validLatLon(values[0], values[1])) {
+      throw new AreaFilterError("near must be an airport ICAO or lat,lon", near);
+    }
+    center = { lat: values[0], lon: values[1] };
+  } else {
+    airport = near.trim().toUpperCase();
+    const found = airportDb?.get(airport);
+    if (!found) {
+      throw new AreaFilterError(`unknown airport '${airport}'`, near);
+    }
+    center = { lat: found.latitude, lon: found.longitude };
+  }
+
+  return {
+    kind: "radius",
+    airport,
+    center,
+    radiusNm,
+    bbox: radiusBbox(center.lat, center.lon, radiusNm),
+    contains: (lat, lon) => distanceNm(center.lat, center.lon, lat, lon) <= radiusNm
+  };
+}
+
+function ringContainsPoint(ring, lon, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersects = ((yi > lat) !== (yj > lat))
+      && (lon < ((xj - xi) * (lat - yi)) / ((yj - yi) || Number.EPSILON) + xi);
+    if (intersects) inside = !inside;
+  }
+  return inside;
+}
+
+function parsePolygon(raw) {
+  const vertices = raw.split(";").map((x) => x.trim()).filter((x) => x.length > 0);
+  if (vertices.length < 3 || vertices.length > MAX_POLYGON_VERTICES) {
+    throw new AreaFilterError(`polygon needs 3 to ${MAX_POLYGON_VERTICES} lat,lon vertices`, raw);
+  }
+
+  // Unwrapped like the airspace matcher: edges never jump more than 180 degrees, so a polygon
+  // drawn across the antimeridian keeps going past +/-180
+  const ring = [];
+  for (const vertex of vertices) {
+    const values = parseNumberList(vertex, "polygon");
+    if (values.length !== 2 || !validLatLon(values[0], values[1])) {
+      throw new AreaFilterError("polygon vertices must be lat,lon", vertex);
+    }
+    let lon = values[1];
+    if (ring.length > 0) {
+      const prev = ring[ring.length - 1][0];
+      lon = prev + ((((lon - prev) % 360) + 540) % 360) - 180;
+    }
+    ring.push([lon, values[0]]);
+  }
+
+  const lons = ring.map(([lon]) => lon);
+  const lats = ring.map(([, lat]) => lat);
+  const minLon = Math.min(...lons);
+  const maxLon = Math.max(...lons);
+  const bbox = maxLon - minLon >= 360
+    ? { west: -180, south: Math.min(...lats), east: 180, north: Math.max(...lats) }
+    : { west: normalizeLon(minLon), south: Math.min(...lats), east: normalizeLon(maxLon), north: Math.max(...lats) };
+
+  return {
+    kind: "polygon",
+    vertices: ring.length,
+    bbox,
+    contains: (lat, lon) => [lon - 360, lon, lon + 360].some((x) => x >= minLon && x <= maxLon && ringContainsPoint(ring, x, lat))
+  };
+}
+
+function parseArea(query, airportDb) {
+  const given = ["bbox", "near", "polygon"].filter((name) => typeof query[name] === "string" && query[name].trim().length > 0);
+  if (given.length === 0) return null;
+  if (given.length > 1) {
+    throw new AreaFilterError("use only one of bbox, near and polygon", given);
+  }
+
+  if (given[0] === "bbox") return parseBbox(query.bbox);
+  if (given[0] === "near") return parseRadius(query.near, query.radiusNm, airportDb);
+  return parsePolygon(query.polygon);
+}
+
+// Same result shape as validateReplayRange: { ok: true, area } (area is null without an area
+// filter) or { ok: false, error, received } for a 400 response.
+export function parseAreaFilter(query, airportDb) {
+  try {
+    return { ok: true, area: parseArea(query, airportDb) };
+  } catch (e) {
+    if (!(e instanceof AreaFilterError)) throw e;
+    return { ok: false, error: e.message, received: e.received };
+  }
+}
+
+// JSON-safe echo of an area for API responses
+export function describeArea(area) {
+  if (!area) return null;
+  const { contains, ...rest } = area;
+  return rest;
+}
@@ -0,0 +1,196 @@
+import fetch from "node-fetch";
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, readdirSync, readFileSync, statSync, writeFileSync } from "node:fs";
+import { dirname, isAbsolute, join, resolve } from "node:path";
+
+import { resolveDbPath } from "./dbPath.js";
+
+const BOUNDARY_URLS = [
+  "https://raw.githubusercontent.com/vatsimnetwork/vatspy-data-project/main/Boundaries.geojson",
+  "https://raw.githubusercontent.com/vatsimnetwork/vatspy-data-project/master/Boundaries.geojson"
+];
+
+const USER_AGENT = "vatsim-traffic-replay/1.0 (+https://example.local)";
+const FETCH_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_AGE_MS = 60 * 60 * 1000;
+const VERSION_FILE_PATTERN = /^boundaries-([0-9a-f]{16})\.geojson$/;
+const MAX_CACHED_VERSIONS = 3;
+
+function hashVersion(text) {
+  return createHash("sha256").update(text).digest("hex").slice(0, 16);
+}
+
+function parseBoundaries(text, origin) {
+  const data = JSON.parse(text);
+  if (!data || !Array.isArray(data.features)) {
+    throw new Error(`${origin} is not a GeoJSON FeatureCollection`);
+  }
+  return data;
+}
+
+async function downloadText(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      headers: {
+        "User-Agent": USER_AGENT
+      },
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`boundaries fetch failed: ${response.status} ${response.statusText}`);
+    }
+    return await response.text();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Single source of VATSpy Boundaries.geojson for the airspace matcher, /api/airspace and
+// replays. Every dataset the server has used is kept on disk as boundaries-<hash>.geojson, so
+// the version in force at any stored timestamp can be served again later, and the newest copy
+// on disk is used when GitHub is unreachable. With a pinned file nothing is downloaded.
+export class BoundaryStore {
+  constructor({ dir, pinnedFile = null, urls = BOUNDARY_URLS } = {}) {
+    this.dir = dir;
+    this.pinnedFile = pinnedFile;
+    this.urls = urls;
+    this.currentEntry = null;
+    this.loadedAtMs = 0;
+    this.byVersion = new Map();
+    this.pending = null;
+  }
+
+  describe() {
+    return this.pinnedFile ? `pinned (${this.pinnedFile})` : `github, stored in ${this.dir}`;
+  }
+
+  // { version, data } of the boundaries currently in use, refreshed at most every maxAgeMs
+  async current(maxAgeMs = DEFAULT_MAX_AGE_MS) {
+    if (this.currentEntry && (this.pinnedFile || Date.now() - this.loadedAtMs < maxAgeMs)) {
+      return this.currentEntry;
+    }
+    if (!this.pending) {
+      this.pending = this.refresh().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async refresh() {
+    let text = null;
+    let origin = null;
+    let lastError = null;
+
+    if (this.pinnedFile) {
+      text = readFileSync(this.pinnedFile, "utf8");
+      origin = this.pinnedFile;
+    } else {
+      for (const url of this.urls) {
+        try {
+          text = await downloadText(url);
+          origin = url;
+          break;
+        } catch (e) {
+          // Timeout or network error, try next URL
+          lastError = e;
+        }
+      }
+    }
+
+    if (text == null) {
+      this.loadedAtMs = Date.now();
+      if (this.currentEntry) {
+        console.warn(`[boundaries] refresh failed, keeping ${this.currentEntry.version}: ${lastError?.message || lastError}`);
+        return this.currentEntry;
+      }
+      const newest = this.listVersions()[0];
+      if (!newest) {
+        throw new Error(`Failed to load airspace boundaries: ${lastError?.message || lastError || "no source"}`);
+      }
+      console.warn(`[boundaries] download failed, using stored ${newest.version}: ${lastError?.message || lastError}`);
+      this.currentEntry = { version: newest.version, data: this.get(newest.version) };
+      return this.currentEntry;
+    }
+
+    const data = parseBoundaries(text, origin);
+    const version = hashVersion(text);
+    this.persist(version, text);
+    this.remember(version, data);
+    if (this.currentEntry?.version !== version) {
+      console.log(`[boundaries] using ${version} from ${origin} (${data.features.length} features)`);
+    }
+    this.currentEntry = { version, data };
+    this.loadedAtMs = Date.now();
+    return this.currentEntry;
+  }
+
+  versionPath(version) {
+    return join(this.dir, `boundaries-${version}.geojson`);
+  }
+
+  persist(version, text) {
+    const path = this.versionPath(version);
+    if (existsSync(path)) return;
+    try {
+      mkdirSync(this.dir, { recursive: true });
+      writeFileSync(path, text);
+    } catch (e) {
+      console.warn(`[boundaries] could not store ${path}: ${e?.message || e}`);
+    }
+  }
+
+  remember(version, data) {
+    this.byVersion.delete(version);
+    this.byVersion.set(version, data);
+    while (this.byVersion.size > MAX_CACHED_VERSIONS) {
+      this.byVersion.delete(this.byVersion.keys().next().value);
+    }
+  }
+
+  // Stored dataset for a version, or null when it isn't on disk
+  get(version) {
+    if (typeof version !== "string" || !/^[0-9a-f]{16}$/.test(version)) return null;
+    const cached = this.byVersion.get(version);
+    if (cached) return cached;
+
+    const path = this.versionPath(version);
+    if (!existsSync(path)) return null;
+    const data = parseBoundaries(readFileSync(path, "utf8"), path);
+    this.remember(version, data);
+    return data;
+  }
+
+  // Stored versions, newest first
+  listVersions() {
+    if (!existsSync(this.dir)) return [];
+    return readdirSync(this.dir)
+      .map((name) => {
+        const match = name.match(VERSION_FILE_PATTERN);
+        if (!match) return null;
+        const stat = statSync(join(this.dir, name));
+        return { version: match[1], bytes: stat.size, storedAtMs: stat.mtimeMs };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.storedAtMs - a.storedAtMs);
+  }
+}
+
+function resolveConfiguredPath(value) {
+  const trimmed = value.trim();
+  return isAbsolute(trimmed) ? trimmed : resolve(trimmed);
+}
+
+// BOUNDARIES_DIR defaults to a "boundaries" folder next to the SQLite database;
+// BOUNDARIES_FILE pins a local Boundaries.geojson for offline deployments.
+export function createBoundaryStoreFromEnv(env = process.env) {
+  const dir = typeof env.BOUNDARIES_DIR === "string" && env.BOUNDARIES_DIR.trim().length > 0
+    ? resolveConfiguredPath(env.BOUNDARIES_DIR)
+    : join(dirname(resolveDbPath()), "boundaries");
+  const pinnedFile = typeof env.BOUNDARIES_FILE === "string" && env.BOUNDARIES_FILE.trim().length > 0
+    ? resolveConfiguredPath(env.BOUNDARIES_FILE)
+    : null;
+  return new BoundaryStore({ dir, pinnedFile });
+}
@@ -1,6 +1,5 @@
-import fetch from "node-fetch";
+import { createDataSourceFromEnv, feedUpdateTs } from "./dataSources.js";
 
-const VATSIM_URL = "https://data.vatsim.net/v3/vatsim-data.json";
 const FETCH_TIMEOUT_MS = 12000;
 const FETCH_RETRIES = 2;
 const RETRY_DELAY_MS = 750;
@@ -16,30 +15,36 @@ let lastGoodVatsimDataAtMs = 0;
 let lastFetchFailedAtMs = 0;
 let consecutiveFailures = 0;
 let inFlightVatsimFetchPromise = null;
+const lastSquawkByPilot = new Map();
+const lastAirspaceByPilot = new Map();
 const CIRCUIT_BREAKER_THRESHOLD = 2; // Open after 2 consecutive failures
 const CIRCUIT_BREAKER_COOLDOWN_MS = 5 * 60 * 1000; // 5 minutes
 
+const EMERGENCY_SQUAWKS = new Set(["7500", "7600", "7700"]);
+const SQUAWK_CHANGE_MIN_GROUNDSPEED = 50; // only report code changes once airborne
+// A pilot missing for longer than this reconnected somewhere else rather than crossed a boundary
+const CROSSING_MAX_GAP_SECONDS = 10 * 60;
+
 function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-async function fetchJsonWithTimeout(url, timeoutMs) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const res = await fetch(url, {
-      headers: {
-        "User-Agent": "vatsim-traffic-replay/1.0 (+https://example.local)"
-      },
-      signal: controller.signal
-    });
-    if (!res.ok) {
-      throw new Error(`VATSIM fetch failed: ${res.status} ${res.statusText}`);
-    }
-    return await res.json();
-  } finally {
-    clearTimeout(timer);
+// Created lazily so the env (dotenv) is loaded before the source is configured.
+let dataSource = null;
+
+export function getDataSource() {
+  if (!dataSource) {
+    dataSource = createDataSourceFromEnv();
   }
+  return dataSource;
+}
+
+export function setDataSource(source) {
+  dataSource = source;
+  lastGoodVatsimData = null;
+  lastGoodVatsimDataAtMs = 0;
+  lastFetchFailedAtMs = 0;
+  consecutiveFailures = 0;
 }
 
 async function fetchVatsimData() {
@@ -56,7 +61,7 @@ async function fetchVatsimData() {
       } else {
         console.warn(`[collector] circuit breaker open; using stale cached VATSIM data (${cacheAgeSeconds}s old)`);
       }
-      return lastGoodVatsimData;
+      return { data: lastGoodVatsimData, status: "cached" };
     }
   }
 
@@ -64,11 +69,11 @@ async function fetchVatsimData() {
 
   for (let attempt = 0; attempt <= FETCH_RETRIES; attempt += 1) {
     try {
-      const data = await fetchJsonWithTimeout(VATSIM_URL, FETCH_TIMEOUT_MS);
+      const data = await getDataSource().fetch(FETCH_TIMEOUT_MS);
       lastGoodVatsimData = data;
       lastGoodVatsimDataAtMs = Date.now();
       consecutiveFailures = 0;
-      return data;
+      return { data, status: "live" };
     } catch (error) {
       lastError = error;
       consecutiveFailures += 1;
@@ -87,11 +92,11 @@ async function fetchVatsimData() {
     } else {
       console.warn(`[collector] fetch failed; using stale cached VATSIM data (${cacheAgeSeconds}s old): ${lastError?.message || lastError}`);
     }
-    return lastGoodVatsimData;
+    return { data: lastGoodVatsimData, status: "cached", error: lastError };
   }
 
   console.error(`[collector] exhausted retries with no cache; using empty VATSIM data: ${lastError?.message || lastError}`);
-  return EMPTY_VATSIM_DATA;
+  return { data: EMPTY_VATSIM_DATA, status: "failed", error: lastError };
 }
 
 async function fetchVatsimDataShared() {
@@ -103,8 +108,41 @@ async function fetchVatsimDataShared() {
   return inFlightVatsimFetchPromise;
 }
 
-export async function fetchPilots() {
-  const data = await fetchVatsimDataShared();
+function normalizeFlightPlan(fp) {
+  if (!fp || typeof fp !== "object") return null;
+  return {
+    flightRules: fp.flight_rules ?? null,
+    aircraft: fp.aircraft ?? null,
+    aircraftFaa: fp.aircraft_faa ?? null,
+    aircraftShort: fp.aircraft_short ?? null,
+    departure: fp.departure ?? null,
+    arrival: fp.arrival ?? null,
+    alternate: fp.alternate ?? null,
+    cruiseAltitude: fp.altitude ?? null,
+    cruiseTas: fp.cruise_tas ?? null,
+    deptime: fp.deptime ?? null,
+    enrouteTime: fp.enroute_time ?? null,
+    fuelTime: fp.fuel_time ?? null,
+    route: fp.route ?? null,
+    remarks: fp.remarks ?? null,
+    revisionId: Number.isFinite(fp.revision_id) ? fp.revision_id : null
+  };
+}
+
+// Returns the feed together with how it was obtained: "live" (fresh fetch), "cached"
+// (last good copy re-served by the circuit breaker or after failed retries) or "failed"
+// (no data at all), plus the feed's own update timestamp in epoch seconds.
+export async function fetchFeed() {
+  const { data, status, error } = await fetchVatsimDataShared();
+  return {
+    data,
+    status,
+    feedTs: feedUpdateTs(data),
+    error: error ? String(error?.message || error) : null
+  };
+}
+
+export function normalizePilots(data) {
   // VATSIM v3: pilots under data.pilots
   const pilots = Array.isArray(data?.pilots) ? data.pilots : [];
   // Normalize just what we store
@@ -118,24 +156,191 @@ export async function fetchPilots() {
       altitude: p.altitude,
       groundspeed: p.groundspeed,
       heading: p.heading,
+      transponder: p.transponder,
       departure: p.flight_plan?.departure,
-      destination: p.flight_plan?.arrival
+      destination: p.flight_plan?.arrival,
+      flightPlan: normalizeFlightPlan(p.flight_plan)
     }));
 }
 
-export async function fetchAtcPositions() {
-  const data = await fetchVatsimDataShared();
+// Prefiled plans: data.prefiles lists flight plans filed by users who haven't connected yet.
+export function normalizePrefiles(data) {
+  const prefiles = Array.isArray(data?.prefiles) ? data.prefiles : [];
+  return prefiles
+    .filter(p => typeof p.callsign === "string" && p.flight_plan && typeof p.flight_plan === "object")
+    .map(p => {
+      const updatedMs = typeof p.last_updated === "string" ? Date.parse(p.last_updated) : NaN;
+      return {
+        callsign: p.callsign,
+        cid: p.cid,
+        lastUpdatedTs: Number.isFinite(updatedMs) ? Math.floor(updatedMs / 1000) : null,
+        flightPlan: normalizeFlightPlan(p.flight_plan)
+      };
+    });
+}
+
+export async function fetchPilots() {
+  return normalizePilots((await fetchVatsimDataShared()).data);
+}
+
+function normalizeSquawk(value) {
+  if (value == null) return null;
+  const code = String(value).trim();
+  return /^[0-7]{4}$/.test(code) ? code : null;
+}
+
+// Per-pilot state (last squawk, last airspace) is kept per callsign + CID
+function pilotStateKey(callsign, cid) {
+  return `${callsign}:${cid ?? ""}`;
+}
+
+export function seedSquawkState(rows) {
+  lastSquawkByPilot.clear();
+  for (const row of rows || []) {
+    const code = normalizeSquawk(row?.transponder);
+    if (typeof row?.callsign !== "string" || !code) continue;
+    lastSquawkByPilot.set(pilotStateKey(row.callsign, row.cid), code);
+  }
+}
+
+// Compares each pilot's squawk against the previous poll and returns alert records for
+// newly set emergency codes (7500/7600/7700) and for code changes while airborne.
+export function detectSquawkAlerts(pilots) {
+  const alerts = [];
+  const current = new Map();
+
+  for (const p of pilots || []) {
+    const code = normalizeSquawk(p?.transponder);
+    if (typeof p?.callsign !== "string" || !code) continue;
+
+    const key = pilotStateKey(p.callsign, p.cid);
+    const previousCode = lastSquawkByPilot.get(key) ?? null;
+    current.set(key, code);
+    if (previousCode === code) continue;
+
+    let type = null;
+    if (EMERGENCY_SQUAWKS.has(code)) {
+      type = "emergency_squawk";
+    } else if (previousCode != null && Number.isFinite(p.groundspeed) && p.groundspeed >= SQUAWK_CHANGE_MIN_GROUNDSPEED) {
+      type = "squawk_change";
+    }
+    if (!type) continue;
+
+    alerts.push({
+      type,
+      callsign: p.callsign,
+      cid: p.cid,
+      code,
+      previousCode,
+      latitude: p.latitude,
+      longitude: p.longitude,
+      altitude: p.altitude,
+      groundspeed: p.groundspeed,
+      airspace: p.airspace
+    });
+  }
+
+  lastSquawkByPilot.clear();
+  for (const [key, code] of current) lastSquawkByPilot.set(key, code);
+  return alerts;
+}
+
+export function seedAirspaceState(rows) {
+  lastAirspaceByPilot.clear();
+  for (const row of rows || []) {
+    if (typeof row?.callsign !== "string" || !Number.isFinite(row?.ts)) continue;
+    lastAirspaceByPilot.set(pilotStateKey(row.callsign, row.cid), {
+      ts: row.ts,
+      airspace: row.airspace ?? null,
+      fir: row.fir ?? null
+    });
+  }
+}
+
+// Compares each pilot's resolved airspace against the one from their previous poll and returns
+// a crossing record (at the first position inside the new airspace) for every change. A null
+// side means the pilot was outside all boundaries. Pilots only carry over between polls that
+// are at most CROSSING_MAX_GAP_SECONDS apart.
+export function detectAirspaceCrossings(ts, pilots) {
+  const crossings = [];
+
+  for (const p of pilots || []) {
+    if (typeof p?.callsign !== "string") continue;
+    const key = pilotStateKey(p.callsign, p.cid);
+    const previous = lastAirspaceByPilot.get(key);
+    const airspace = p.airspace ?? null;
+    const fir = p.fir ?? null;
+    lastAirspaceByPilot.set(key, { ts, airspace, fir });
+
+    if (!previous || previous.ts >= ts || ts - previous.ts > CROSSING_MAX_GAP_SECONDS) continue;
+    if (previous.airspace === airspace) continue;
+
+    crossings.push({
+      callsign: p.callsign,
+      cid: p.cid,
+      fromAirspace: previous.airspace,
+      toAirspace: airspace,
+      fromFir: previous.fir,
+      toFir: fir,
+      latitude: p.latitude,
+      longitude: p.longitude,
+      altitude: p.altitude,
+      groundspeed: p.groundspeed,
+      heading: p.heading
+    });
+  }
+
+  for (const [key, state] of lastAirspaceByPilot) {
+    if (ts - state.ts > CROSSING_MAX_GAP_SECONDS) lastAirspaceByPilot.delete(key);
+  }
+  return crossings;
+}
+
+function joinAtisLines(lines) {
+  if (!Array.isArray(lines)) return null;
+  const text = lines
+    .filter((line) => typeof line === "string")
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0)
+    .join("\n");
+  return text.length > 0 ? text : null;
+}
+
+function normalizeAtcStation(c, isAtis) {
+  return {
+    callsign: c.callsign,
+    cid: c.cid,
+    frequency: c.frequency,
+    facility: c.facility,
+    rating: Number.isFinite(c.rating) ? c.rating : null,
+    visualRange: Number.isFinite(c.visual_range) ? c.visual_range : null,
+    logonTime: typeof c.logon_time === "string" && c.logon_time.length > 0 ? c.logon_time : null,
+    textAtis: joinAtisLines(c.text_atis),
+    atisCode: typeof c.atis_code === "string" && c.atis_code.trim().length > 0 ? c.atis_code.trim() : null,
+    isAtis,
+    latitude: c.latitude,
+    longitude: c.longitude
+  };
+}
+
+export function normalizeAtcPositions(data) {
   // VATSIM v3: controllers under data.controllers
   const controllers = Array.isArray(data?.controllers) ? data.controllers : [];
-  // Normalize: extract callsign and facility (ATC position/sector)
+  // Normalize: extract callsign and facility (ATC position/sector) plus session details
   return controllers
     .filter(c => typeof c.callsign === "string")
-    .map(c => ({
-      callsign: c.callsign,
-      cid: c.cid,
-      frequency: c.frequency,
-      facility: c.facility,
-      latitude: c.latitude,
-      longitude: c.longitude
-    }));
+    .map(c => normalizeAtcStation(c, false));
+}
+
+// ATIS stations are listed separately under data.atis; they are not positions on the map,
+// but their sessions and broadcast text are recorded alongside the controllers'.
+export function normalizeAtisStations(data) {
+  const stations = Array.isArray(data?.atis) ? data.atis : [];
+  return stations
+    .filter(c => typeof c.callsign === "string")
+    .map(c => normalizeAtcStation(c, true));
+}
+
+export async function fetchAtcPositions() {
+  return normalizeAtcPositions((await fetchVatsimDataShared()).data);
 }
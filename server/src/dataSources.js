@@ -0,0 +1,208 @@
+import fetch from "node-fetch";
+import { readdirSync, readFileSync, statSync } from "node:fs";
+import { join, resolve } from "node:path";
+import { gunzipSync } from "node:zlib";
+
+const USER_AGENT = "vatsim-traffic-replay/1.0 (+https://example.local)";
+const DEFAULT_STATUS_URL = "https://status.vatsim.net/status.json";
+const DEFAULT_DATA_URL = "https://data.vatsim.net/v3/vatsim-data.json";
+const STATUS_TIMEOUT_MS = 8000;
+const STATUS_REFRESH_MS = 60 * 60 * 1000; // re-discover feed URLs hourly
+
+const DUMP_FILE_PATTERN = /\.json(\.gz)?$/i;
+
+export async function fetchJsonWithTimeout(url, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, {
+      headers: {
+        "User-Agent": USER_AGENT
+      },
+      signal: controller.signal
+    });
+    if (!res.ok) {
+      throw new Error(`VATSIM fetch failed: ${res.status} ${res.statusText}`);
+    }
+    return await res.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export function feedUpdateTs(data) {
+  const raw = data?.general?.update_timestamp;
+  if (typeof raw !== "string" || raw.trim().length === 0) return null;
+  const ms = Date.parse(raw);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+export function isDumpFileName(name) {
+  return DUMP_FILE_PATTERN.test(name);
+}
+
+export function parseDumpBuffer(buffer, name = "") {
+  const raw = /\.gz$/i.test(name) ? gunzipSync(buffer) : buffer;
+  return JSON.parse(raw.toString("utf8"));
+}
+
+export function readDumpFile(path) {
+  return parseDumpBuffer(readFileSync(path), path);
+}
+
+// Live network feed. The v3 data URLs are discovered from status.json (as VATSIM asks
+// clients to do) and rotated between; the well-known URL is used until discovery succeeds.
+export function createLiveVatsimSource({ statusUrl = DEFAULT_STATUS_URL } = {}) {
+  let dataUrls = [];
+  let discoveredAtMs = 0;
+  let nextIndex = 0;
+
+  async function discover() {
+    const status = await fetchJsonWithTimeout(statusUrl, STATUS_TIMEOUT_MS);
+    const urls = Array.isArray(status?.data?.v3)
+      ? status.data.v3.filter((url) => typeof url === "string" && url.length > 0)
+      : [];
+    if (urls.length === 0) {
+      throw new Error("status.json did not list any v3 data URLs");
+    }
+    dataUrls = urls;
+  }
+
+  return {
+    kind: "live",
+    describe() {
+      return dataUrls.length > 0 ? `live (${dataUrls.join(", ")})` : `live (${statusUrl})`;
+    },
+    async fetch(timeoutMs) {
+      if (Date.now() - discoveredAtMs >= STATUS_REFRESH_MS) {
+        discoveredAtMs = Date.now();
+        try {
+          await discover();
+        } catch (e) {
+          console.warn(`[collector] status.json discovery failed; using ${dataUrls.length > 0 ? "previous" : "default"} data URL: ${e?.message || e}`);
+        }
+      }
+
+      const urls = dataUrls.length > 0 ? dataUrls : [DEFAULT_DATA_URL];
+      const url = urls[nextIndex % urls.length];
+      nextIndex += 1;
+      return fetchJsonWithTimeout(url, timeoutMs);
+    }
+  };
+}
+
+// Fixed URL, e.g. a mirror or a local mock server.
+export function createHttpSource(url) {
+  return {
+    kind: "http",
+    describe() {
+      return `http (${url})`;
+    },
+    fetch(timeoutMs) {
+      return fetchJsonWithTimeout(url, timeoutMs);
+    }
+  };
+}
+
+// Replays a directory of saved vatsim-data.json dumps (optionally gzipped), in file-name order.
+// With speed > 0 the feed clock advances `speed` feed-seconds per wall-second and each fetch
+// returns the newest dump at or before that clock; with speed <= 0 every fetch returns the next dump.
+export function createFileReplaySource({ dir, speed = 1, loop = false }) {
+  const root = resolve(dir);
+  const files = readdirSync(root)
+    .filter(isDumpFileName)
+    .sort()
+    .map((name) => join(root, name));
+
+  let index = -1;
+  let current = null;
+  let peeked = null;
+  let wallStartMs = 0;
+  let feedStartTs = null;
+
+  function load(i) {
+    const data = readDumpFile(files[i]);
+    const ts = feedUpdateTs(data) ?? Math.floor(statSync(files[i]).mtimeMs / 1000);
+    return { index: i, data, ts };
+  }
+
+  function peek(i) {
+    if (!peeked || peeked.index !== i) peeked = load(i);
+    return peeked;
+  }
+
+  function restart() {
+    index = -1;
+    current = null;
+    peeked = null;
+    feedStartTs = null;
+  }
+
+  return {
+    kind: "file",
+    describe() {
+      return `file (${root}, ${files.length} dumps, speed=${speed}${loop ? ", loop" : ""})`;
+    },
+    async fetch() {
+      if (files.length === 0) {
+        throw new Error(`no vatsim-data dumps found in ${root}`);
+      }
+
+      const atEnd = index >= files.length - 1;
+      if (atEnd && loop) restart();
+
+      if (index < 0) {
+        current = peek(0);
+        index = 0;
+        wallStartMs = Date.now();
+        feedStartTs = current.ts;
+        return current.data;
+      }
+
+      if (!Number.isFinite(speed) || speed <= 0) {
+        if (!atEnd) {
+          current = peek(index + 1);
+          index += 1;
+        }
+        return current.data;
+      }
+
+      const targetTs = feedStartTs + ((Date.now() - wallStartMs) / 1000) * speed;
+      while (index + 1 < files.length) {
+        const next = peek(index + 1);
+        if (next.ts > targetTs) break;
+        current = next;
+        index += 1;
+      }
+      return current.data;
+    }
+  };
+}
+
+export function createDataSourceFromEnv(env = process.env) {
+  const dataUrl = typeof env.VATSIM_DATA_URL === "string" ? env.VATSIM_DATA_URL.trim() : "";
+  const replayDir = typeof env.VATSIM_REPLAY_DIR === "string" ? env.VATSIM_REPLAY_DIR.trim() : "";
+  const kind = (env.VATSIM_DATA_SOURCE || (replayDir ? "file" : (dataUrl ? "http" : "live"))).trim().toLowerCase();
+
+  if (kind === "file") {
+    if (!replayDir) {
+      throw new Error("VATSIM_DATA_SOURCE=file requires VATSIM_REPLAY_DIR");
+    }
+    const speed = parseFloat(env.VATSIM_REPLAY_SPEED || "1");
+    const loop = env.VATSIM_REPLAY_LOOP === "1" || env.VATSIM_REPLAY_LOOP === "true";
+    return createFileReplaySource({ dir: replayDir, speed: Number.isFinite(speed) ? speed : 1, loop });
+  }
+
+  if (kind === "http") {
+    if (!dataUrl) {
+      throw new Error("VATSIM_DATA_SOURCE=http requires VATSIM_DATA_URL");
+    }
+    return createHttpSource(dataUrl);
+  }
+
+  if (kind !== "live") {
+    throw new Error(`unknown VATSIM_DATA_SOURCE "${kind}" (expected live, file or http)`);
+  }
+
+  return createLiveVatsimSource({ statusUrl: env.VATSIM_STATUS_URL || DEFAULT_STATUS_URL });
+}
@@ -2,60 +2,27 @@ import { Database } from "bun:sqlite";
 import { mkdirSync } from "node:fs";
 import { dirname } from "node:path";
 
+import { distanceNm } from "./geo.js";
+import { assertSchemaNotNewer, getMigrationStatus, runMigrations } from "./migrations.js";
+
 const AUTO_CREATE_OPTIONAL_INDEXES = process.env.AUTO_CREATE_OPTIONAL_INDEXES === "1"
   || process.env.AUTO_CREATE_OPTIONAL_INDEXES === "true";
-
-function ensureSnapshotColumns(db) {
-  const columns = db.prepare(`PRAGMA table_info(snapshots)`).all();
-  const names = new Set(columns.map((c) => c.name));
-
-  if (!names.has("altitude")) {
-    db.exec(`ALTER TABLE snapshots ADD COLUMN altitude INTEGER`);
-  }
-  if (!names.has("groundspeed")) {
-    db.exec(`ALTER TABLE snapshots ADD COLUMN groundspeed INTEGER`);
-  }
-  if (!names.has("heading")) {
-    db.exec(`ALTER TABLE snapshots ADD COLUMN heading INTEGER`);
-  }
-  if (!names.has("airspace")) {
-    db.exec(`ALTER TABLE snapshots ADD COLUMN airspace TEXT`);
-  }
-  if (!names.has("departure")) {
-    db.exec(`ALTER TABLE snapshots ADD COLUMN departure TEXT`);
-  }
-  if (!names.has("destination")) {
-    db.exec(`ALTER TABLE snapshots ADD COLUMN destination TEXT`);
-  }
-}
-
-function ensureEventColumns(db) {
-  const columns = db.prepare(`PRAGMA table_info(events)`).all();
-  const names = new Set(columns.map((c) => c.name));
-
-  if (!names.has("start_ts")) {
-    db.exec(`ALTER TABLE events ADD COLUMN start_ts INTEGER`);
-  }
-  if (!names.has("end_ts")) {
-    db.exec(`ALTER TABLE events ADD COLUMN end_ts INTEGER`);
-  }
-
-  db.exec(`
-    UPDATE events
-    SET
-      start_ts = CASE
-        WHEN start_time IS NOT NULL AND start_time <> '' THEN CAST(strftime('%s', start_time) AS INTEGER)
-        ELSE NULL
-      END,
-      end_ts = CASE
-        WHEN end_time IS NOT NULL AND end_time <> '' THEN CAST(strftime('%s', end_time) AS INTEGER)
-        ELSE NULL
-      END
-    WHERE start_ts IS NULL OR end_ts IS NULL
-  `);
-}
-
-function buildAirportFilterClause(airports, departureColumn = "departure", destinationColumn = "destination") {
+const AUTO_MIGRATE = process.env.DB_AUTO_MIGRATE !== "0"
+  && process.env.DB_AUTO_MIGRATE !== "false";
+
+// full: one snapshots row per pilot per poll. compact: position_tracks / position_changes,
+// written only when the state moves past the thresholds below (see insertSnapshots).
+export const SNAPSHOT_STORAGE = process.env.SNAPSHOT_STORAGE === "compact" ? "compact" : "full";
+const COMPACT_POSITION_NM = parseFloat(process.env.COMPACT_POSITION_NM || "0.05");
+const COMPACT_ALTITUDE_FT = parseInt(process.env.COMPACT_ALTITUDE_FT || "50", 10);
+const COMPACT_GROUNDSPEED_KT = parseInt(process.env.COMPACT_GROUNDSPEED_KT || "5", 10);
+const COMPACT_HEADING_DEG = parseInt(process.env.COMPACT_HEADING_DEG || "5", 10);
+// Longest stretch one position_tracks row covers; longer sessions continue in a new track. The
+// snapshot_rows view (migrations 4 and 6) has this as a literal 21600 in its join, so changing
+// it needs a new migration that recreates the view.
+const COMPACT_TRACK_MAX_SECONDS = 6 * 3600;
+
+function buildAirportFilterClause(airports, departureColumn = "departure", destinationColumn = "destination", groundColumn = "ground_airport") {
   const list = Array.isArray(airports)
     ? airports.filter((code) => typeof code === "string" && code.trim().length > 0)
     : [];
@@ -64,10 +31,11 @@ function buildAirportFilterClause(airports, departureColumn = "departure", desti
     return { clause: "", params: [] };
   }
 
+  // Filed route airports, or the aerodrome the aircraft is on the ground at
   const placeholders = list.map(() => "?").join(",");
   return {
-    clause: ` AND (${departureColumn} IN (${placeholders}) OR ${destinationColumn} IN (${placeholders}))`,
-    params: [...list, ...list]
+    clause: ` AND (${departureColumn} IN (${placeholders}) OR ${destinationColumn} IN (${placeholders}) OR ${groundColumn} IN (${placeholders}))`,
+    params: [...list, ...list, ...list]
   };
 }
 
@@ -103,17 +71,57 @@ function buildAirspaceFilterClause(airspaces) {
     return { clause: "", params: [] };
   }
 
+  // A selected code matches either the most specific airspace or the parent FIR
   const placeholders = list.map(() => "?").join(",");
   return {
-    clause: ` AND airspace IN (${placeholders})`,
-    params: list
+    clause: ` AND (airspace IN (${placeholders}) OR fir IN (${placeholders}))`,
+    params: [...list, ...list]
+  };
+}
+
+// area comes from parseAreaFilter (areaFilter.js); SQL only narrows to its bounding box, and
+// applyAreaFilter drops the rows outside a radius or polygon afterwards.
+function buildAreaFilterClause(area) {
+  if (!area?.bbox) {
+    return { clause: "", params: [] };
+  }
+
+  const { west, south, east, north } = area.bbox;
+  // A box crossing the antimeridian has west > east
+  const lonClause = west <= east ? "lon BETWEEN ? AND ?" : "(lon >= ? OR lon <= ?)";
+  return {
+    clause: ` AND lat BETWEEN ? AND ? AND ${lonClause}`,
+    params: [south, north, west, east]
+  };
+}
+
+function applyAreaFilter(rows, area) {
+  return area?.contains ? rows.filter((row) => area.contains(row.lat, row.lon)) : rows;
+}
+
+// filters: { airspaces, airports, minAltitude, maxAltitude, area, expression }, every part
+// optional and all of them ANDed. expression is a compiled filter expression
+// (filterExpression.js) over the snapshots columns.
+function buildTrafficFilterClause({ airspaces = [], airports = [], minAltitude = null, maxAltitude = null, area = null, expression = null } = {}) {
+  const parts = [
+    buildAirspaceFilterClause(airspaces),
+    buildAirportFilterClause(airports),
+    buildAltitudeFilterClause(minAltitude, maxAltitude),
+    buildAreaFilterClause(area)
+  ];
+  if (expression?.clause) {
+    parts.push({ clause: ` AND (${expression.clause})`, params: expression.params });
+  }
+  return {
+    clause: parts.map((part) => part.clause).join(""),
+    params: parts.flatMap((part) => part.params)
   };
 }
 
 function recomputeSnapshotStats(db) {
   const row = db.prepare(`
     SELECT MIN(ts) AS minTs, MAX(ts) AS maxTs, COUNT(*) AS rows
-    FROM snapshots
+    FROM snapshot_rows
   `).get() ?? { minTs: null, maxTs: null, rows: 0 };
 
   db.prepare(`
@@ -132,27 +140,30 @@ function recomputeSnapshotStats(db) {
   return row;
 }
 
+// Pilot poll timestamps live in snapshots (full storage) and snapshot_frames (compact storage)
+function storedSnapshotBounds(db) {
+  return db.prepare(`
+    SELECT MIN(minTs) AS minTs, MAX(maxTs) AS maxTs
+    FROM (
+      SELECT (SELECT ts FROM snapshots ORDER BY ts ASC LIMIT 1) AS minTs,
+        (SELECT ts FROM snapshots ORDER BY ts DESC LIMIT 1) AS maxTs
+      UNION ALL
+      SELECT MIN(ts), MAX(ts) FROM snapshot_frames
+    )
+  `).get() ?? { minTs: null, maxTs: null };
+}
+
 function bootstrapSnapshotStats(db) {
-  const minRow = db.prepare(`
-    SELECT ts AS minTs
-    FROM snapshots
-    ORDER BY ts ASC
-    LIMIT 1
-  `).get();
-  const maxRow = db.prepare(`
-    SELECT ts AS maxTs
-    FROM snapshots
-    ORDER BY ts DESC
-    LIMIT 1
-  `).get();
+  const bounds = storedSnapshotBounds(db);
   const rowEstimate = db.prepare(`
-    SELECT COALESCE(MAX(rowid), 0) AS rows
-    FROM snapshots
+    SELECT
+      (SELECT COALESCE(MAX(rowid), 0) FROM snapshots)
+      + (SELECT COALESCE(SUM(pilots), 0) FROM snapshot_frames) AS rows
   `).get();
 
   const row = {
-    minTs: minRow?.minTs ?? null,
-    maxTs: maxRow?.maxTs ?? null,
+    minTs: bounds.minTs ?? null,
+    maxTs: bounds.maxTs ?? null,
     rows: rowEstimate?.rows ?? 0
   };
 
@@ -226,7 +237,7 @@ function decrementSnapshotStats(db, cutoffTs, removedCount) {
     nextMinTs = null;
     nextMaxTs = null;
   } else if (nextMinTs != null && Number.isFinite(cutoffTs) && nextMinTs < cutoffTs) {
-    nextMinTs = db.prepare(`SELECT MIN(ts) AS minTs FROM snapshots`).get()?.minTs ?? null;
+    nextMinTs = storedSnapshotBounds(db).minTs ?? null;
   }
 
   db.prepare(`
@@ -239,76 +250,42 @@ function decrementSnapshotStats(db, cutoffTs, removedCount) {
   `).run(nextMinTs, nextMaxTs, nextRows);
 }
 
-export function openDb(dbPath) {
+// Opens the database file without touching the schema (see openDb and scripts/migrate.js).
+export function connectDb(dbPath) {
   mkdirSync(dirname(dbPath), { recursive: true });
   const db = new Database(dbPath, { create: true, strict: true });
   db.exec("PRAGMA journal_mode = WAL;");
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS snapshots (
-      ts INTEGER NOT NULL,
-      callsign TEXT NOT NULL,
-      cid INTEGER,
-      lat REAL NOT NULL,
-      lon REAL NOT NULL,
-      altitude INTEGER,
-      groundspeed INTEGER,
-      heading INTEGER,
-      airspace TEXT,
-      departure TEXT,
-      destination TEXT
-    );
-    CREATE TABLE IF NOT EXISTS snapshot_stats (
-      id INTEGER PRIMARY KEY CHECK (id = 1),
-      min_ts INTEGER,
-      max_ts INTEGER,
-      row_count INTEGER NOT NULL DEFAULT 0
-    );
-    CREATE INDEX IF NOT EXISTS idx_snapshots_ts ON snapshots(ts);
-    CREATE INDEX IF NOT EXISTS idx_snapshots_callsign_ts ON snapshots(callsign, ts);
-
-    CREATE TABLE IF NOT EXISTS atc_snapshots (
-      ts INTEGER NOT NULL,
-      callsign TEXT NOT NULL,
-      cid INTEGER,
-      frequency TEXT,
-      facility INTEGER,
-      lat REAL,
-      lon REAL
-    );
-    CREATE INDEX IF NOT EXISTS idx_atc_snapshots_ts ON atc_snapshots(ts);
-    CREATE INDEX IF NOT EXISTS idx_atc_snapshots_callsign_ts ON atc_snapshots(callsign, ts);
-
-    CREATE TABLE IF NOT EXISTS events (
-      id INTEGER PRIMARY KEY,
-      type TEXT,
-      name TEXT NOT NULL,
-      link TEXT,
-      start_time TEXT NOT NULL,
-      end_time TEXT NOT NULL,
-      start_ts INTEGER,
-      end_ts INTEGER,
-      short_description TEXT,
-      description TEXT,
-      banner TEXT,
-      organisers_json TEXT,
-      airports_json TEXT,
-      routes_json TEXT,
-      last_seen_ts INTEGER NOT NULL,
-      created_ts INTEGER NOT NULL,
-      updated_ts INTEGER NOT NULL
-    );
-    CREATE INDEX IF NOT EXISTS idx_events_start_time ON events(start_time);
-    CREATE INDEX IF NOT EXISTS idx_events_end_time ON events(end_time);
-    CREATE INDEX IF NOT EXISTS idx_events_last_seen_ts ON events(last_seen_ts);
-  `);
-  ensureSnapshotColumns(db);
-  ensureEventColumns(db);
+  // Web and worker processes can share the file: wait for the other one's write lock (a poll
+  // insert or a migration) instead of failing with SQLITE_BUSY
+  db.exec("PRAGMA busy_timeout = 15000;");
+  return db;
+}
+
+// Opens the database and brings its schema up to date (migrations.js). With
+// DB_AUTO_MIGRATE=false pending migrations are an error instead, so only an explicit
+// `bun run migrate` changes the schema.
+export function openDb(dbPath, { migrate = AUTO_MIGRATE } = {}) {
+  const db = connectDb(dbPath);
+  const status = getMigrationStatus(db);
+  assertSchemaNotNewer(status);
+  if (status.pending.length > 0) {
+    if (!migrate) {
+      db.close();
+      throw new Error(
+        `database schema is at version ${status.currentVersion} but this server needs ${status.latestVersion};`
+        + ` run "bun run migrate" or enable DB_AUTO_MIGRATE`
+      );
+    }
+    runMigrations(db);
+  }
   ensureSnapshotStats(db);
   if (AUTO_CREATE_OPTIONAL_INDEXES) {
     db.exec(`CREATE INDEX IF NOT EXISTS idx_snapshots_airspace_ts ON snapshots(airspace, ts);`);
     db.exec(`CREATE INDEX IF NOT EXISTS idx_snapshots_departure_ts ON snapshots(departure, ts);`);
     db.exec(`CREATE INDEX IF NOT EXISTS idx_snapshots_destination_ts ON snapshots(destination, ts);`);
     db.exec(`CREATE INDEX IF NOT EXISTS idx_snapshots_ts_airspace ON snapshots(ts, airspace);`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_snapshots_fir_ts ON snapshots(fir, ts);`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_snapshots_ground_airport_ts ON snapshots(ground_airport, ts);`);
     db.exec(`CREATE INDEX IF NOT EXISTS idx_snapshots_ts_departure ON snapshots(ts, departure);`);
     db.exec(`CREATE INDEX IF NOT EXISTS idx_snapshots_ts_destination ON snapshots(ts, destination);`);
     db.exec(`CREATE INDEX IF NOT EXISTS idx_snapshots_ts_callsign ON snapshots(ts, callsign);`);
@@ -420,14 +397,115 @@ export function upsertEvents(db, events, seenTs) {
   return run(events) ?? 0;
 }
 
-export function insertSnapshots(db, ts, pilots) {
+function insertFullSnapshots(db, rows) {
   const stmt = db.prepare(`
-    INSERT INTO snapshots (ts, callsign, cid, lat, lon, altitude, groundspeed, heading, airspace, departure, destination)
-    VALUES (@ts, @callsign, @cid, @lat, @lon, @altitude, @groundspeed, @heading, @airspace, @departure, @destination)
+    INSERT INTO snapshots (ts, callsign, cid, lat, lon, altitude, groundspeed, heading, airspace, fir, departure, destination, transponder, ground_airport)
+    VALUES (@ts, @callsign, @cid, @lat, @lon, @altitude, @groundspeed, @heading, @airspace, @fir, @departure, @destination, @transponder, @ground_airport)
   `);
-  const insertMany = db.transaction((rows) => {
+  const insertMany = db.transaction(() => {
     for (const r of rows) stmt.run(r);
   });
+  insertMany();
+}
+
+function headingDelta(a, b) {
+  return Math.abs(((((b - a + 180) % 360) + 360) % 360) - 180);
+}
+
+function exceeds(a, b, threshold, delta = (x, y) => Math.abs(x - y)) {
+  if (a == null || b == null) return a !== b;
+  return delta(a, b) > threshold;
+}
+
+// Whether a pilot's state has moved far enough from the last stored change to be written again.
+// Compared against the stored change rather than the previous poll, so slow drift adds up.
+function compactStateChanged(prev, row) {
+  return distanceNm(prev.lat, prev.lon, row.lat, row.lon) > COMPACT_POSITION_NM
+    || exceeds(prev.altitude, row.altitude, COMPACT_ALTITUDE_FT)
+    || exceeds(prev.groundspeed, row.groundspeed, COMPACT_GROUNDSPEED_KT)
+    || exceeds(prev.heading, row.heading, COMPACT_HEADING_DEG, headingDelta)
+    || prev.airspace !== row.airspace
+    || prev.fir !== row.fir
+    || prev.transponder !== row.transponder
+    || prev.ground_airport !== row.ground_airport;
+}
+
+// A track continues while the pilot is in every poll with the same CID and filed route; a
+// missed poll, a reconnect or a refile starts a new one.
+function insertCompactSnapshots(db, ts, rows) {
+  const previousStmt = db.prepare(`
+    SELECT t.id, t.callsign, t.cid, t.departure, t.destination, t.first_ts,
+      c.lat, c.lon, c.altitude, c.groundspeed, c.heading, c.airspace, c.fir, c.transponder, c.ground_airport
+    FROM position_tracks t
+    JOIN position_changes c
+      ON c.track_id = t.id
+      AND c.ts = (SELECT MAX(p.ts) FROM position_changes p WHERE p.track_id = t.id)
+    WHERE t.last_ts = ?
+  `);
+  const insertTrackStmt = db.prepare(`
+    INSERT INTO position_tracks (callsign, cid, departure, destination, first_ts, last_ts)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const extendTrackStmt = db.prepare(`UPDATE position_tracks SET last_ts = ? WHERE id = ?`);
+  const insertChangeStmt = db.prepare(`
+    INSERT INTO position_changes (track_id, ts, lat, lon, altitude, groundspeed, heading, airspace, fir, transponder, ground_airport)
+    VALUES (@track_id, @ts, @lat, @lon, @altitude, @groundspeed, @heading, @airspace, @fir, @transponder, @ground_airport)
+  `);
+
+  const run = db.transaction(() => {
+    const latestFrame = db.prepare(`SELECT MAX(ts) AS ts FROM snapshot_frames`).get()?.ts ?? null;
+    // Carry-forward only works in time order; an older poll (e.g. a backfill) is stored in full
+    if (latestFrame != null && ts <= latestFrame) {
+      insertFullSnapshots(db, rows);
+      return;
+    }
+
+    const previous = new Map();
+    if (latestFrame != null) {
+      for (const track of previousStmt.all(latestFrame)) previous.set(track.callsign, track);
+    }
+
+    const seen = new Set();
+    for (const row of rows) {
+      if (seen.has(row.callsign)) continue;
+      seen.add(row.callsign);
+
+      const prev = previous.get(row.callsign);
+      const continues = prev
+        && prev.cid === row.cid
+        && prev.departure === row.departure
+        && prev.destination === row.destination
+        && ts - prev.first_ts <= COMPACT_TRACK_MAX_SECONDS;
+
+      let trackId;
+      if (continues) {
+        trackId = prev.id;
+        extendTrackStmt.run(ts, trackId);
+        if (!compactStateChanged(prev, row)) continue;
+      } else {
+        trackId = Number(insertTrackStmt.run(row.callsign, row.cid, row.departure, row.destination, ts, ts).lastInsertRowid);
+      }
+      insertChangeStmt.run({
+        track_id: trackId,
+        ts,
+        lat: row.lat,
+        lon: row.lon,
+        altitude: row.altitude,
+        groundspeed: row.groundspeed,
+        heading: row.heading,
+        airspace: row.airspace,
+        fir: row.fir,
+        transponder: row.transponder,
+        ground_airport: row.ground_airport
+      });
+    }
+
+    db.prepare(`INSERT OR REPLACE INTO snapshot_frames (ts, pilots) VALUES (?, ?)`).run(ts, seen.size);
+  });
+  run();
+}
+
+export function insertSnapshots(db, ts, pilots) {
   const rows = pilots.map((p) => ({
     ts,
     callsign: p.callsign,
@@ -438,261 +516,1444 @@ export function insertSnapshots(db, ts, pilots) {
     groundspeed: p.groundspeed ?? null,
     heading: p.heading ?? null,
     airspace: p.airspace ?? null,
+    fir: p.fir ?? null,
     departure: p.departure ?? null,
-    destination: p.destination ?? null
+    destination: p.destination ?? null,
+    transponder: p.transponder != null ? String(p.transponder) : null,
+    ground_airport: p.groundAirport ?? null
   }));
-  insertMany(rows);
+  if (SNAPSHOT_STORAGE === "compact") {
+    insertCompactSnapshots(db, ts, rows);
+  } else {
+    insertFullSnapshots(db, rows);
+  }
   incrementSnapshotStats(db, ts, rows.length);
+  if (rows.length > 0) lowerRetentionWatermarks(db, ts);
   return rows.length;
 }
 
-export function pruneOld(db, cutoffTs) {
-  let total = 0;
-  while (true) {
-    const deleted = pruneOldBatch(db, cutoffTs, 5000);
-    total += deleted;
-    if (deleted === 0) break;
+// A plan not seen for this long is treated as a new filing rather than an amendment.
+const FLIGHT_PLAN_REFILE_GAP_SECONDS = 30 * 60;
+
+function flightPlanFingerprint(fp) {
+  return JSON.stringify([
+    fp.flightRules,
+    fp.aircraft,
+    fp.aircraftFaa,
+    fp.aircraftShort,
+    fp.departure,
+    fp.arrival,
+    fp.alternate,
+    fp.cruiseAltitude,
+    fp.cruiseTas,
+    fp.deptime,
+    fp.enrouteTime,
+    fp.fuelTime,
+    fp.route,
+    fp.remarks
+  ].map((value) => value ?? null));
+}
+
+export function upsertFlightPlans(db, ts, pilots) {
+  const latestStmt = db.prepare(`
+    SELECT id, revision, filed_ts AS filedTs, last_seen_ts AS lastSeenTs, fingerprint
+    FROM flight_plans
+    WHERE callsign = ? AND cid IS ?
+    ORDER BY first_seen_ts DESC, id DESC
+    LIMIT 1
+  `);
+  const touchStmt = db.prepare(`
+    UPDATE flight_plans
+    SET last_seen_ts = ?
+    WHERE id = ? AND last_seen_ts < ?
+  `);
+  const insertStmt = db.prepare(`
+    INSERT INTO flight_plans (
+      callsign, cid, revision, feed_revision_id, filed_ts, first_seen_ts, last_seen_ts,
+      flight_rules, aircraft, aircraft_faa, aircraft_short, departure, arrival, alternate,
+      cruise_altitude, cruise_tas, deptime, enroute_time, fuel_time, route, remarks, fingerprint
+    ) VALUES (
+      @callsign, @cid, @revision, @feed_revision_id, @filed_ts, @first_seen_ts, @last_seen_ts,
+      @flight_rules, @aircraft, @aircraft_faa, @aircraft_short, @departure, @arrival, @alternate,
+      @cruise_altitude, @cruise_tas, @deptime, @enroute_time, @fuel_time, @route, @remarks, @fingerprint
+    )
+  `);
+
+  const run = db.transaction((rows) => {
+    let revisions = 0;
+    for (const p of rows) {
+      const fp = p?.flightPlan;
+      if (!fp || typeof p.callsign !== "string") continue;
+
+      const cid = p.cid ?? null;
+      const fingerprint = flightPlanFingerprint(fp);
+      const latest = latestStmt.get(p.callsign, cid);
+      const refiled = !latest || (ts - latest.lastSeenTs) > FLIGHT_PLAN_REFILE_GAP_SECONDS;
+
+      if (latest && !refiled && latest.fingerprint === fingerprint) {
+        touchStmt.run(ts, latest.id, ts);
+        continue;
+      }
+
+      insertStmt.run({
+        callsign: p.callsign,
+        cid,
+        revision: refiled ? 1 : latest.revision + 1,
+        feed_revision_id: fp.revisionId ?? null,
+        filed_ts: refiled ? ts : latest.filedTs,
+        first_seen_ts: ts,
+        last_seen_ts: ts,
+        flight_rules: fp.flightRules ?? null,
+        aircraft: fp.aircraft ?? null,
+        aircraft_faa: fp.aircraftFaa ?? null,
+        aircraft_short: fp.aircraftShort ?? null,
+        departure: fp.departure ?? null,
+        arrival: fp.arrival ?? null,
+        alternate: fp.alternate ?? null,
+        cruise_altitude: fp.cruiseAltitude ?? null,
+        cruise_tas: fp.cruiseTas ?? null,
+        deptime: fp.deptime ?? null,
+        enroute_time: fp.enrouteTime ?? null,
+        fuel_time: fp.fuelTime ?? null,
+        route: fp.route ?? null,
+        remarks: fp.remarks ?? null,
+        fingerprint
+      });
+      revisions += 1;
+    }
+    return revisions;
+  });
+
+  return run(pilots) ?? 0;
+}
+
+export function getFlightPlan(db, callsign, ts, cid = null) {
+  const params = [callsign];
+  let cidClause = "";
+  if (Number.isFinite(cid)) {
+    cidClause = " AND cid = ?";
+    params.push(cid);
   }
-  return total;
+
+  const current = db.prepare(`
+    SELECT *
+    FROM flight_plans
+    WHERE callsign = ?${cidClause} AND first_seen_ts <= ?
+    ORDER BY first_seen_ts DESC, id DESC
+    LIMIT 1
+  `).get(...params, ts);
+
+  if (!current) {
+    return { current: null, history: [] };
+  }
+
+  const history = db.prepare(`
+    SELECT *
+    FROM flight_plans
+    WHERE callsign = ? AND cid IS ? AND filed_ts = ?
+    ORDER BY revision ASC
+  `).all(current.callsign, current.cid, current.filed_ts);
+
+  const stripFingerprint = ({ fingerprint, ...row }) => row;
+  const filingLastSeenTs = history.reduce((max, row) => Math.max(max, row.last_seen_ts), current.last_seen_ts);
+  return {
+    current: { ...stripFingerprint(current), active: ts <= filingLastSeenTs },
+    history: history.map(stripFingerprint)
+  };
 }
 
-export function pruneOldBatch(db, cutoffTs, batchSize = 5000) {
+export function pruneOldFlightPlansBatch(db, cutoffTs, batchSize = 5000) {
   const safeBatchSize = Number.isFinite(batchSize) ? Math.max(1, Math.min(100000, Math.floor(batchSize))) : 5000;
   const info = db.prepare(`
-    DELETE FROM snapshots
-    WHERE rowid IN (
-      SELECT s.rowid
-      FROM snapshots s
-      WHERE s.ts < ?
-        AND NOT EXISTS (
-          SELECT 1
-          FROM events e
-          WHERE e.start_ts IS NOT NULL
-            AND e.end_ts IS NOT NULL
-            AND e.start_ts <= e.end_ts
-            AND s.ts BETWEEN e.start_ts AND e.end_ts
-        )
-      ORDER BY s.ts ASC
+    DELETE FROM flight_plans
+    WHERE id IN (
+      SELECT f.id
+      FROM flight_plans f
+      WHERE f.last_seen_ts < ?
+        AND NOT ${protectedWindowSql("f.first_seen_ts", "f.last_seen_ts")}
+      ORDER BY f.last_seen_ts ASC
       LIMIT ?
     )
   `).run(cutoffTs, safeBatchSize);
-  decrementSnapshotStats(db, cutoffTs, info.changes ?? 0);
   return info.changes ?? 0;
 }
 
-export function getCallsingsInRange(db, sinceTs, untilTs, limit = 2000, airspaces = [], airports = [], minAltitude = null, maxAltitude = null) {
-  let sql = `
-      SELECT callsign, MIN(ts) AS firstSeen, MAX(ts) AS lastSeen, COUNT(*) AS points
-      FROM snapshots
-      WHERE ts BETWEEN ? AND ?
-    `;
-
-  const params = [sinceTs, untilTs];
+const FLIGHT_SELECT_COLUMNS = `
+  id, callsign, cid, phase, first_seen_ts AS firstSeenTs, last_seen_ts AS lastSeenTs,
+  block_out_ts AS blockOutTs, takeoff_ts AS takeoffTs, landing_ts AS landingTs, block_in_ts AS blockInTs,
+  departure, arrival, filed_departure AS filedDeparture, filed_arrival AS filedArrival, aircraft,
+  takeoff_lat AS takeoffLat, takeoff_lon AS takeoffLon, landing_lat AS landingLat, landing_lon AS landingLon,
+  max_altitude AS maxAltitude, closed
+`;
+
+// Writes the flight records returned by FlightAnalyzer.observe(); new flights get their id assigned.
+export function saveFlights(db, flights) {
+  if (!Array.isArray(flights) || flights.length === 0) return 0;
+
+  const insertStmt = db.prepare(`
+    INSERT INTO flights (
+      callsign, cid, phase, first_seen_ts, last_seen_ts, block_out_ts, takeoff_ts, landing_ts, block_in_ts,
+      departure, arrival, filed_departure, filed_arrival, aircraft,
+      takeoff_lat, takeoff_lon, landing_lat, landing_lon, max_altitude, closed
+    ) VALUES (
+      @callsign, @cid, @phase, @first_seen_ts, @last_seen_ts, @block_out_ts, @takeoff_ts, @landing_ts, @block_in_ts,
+      @departure, @arrival, @filed_departure, @filed_arrival, @aircraft,
+      @takeoff_lat, @takeoff_lon, @landing_lat, @landing_lon, @max_altitude, @closed
+    )
+  `);
+  const updateStmt = db.prepare(`
+    UPDATE flights SET
+      phase = @phase,
+      last_seen_ts = @last_seen_ts,
+      block_out_ts = @block_out_ts,
+      takeoff_ts = @takeoff_ts,
+      landing_ts = @landing_ts,
+      block_in_ts = @block_in_ts,
+      departure = @departure,
+      arrival = @arrival,
+      filed_departure = @filed_departure,
+      filed_arrival = @filed_arrival,
+      aircraft = @aircraft,
+      takeoff_lat = @takeoff_lat,
+      takeoff_lon = @takeoff_lon,
+      landing_lat = @landing_lat,
+      landing_lon = @landing_lon,
+      max_altitude = @max_altitude,
+      closed = @closed
+    WHERE id = @id
+  `);
 
-  const airspaceFilter = buildAirspaceFilterClause(airspaces);
-  sql += airspaceFilter.clause;
-  params.push(...airspaceFilter.params);
+  const run = db.transaction((rows) => {
+    for (const f of rows) {
+      const row = {
+        callsign: f.callsign,
+        cid: f.cid ?? null,
+        phase: f.phase,
+        first_seen_ts: f.firstSeenTs,
+        last_seen_ts: f.lastSeenTs,
+        block_out_ts: f.blockOutTs ?? null,
+        takeoff_ts: f.takeoffTs ?? null,
+        landing_ts: f.landingTs ?? null,
+        block_in_ts: f.blockInTs ?? null,
+        departure: f.departure ?? null,
+        arrival: f.arrival ?? null,
+        filed_departure: f.filedDeparture ?? null,
+        filed_arrival: f.filedArrival ?? null,
+        aircraft: f.aircraft ?? null,
+        takeoff_lat: f.takeoffLat ?? null,
+        takeoff_lon: f.takeoffLon ?? null,
+        landing_lat: f.landingLat ?? null,
+        landing_lon: f.landingLon ?? null,
+        max_altitude: f.maxAltitude ?? null,
+        closed: f.closed ? 1 : 0
+      };
+      if (f.id == null) {
+        f.id = Number(insertStmt.run(row).lastInsertRowid);
+      } else {
+        updateStmt.run({ ...row, id: f.id });
+      }
+    }
+    return rows.length;
+  });
 
-  const airportFilter = buildAirportFilterClause(airports);
-  sql += airportFilter.clause;
-  params.push(...airportFilter.params);
+  return run(flights) ?? 0;
+}
 
-  const altitudeFilter = buildAltitudeFilterClause(minAltitude, maxAltitude);
-  sql += altitudeFilter.clause;
-  params.push(...altitudeFilter.params);
+export function getOpenFlights(db) {
+  return db.prepare(`
+    SELECT ${FLIGHT_SELECT_COLUMNS}
+    FROM flights
+    WHERE closed = 0
+  `).all().map((row) => ({ ...row, closed: false }));
+}
 
-  sql += `
-      GROUP BY callsign
-      ORDER BY lastSeen DESC
-      LIMIT ?
-    `;
-  params.push(limit);
+export function getFlightsInRange(db, sinceTs, untilTs, airport = null, cid = null, callsign = null, limit = 2000) {
+  const safeLimit = Number.isFinite(limit) ? Math.max(1, Math.min(10000, Math.floor(limit))) : 2000;
+  const params = [untilTs, sinceTs];
+  let sql = `
+    SELECT ${FLIGHT_SELECT_COLUMNS}
+    FROM flights
+    WHERE first_seen_ts <= ? AND last_seen_ts >= ?
+  `;
+  if (airport) {
+    sql += " AND (departure = ? OR arrival = ?)";
+    params.push(airport, airport);
+  }
+  if (Number.isFinite(cid)) {
+    sql += " AND cid = ?";
+    params.push(cid);
+  }
+  if (callsign) {
+    sql += " AND callsign = ?";
+    params.push(callsign);
+  }
+  sql += " ORDER BY first_seen_ts ASC LIMIT ?";
+  params.push(safeLimit);
 
-  return db.prepare(sql).all(...params);
+  return db.prepare(sql).all(...params).map((row) => ({ ...row, closed: row.closed === 1 }));
 }
 
-export function getTrack(db, callsign, sinceTs, untilTs, stepSeconds = 0, airspaces = [], airports = [], minAltitude = null, maxAltitude = null) {
-  // optional downsample: return at most one point per stepSeconds bucket
-  if (stepSeconds && stepSeconds > 0) {
-    let sql = `
-      SELECT
-        (ts / ?) * ? AS bucket,
-        MIN(ts) AS ts,
-        callsign,
-        AVG(lat) AS lat,
-        AVG(lon) AS lon,
-        AVG(altitude) AS altitude,
-        AVG(groundspeed) AS groundspeed,
-        AVG(heading) AS heading,
-        MAX(airspace) AS airspace,
-        MAX(departure) AS departure,
-        MAX(destination) AS destination
-      FROM snapshots
-      WHERE callsign = ? AND ts BETWEEN ? AND ?
-    `;
+// Airline ICAO of an airline-style callsign (three letters then a digit, e.g. BAW123 -> BAW)
+const AIRLINE_SQL = "CASE WHEN callsign GLOB '[A-Z][A-Z][A-Z][0-9]*' THEN substr(callsign, 1, 3) END";
+
+function buildCallsignSearchClause({ pattern = null, cid = null, airline = null, sinceTs = null, untilTs = null }) {
+  let clause = "WHERE 1=1";
+  const params = [];
+  if (pattern) {
+    clause += " AND callsign GLOB ?";
+    params.push(pattern);
+  }
+  if (Number.isFinite(cid)) {
+    clause += " AND cid = ?";
+    params.push(cid);
+  }
+  if (airline) {
+    clause += " AND callsign GLOB ?";
+    params.push(`${airline}[0-9]*`);
+  }
+  if (Number.isFinite(sinceTs)) {
+    clause += " AND last_seen_ts >= ?";
+    params.push(sinceTs);
+  }
+  if (Number.isFinite(untilTs)) {
+    clause += " AND first_seen_ts <= ?";
+    params.push(untilTs);
+  }
+  return { clause, params };
+}
 
-    const params = [stepSeconds, stepSeconds, callsign, sinceTs, untilTs];
+// Callsign search over the flights table (one row per connection, so it spans the whole
+// retention period cheaply). pattern is a GLOB (BAW*, *123); results are one row per callsign,
+// most recently seen first, with the last stored position so a client can jump to it.
+export function searchCallsigns(db, filters, limit = 25, offset = 0) {
+  const { clause, params } = buildCallsignSearchClause(filters);
+  const total = db.prepare(`SELECT COUNT(DISTINCT callsign) AS total FROM flights ${clause}`).get(...params)?.total ?? 0;
 
-    const airspaceFilter = buildAirspaceFilterClause(airspaces);
-    sql += airspaceFilter.clause;
-    params.push(...airspaceFilter.params);
+  const rows = db.prepare(`
+    SELECT
+      callsign,
+      ${AIRLINE_SQL} AS airline,
+      GROUP_CONCAT(DISTINCT cid) AS cids,
+      COUNT(*) AS flights,
+      MIN(first_seen_ts) AS firstSeen,
+      MAX(last_seen_ts) AS lastSeen
+    FROM flights
+    ${clause}
+    GROUP BY callsign
+    ORDER BY lastSeen DESC, callsign ASC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  // lastSeen is a stored poll, so the position is at (or, after pruning, shortly before) it
+  const positionStmt = db.prepare(`
+    SELECT lat, lon
+    FROM snapshot_rows
+    WHERE callsign = ? AND ts BETWEEN ? AND ?
+    ORDER BY ts DESC
+    LIMIT 1
+  `);
+  return {
+    total,
+    rows: rows.map((row) => {
+      const position = positionStmt.get(row.callsign, row.lastSeen - 3600, row.lastSeen);
+      return {
+        ...row,
+        cids: typeof row.cids === "string" ? row.cids.split(",").map((x) => parseInt(x, 10)).filter(Number.isFinite) : [],
+        lat: position?.lat ?? null,
+        lon: position?.lon ?? null
+      };
+    })
+  };
+}
 
-    const airportFilter = buildAirportFilterClause(airports);
-    sql += airportFilter.clause;
-    params.push(...airportFilter.params);
+// Same search grouped by airline ICAO; callsigns that aren't airline-style are left out.
+export function searchAirlines(db, filters, limit = 25, offset = 0) {
+  const { clause, params } = buildCallsignSearchClause(filters);
+  const grouped = `
+    SELECT ${AIRLINE_SQL} AS airline, callsign, last_seen_ts
+    FROM flights
+    ${clause}
+  `;
+  const total = db.prepare(`
+    SELECT COUNT(DISTINCT airline) AS total FROM (${grouped}) WHERE airline IS NOT NULL
+  `).get(...params)?.total ?? 0;
 
-    const altitudeFilter = buildAltitudeFilterClause(minAltitude, maxAltitude);
-    sql += altitudeFilter.clause;
-    params.push(...altitudeFilter.params);
+  const rows = db.prepare(`
+    SELECT airline, COUNT(DISTINCT callsign) AS callsigns, COUNT(*) AS flights, MAX(last_seen_ts) AS lastSeen
+    FROM (${grouped})
+    WHERE airline IS NOT NULL
+    GROUP BY airline
+    ORDER BY lastSeen DESC, airline ASC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  return { total, rows };
+}
 
-    sql += `
-      GROUP BY bucket
-      ORDER BY ts ASC
-    `;
+export function pruneOldFlightsBatch(db, cutoffTs, batchSize = 5000) {
+  const safeBatchSize = Number.isFinite(batchSize) ? Math.max(1, Math.min(100000, Math.floor(batchSize))) : 5000;
+  const info = db.prepare(`
+    DELETE FROM flights
+    WHERE id IN (
+      SELECT f.id
+      FROM flights f
+      WHERE f.last_seen_ts < ?
+        AND f.closed = 1
+        AND NOT ${protectedWindowSql("f.first_seen_ts", "f.last_seen_ts")}
+      ORDER BY f.last_seen_ts ASC
+      LIMIT ?
+    )
+  `).run(cutoffTs, safeBatchSize);
+  return info.changes ?? 0;
+}
 
-    return db.prepare(sql).all(...params);
-  }
+// A prefile stays the same row while it keeps appearing in the feed (amendments overwrite
+// it) until the pilot connects with the same callsign + CID, which stamps connected_ts.
+// A prefile that vanished without a connection is considered withdrawn after the refile gap.
+export function upsertPrefiles(db, ts, prefiles) {
+  const openStmt = db.prepare(`
+    SELECT id
+    FROM prefiles
+    WHERE callsign = ? AND cid IS ? AND connected_ts IS NULL AND last_seen_ts >= ?
+    ORDER BY last_seen_ts DESC
+    LIMIT 1
+  `);
+  const updateStmt = db.prepare(`
+    UPDATE prefiles SET
+      last_seen_ts = MAX(last_seen_ts, @ts),
+      last_updated_ts = @last_updated_ts,
+      flight_rules = @flight_rules,
+      aircraft = @aircraft,
+      aircraft_faa = @aircraft_faa,
+      aircraft_short = @aircraft_short,
+      departure = @departure,
+      arrival = @arrival,
+      alternate = @alternate,
+      cruise_altitude = @cruise_altitude,
+      cruise_tas = @cruise_tas,
+      deptime = @deptime,
+      enroute_time = @enroute_time,
+      fuel_time = @fuel_time,
+      route = @route,
+      remarks = @remarks
+    WHERE id = @id
+  `);
+  const insertStmt = db.prepare(`
+    INSERT INTO prefiles (
+      callsign, cid, filed_ts, last_seen_ts, last_updated_ts,
+      flight_rules, aircraft, aircraft_faa, aircraft_short, departure, arrival, alternate,
+      cruise_altitude, cruise_tas, deptime, enroute_time, fuel_time, route, remarks
+    ) VALUES (
+      @callsign, @cid, @ts, @ts, @last_updated_ts,
+      @flight_rules, @aircraft, @aircraft_faa, @aircraft_short, @departure, @arrival, @alternate,
+      @cruise_altitude, @cruise_tas, @deptime, @enroute_time, @fuel_time, @route, @remarks
+    )
+  `);
 
-  let sql = `
-      SELECT ts, callsign, lat, lon, altitude, groundspeed, heading, airspace, departure, destination
-      FROM snapshots
-      WHERE callsign = ? AND ts BETWEEN ? AND ?
-    `;
-  const params = [callsign, sinceTs, untilTs];
+  const run = db.transaction((rows) => {
+    let inserted = 0;
+    for (const p of rows) {
+      const fp = p?.flightPlan;
+      if (!fp || typeof p.callsign !== "string") continue;
+
+      const cid = p.cid ?? null;
+      const row = {
+        ts,
+        last_updated_ts: p.lastUpdatedTs ?? null,
+        flight_rules: fp.flightRules ?? null,
+        aircraft: fp.aircraft ?? null,
+        aircraft_faa: fp.aircraftFaa ?? null,
+        aircraft_short: fp.aircraftShort ?? null,
+        departure: fp.departure ?? null,
+        arrival: fp.arrival ?? null,
+        alternate: fp.alternate ?? null,
+        cruise_altitude: fp.cruiseAltitude ?? null,
+        cruise_tas: fp.cruiseTas ?? null,
+        deptime: fp.deptime ?? null,
+        enroute_time: fp.enrouteTime ?? null,
+        fuel_time: fp.fuelTime ?? null,
+        route: fp.route ?? null,
+        remarks: fp.remarks ?? null
+      };
+
+      const open = openStmt.get(p.callsign, cid, ts - FLIGHT_PLAN_REFILE_GAP_SECONDS);
+      if (open) {
+        updateStmt.run({ ...row, id: open.id });
+      } else {
+        insertStmt.run({ ...row, callsign: p.callsign, cid });
+        inserted += 1;
+      }
+    }
+    return inserted;
+  });
 
-  const airspaceFilter = buildAirspaceFilterClause(airspaces);
-  sql += airspaceFilter.clause;
-  params.push(...airspaceFilter.params);
+  return run(prefiles) ?? 0;
+}
 
-  const airportFilter = buildAirportFilterClause(airports);
-  sql += airportFilter.clause;
-  params.push(...airportFilter.params);
+// Stamps connected_ts on open prefiles whose callsign + CID shows up among the connected pilots.
+export function linkConnectedPrefiles(db, ts, pilots) {
+  const open = db.prepare(`
+    SELECT id, callsign, cid
+    FROM prefiles
+    WHERE connected_ts IS NULL AND last_seen_ts >= ?
+  `).all(ts - FLIGHT_PLAN_REFILE_GAP_SECONDS);
+  if (open.length === 0) return 0;
 
-  const altitudeFilter = buildAltitudeFilterClause(minAltitude, maxAltitude);
-  sql += altitudeFilter.clause;
-  params.push(...altitudeFilter.params);
+  const connected = new Set(pilots.map((p) => `${p.callsign}:${p.cid ?? ""}`));
+  const matches = open.filter((p) => connected.has(`${p.callsign}:${p.cid ?? ""}`));
+  if (matches.length === 0) return 0;
 
-  sql += ` ORDER BY ts ASC`;
-  return db.prepare(sql).all(...params);
+  const stmt = db.prepare(`UPDATE prefiles SET connected_ts = ? WHERE id = ?`);
+  const run = db.transaction((rows) => {
+    for (const r of rows) stmt.run(ts, r.id);
+  });
+  run(matches);
+  return matches.length;
 }
 
-export function getSnapshotAt(db, ts, windowSeconds = 10, airspaces = [], airports = [], minAltitude = null, maxAltitude = null) {
-  // nearest window around ts
-  const from = ts - windowSeconds;
-  const to = ts + windowSeconds;
+export function getPrefilesInRange(db, airport, sinceTs, untilTs, limit = 2000) {
+  const safeLimit = Number.isFinite(limit) ? Math.max(1, Math.min(10000, Math.floor(limit))) : 2000;
+  const params = [untilTs, sinceTs];
+  let airportClause = "";
+  if (airport) {
+    airportClause = " AND (departure = ? OR arrival = ?)";
+    params.push(airport, airport);
+  }
+  params.push(safeLimit);
 
-  let sql = `
-    SELECT ts, callsign, lat, lon, altitude, groundspeed, heading, airspace, departure, destination
-    FROM snapshots
+  return db.prepare(`
+    SELECT
+      id, callsign, cid, filed_ts AS filedTs, last_seen_ts AS lastSeenTs, last_updated_ts AS lastUpdatedTs,
+      connected_ts AS connectedTs, flight_rules AS flightRules, aircraft, aircraft_faa AS aircraftFaa,
+      aircraft_short AS aircraftShort, departure, arrival, alternate, cruise_altitude AS cruiseAltitude,
+      cruise_tas AS cruiseTas, deptime, enroute_time AS enrouteTime, fuel_time AS fuelTime, route, remarks
+    FROM prefiles
+    WHERE filed_ts <= ? AND COALESCE(connected_ts, last_seen_ts) >= ?${airportClause}
+    ORDER BY filed_ts ASC
+    LIMIT ?
+  `).all(...params);
+}
+
+// Distinct connected callsigns departing / arriving at an airport in a window, for comparing
+// against prefiled demand.
+export function getConnectedAirportTraffic(db, airport, sinceTs, untilTs) {
+  const row = db.prepare(`
+    SELECT
+      COUNT(DISTINCT CASE WHEN departure = ? THEN callsign END) AS departures,
+      COUNT(DISTINCT CASE WHEN destination = ? THEN callsign END) AS arrivals
+    FROM snapshot_rows
     WHERE ts BETWEEN ? AND ?
-  `;
-  const params = [from, to];
+      AND (departure = ? OR destination = ?)
+  `).get(airport, airport, sinceTs, untilTs, airport, airport);
+  return { departures: row?.departures ?? 0, arrivals: row?.arrivals ?? 0 };
+}
 
-  const airspaceFilter = buildAirspaceFilterClause(airspaces);
-  sql += airspaceFilter.clause;
-  params.push(...airspaceFilter.params);
+export function pruneOldPrefilesBatch(db, cutoffTs, batchSize = 5000) {
+  const safeBatchSize = Number.isFinite(batchSize) ? Math.max(1, Math.min(100000, Math.floor(batchSize))) : 5000;
+  const info = db.prepare(`
+    DELETE FROM prefiles
+    WHERE id IN (
+      SELECT p.id
+      FROM prefiles p
+      WHERE COALESCE(p.connected_ts, p.last_seen_ts) < ?
+        AND NOT ${protectedWindowSql("p.filed_ts", "COALESCE(p.connected_ts, p.last_seen_ts)")}
+      ORDER BY p.last_seen_ts ASC
+      LIMIT ?
+    )
+  `).run(cutoffTs, safeBatchSize);
+  return info.changes ?? 0;
+}
 
-  const airportFilter = buildAirportFilterClause(airports);
-  sql += airportFilter.clause;
-  params.push(...airportFilter.params);
+// One row per controller/ATIS logon (callsign + CID + feed logon_time). The broadcast text is
+// stored as a new revision only when it (or the ATIS letter) changes within the session.
+export function upsertAtcSessions(db, ts, stations) {
+  const upsertStmt = db.prepare(`
+    INSERT INTO atc_sessions (
+      callsign, cid, logon_time, logon_ts, first_seen_ts, last_seen_ts, is_atis, frequency, facility, rating, visual_range
+    ) VALUES (
+      @callsign, @cid, @logon_time, @logon_ts, @ts, @ts, @is_atis, @frequency, @facility, @rating, @visual_range
+    )
+    ON CONFLICT(callsign, cid, logon_time) DO UPDATE SET
+      last_seen_ts = MAX(last_seen_ts, excluded.last_seen_ts),
+      frequency = excluded.frequency,
+      facility = excluded.facility,
+      rating = excluded.rating,
+      visual_range = excluded.visual_range
+    RETURNING id
+  `);
+  const latestRevisionStmt = db.prepare(`
+    SELECT id, atis_code AS atisCode, text
+    FROM atis_revisions
+    WHERE session_id = ?
+    ORDER BY first_seen_ts DESC, id DESC
+    LIMIT 1
+  `);
+  const touchRevisionStmt = db.prepare(`
+    UPDATE atis_revisions
+    SET last_seen_ts = ?
+    WHERE id = ? AND last_seen_ts < ?
+  `);
+  const insertRevisionStmt = db.prepare(`
+    INSERT INTO atis_revisions (session_id, first_seen_ts, last_seen_ts, atis_code, text)
+    VALUES (?, ?, ?, ?, ?)
+  `);
 
-  const altitudeFilter = buildAltitudeFilterClause(minAltitude, maxAltitude);
-  sql += altitudeFilter.clause;
-  params.push(...altitudeFilter.params);
+  const run = db.transaction((rows) => {
+    let revisions = 0;
+    for (const s of rows) {
+      if (typeof s?.callsign !== "string" || !s.logonTime) continue;
+
+      const logonMs = Date.parse(s.logonTime);
+      const session = upsertStmt.get({
+        callsign: s.callsign,
+        cid: s.cid ?? null,
+        logon_time: s.logonTime,
+        logon_ts: Number.isFinite(logonMs) ? Math.floor(logonMs / 1000) : null,
+        ts,
+        is_atis: s.isAtis ? 1 : 0,
+        frequency: s.frequency ?? null,
+        facility: s.facility ?? null,
+        rating: s.rating ?? null,
+        visual_range: s.visualRange ?? null
+      });
+      if (!session || !s.textAtis) continue;
+
+      const atisCode = s.atisCode ?? null;
+      const latest = latestRevisionStmt.get(session.id);
+      if (latest && latest.text === s.textAtis && latest.atisCode === atisCode) {
+        touchRevisionStmt.run(ts, latest.id, ts);
+        continue;
+      }
+      insertRevisionStmt.run(session.id, ts, ts, atisCode, s.textAtis);
+      revisions += 1;
+    }
+    return revisions;
+  });
 
-  return db.prepare(sql).all(...params);
+  return run(stations) ?? 0;
 }
 
-export function getSnapshotsBetween(db, sinceTs, untilTs, airspaces = [], airports = [], minAltitude = null, maxAltitude = null) {
-  let sql = `
-    SELECT ts, callsign, lat, lon, altitude, groundspeed, heading, airspace, departure, destination
-    FROM snapshots
-    WHERE ts BETWEEN ? AND ?
-  `;
-  const params = [sinceTs, untilTs];
+export function getAtcSessions(db, callsign, sinceTs, untilTs, limit = 50) {
+  const safeLimit = Number.isFinite(limit) ? Math.max(1, Math.min(500, Math.floor(limit))) : 50;
+  const sessions = db.prepare(`
+    SELECT
+      id, callsign, cid, logon_time AS logonTime, logon_ts AS logonTs,
+      first_seen_ts AS firstSeenTs, last_seen_ts AS lastSeenTs, is_atis AS isAtis,
+      frequency, facility, rating, visual_range AS visualRange
+    FROM atc_sessions
+    WHERE callsign = ? AND first_seen_ts <= ? AND last_seen_ts >= ?
+    ORDER BY first_seen_ts ASC
+    LIMIT ?
+  `).all(callsign, untilTs, sinceTs, safeLimit);
 
-  const airspaceFilter = buildAirspaceFilterClause(airspaces);
-  sql += airspaceFilter.clause;
-  params.push(...airspaceFilter.params);
+  const revisionsStmt = db.prepare(`
+    SELECT first_seen_ts AS firstSeenTs, last_seen_ts AS lastSeenTs, atis_code AS atisCode, text
+    FROM atis_revisions
+    WHERE session_id = ?
+    ORDER BY first_seen_ts ASC, id ASC
+  `);
 
-  const airportFilter = buildAirportFilterClause(airports);
-  sql += airportFilter.clause;
-  params.push(...airportFilter.params);
+  return sessions.map(({ id, isAtis, ...session }) => ({
+    ...session,
+    isAtis: isAtis === 1,
+    atisRevisions: revisionsStmt.all(id)
+  }));
+}
 
-  const altitudeFilter = buildAltitudeFilterClause(minAltitude, maxAltitude);
-  sql += altitudeFilter.clause;
-  params.push(...altitudeFilter.params);
+export function pruneOldAtcSessionsBatch(db, cutoffTs, batchSize = 5000) {
+  const safeBatchSize = Number.isFinite(batchSize) ? Math.max(1, Math.min(100000, Math.floor(batchSize))) : 5000;
+  const prune = db.transaction(() => {
+    const ids = db.prepare(`
+      SELECT s.id
+      FROM atc_sessions s
+      WHERE s.last_seen_ts < ?
+        AND NOT ${protectedWindowSql("s.first_seen_ts", "s.last_seen_ts")}
+      ORDER BY s.last_seen_ts ASC
+      LIMIT ?
+    `).all(cutoffTs, safeBatchSize).map((r) => r.id);
+    if (ids.length === 0) return 0;
 
-  sql += ` ORDER BY ts ASC`;
-  return db.prepare(sql).all(...params);
+    const placeholders = ids.map(() => "?").join(",");
+    db.prepare(`DELETE FROM atis_revisions WHERE session_id IN (${placeholders})`).run(...ids);
+    return db.prepare(`DELETE FROM atc_sessions WHERE id IN (${placeholders})`).run(...ids).changes ?? 0;
+  });
+  return prune();
 }
 
-export function getSnapshotTimestampsInRange(db, sinceTs, untilTs) {
+export function getLatestSquawks(db) {
   return db.prepare(`
-    SELECT DISTINCT ts
-    FROM snapshots
-    WHERE ts BETWEEN ? AND ?
-    ORDER BY ts ASC
-  `).all(sinceTs, untilTs).map((r) => r.ts);
+    SELECT callsign, cid, transponder
+    FROM snapshot_rows
+    WHERE ts = (SELECT max_ts FROM snapshot_stats WHERE id = 1)
+  `).all();
 }
 
-export function getSnapshotsAtTimestamps(db, timestamps, airspaces = [], airports = [], minAltitude = null, maxAltitude = null) {
-  if (!Array.isArray(timestamps) || timestamps.length === 0) return [];
+export function insertAlerts(db, ts, alerts) {
+  if (!Array.isArray(alerts) || alerts.length === 0) return 0;
 
-  const placeholders = timestamps.map(() => "?").join(",");
-  let sql = `
-    SELECT ts, callsign, lat, lon, altitude, groundspeed, heading, airspace, departure, destination
-    FROM snapshots
-    WHERE ts IN (${placeholders})
+  const stmt = db.prepare(`
+    INSERT INTO alerts (ts, type, callsign, cid, code, previous_code, lat, lon, altitude, groundspeed, airspace)
+    VALUES (@ts, @type, @callsign, @cid, @code, @previous_code, @lat, @lon, @altitude, @groundspeed, @airspace)
+  `);
+  const insertMany = db.transaction((rows) => {
+    for (const r of rows) stmt.run(r);
+  });
+  const rows = alerts.map((a) => ({
+    ts,
+    type: a.type,
+    callsign: a.callsign,
+    cid: a.cid ?? null,
+    code: a.code ?? null,
+    previous_code: a.previousCode ?? null,
+    lat: a.latitude ?? null,
+    lon: a.longitude ?? null,
+    altitude: a.altitude ?? null,
+    groundspeed: a.groundspeed ?? null,
+    airspace: a.airspace ?? null
+  }));
+  insertMany(rows);
+  return rows.length;
+}
+
+export function getAlertsInRange(db, sinceTs, untilTs, types = [], callsign = null, limit = 500) {
+  let sql = `
+    SELECT id, ts, type, callsign, cid, code, previous_code, lat, lon, altitude, groundspeed, airspace
+    FROM alerts
+    WHERE ts BETWEEN ? AND ?
   `;
-  const params = [...timestamps];
+  const params = [sinceTs, untilTs];
 
-  const airspaceFilter = buildAirspaceFilterClause(airspaces);
-  sql += airspaceFilter.clause;
-  params.push(...airspaceFilter.params);
+  const typeList = Array.isArray(types)
+    ? types.filter((type) => typeof type === "string" && type.trim().length > 0)
+    : [];
+  if (typeList.length > 0) {
+    sql += ` AND type IN (${typeList.map(() => "?").join(",")})`;
+    params.push(...typeList);
+  }
 
-  const airportFilter = buildAirportFilterClause(airports);
-  sql += airportFilter.clause;
-  params.push(...airportFilter.params);
+  if (typeof callsign === "string" && callsign.length > 0) {
+    sql += " AND callsign = ?";
+    params.push(callsign);
+  }
 
-  const altitudeFilter = buildAltitudeFilterClause(minAltitude, maxAltitude);
-  sql += altitudeFilter.clause;
-  params.push(...altitudeFilter.params);
+  const safeLimit = Number.isFinite(limit) ? Math.max(1, Math.min(5000, limit)) : 500;
+  sql += " ORDER BY ts ASC LIMIT ?";
+  params.push(safeLimit);
 
-  sql += ` ORDER BY ts ASC`;
   return db.prepare(sql).all(...params);
 }
 
+export function pruneOldAlertsBatch(db, cutoffTs, batchSize = 5000) {
+  const safeBatchSize = Number.isFinite(batchSize) ? Math.max(1, Math.min(100000, Math.floor(batchSize))) : 5000;
+  const info = db.prepare(`
+    DELETE FROM alerts
+    WHERE id IN (
+      SELECT a.id
+      FROM alerts a
+      WHERE a.ts < ?
+        AND NOT ${protectedWindowSql("a.ts")}
+      ORDER BY a.ts ASC
+      LIMIT ?
+    )
+  `).run(cutoffTs, safeBatchSize);
+  return info.changes ?? 0;
+}
+
+export function getLatestAirspaces(db) {
+  return db.prepare(`
+    SELECT ts, callsign, cid, airspace, fir
+    FROM snapshot_rows
+    WHERE ts = (SELECT max_ts FROM snapshot_stats WHERE id = 1)
+  `).all();
+}
+
+export function insertAirspaceCrossings(db, ts, crossings) {
+  if (!Array.isArray(crossings) || crossings.length === 0) return 0;
+
+  const stmt = db.prepare(`
+    INSERT INTO airspace_crossings (
+      ts, callsign, cid, from_airspace, to_airspace, from_fir, to_fir,
+      lat, lon, altitude, groundspeed, heading
+    )
+    VALUES (
+      @ts, @callsign, @cid, @from_airspace, @to_airspace, @from_fir, @to_fir,
+      @lat, @lon, @altitude, @groundspeed, @heading
+    )
+  `);
+  const insertMany = db.transaction((rows) => {
+    for (const r of rows) stmt.run(r);
+  });
+  const rows = crossings.map((c) => ({
+    ts,
+    callsign: c.callsign,
+    cid: c.cid ?? null,
+    from_airspace: c.fromAirspace ?? null,
+    to_airspace: c.toAirspace ?? null,
+    from_fir: c.fromFir ?? null,
+    to_fir: c.toFir ?? null,
+    lat: c.latitude ?? null,
+    lon: c.longitude ?? null,
+    altitude: c.altitude ?? null,
+    groundspeed: c.groundspeed ?? null,
+    heading: c.heading ?? null
+  }));
+  insertMany(rows);
+  return rows.length;
+}
+
+// Crossings touching an airspace (as the most specific airspace or the parent FIR on either
+// side), each tagged entry / exit / internal relative to it; all crossings without one.
+export function getAirspaceCrossings(db, airspace, sinceTs, untilTs, callsign = null, limit = 5000) {
+  let sql = `
+    SELECT
+      id, ts, callsign, cid,
+      from_airspace AS fromAirspace, to_airspace AS toAirspace, from_fir AS fromFir, to_fir AS toFir,
+      lat, lon, altitude, groundspeed, heading
+    FROM airspace_crossings
+    WHERE ts BETWEEN ? AND ?
+  `;
+  const params = [sinceTs, untilTs];
+
+  if (typeof airspace === "string" && airspace.length > 0) {
+    sql += " AND (from_airspace = ? OR from_fir = ? OR to_airspace = ? OR to_fir = ?)";
+    params.push(airspace, airspace, airspace, airspace);
+  }
+  if (typeof callsign === "string" && callsign.length > 0) {
+    sql += " AND callsign = ?";
+    params.push(callsign);
+  }
+
+  const safeLimit = Number.isFinite(limit) ? Math.max(1, Math.min(20000, limit)) : 5000;
+  sql += " ORDER BY ts ASC, id ASC LIMIT ?";
+  params.push(safeLimit);
+
+  const rows = db.prepare(sql).all(...params);
+  if (typeof airspace !== "string" || airspace.length === 0) return rows;
+
+  return rows.map((row) => {
+    const wasInside = row.fromAirspace === airspace || row.fromFir === airspace;
+    const isInside = row.toAirspace === airspace || row.toFir === airspace;
+    let direction = "internal";
+    if (isInside && !wasInside) direction = "entry";
+    else if (wasInside && !isInside) direction = "exit";
+    return { ...row, direction };
+  });
+}
+
+export function pruneOldAirspaceCrossingsBatch(db, cutoffTs, batchSize = 5000) {
+  const safeBatchSize = Number.isFinite(batchSize) ? Math.max(1, Math.min(100000, Math.floor(batchSize))) : 5000;
+  const info = db.prepare(`
+    DELETE FROM airspace_crossings
+    WHERE id IN (
+      SELECT c.id
+      FROM airspace_crossings c
+      WHERE c.ts < ?
+        AND NOT ${protectedWindowSql("c.ts")}
+      ORDER BY c.ts ASC
+      LIMIT ?
+    )
+  `).run(cutoffTs, safeBatchSize);
+  return info.changes ?? 0;
+}
+
+export function hasSnapshotsAt(db, ts) {
+  const row = db.prepare(`
+    SELECT
+      EXISTS (SELECT 1 FROM snapshots WHERE ts = ?) AS pilots,
+      EXISTS (SELECT 1 FROM snapshot_frames WHERE ts = ?) AS frames,
+      EXISTS (SELECT 1 FROM atc_snapshots WHERE ts = ?) AS atc
+  `).get(ts, ts, ts);
+  return Boolean(row?.pilots || row?.frames || row?.atc);
+}
+
+export function insertCollectorRun(db, run) {
+  const info = db.prepare(`
+    INSERT INTO collector_runs (
+      started_ts, feed_ts, source_status, outcome, duration_ms,
+      pilots, inserted, atc, atc_inserted, pruned, atc_pruned, error
+    )
+    VALUES (
+      @started_ts, @feed_ts, @source_status, @outcome, @duration_ms,
+      @pilots, @inserted, @atc, @atc_inserted, @pruned, @atc_pruned, @error
+    )
+  `).run({
+    started_ts: run.startedTs,
+    feed_ts: run.feedTs ?? null,
+    source_status: run.sourceStatus ?? "failed",
+    outcome: run.outcome ?? "error",
+    duration_ms: run.durationMs ?? null,
+    pilots: run.pilots ?? 0,
+    inserted: run.inserted ?? 0,
+    atc: run.atc ?? 0,
+    atc_inserted: run.atcInserted ?? 0,
+    pruned: run.pruned ?? 0,
+    atc_pruned: run.atcPruned ?? 0,
+    error: run.error ?? null
+  });
+  return info.changes ?? 0;
+}
+
+export function getLatestCollectorRun(db) {
+  return db.prepare(`
+    SELECT
+      started_ts AS startedTs, feed_ts AS feedTs, source_status AS sourceStatus, outcome,
+      duration_ms AS durationMs, pilots, inserted, atc, atc_inserted AS atcInserted,
+      pruned, atc_pruned AS atcPruned, error
+    FROM collector_runs
+    ORDER BY id DESC
+    LIMIT 1
+  `).get() ?? null;
+}
+
+// Gaps are measured between stored frames (pilot or ATC rows), plus the edges of the window,
+// and annotated with the collector runs that fell inside them so an outage can be told apart
+// from a quiet network. A gap is longer than minGapPolls polls at the resolution stored where it
+// starts: the poll interval, or the step retention has downsampled that range to.
+export function getCoverageGaps(db, sinceTs, untilTs, minGapPolls, pollIntervalSeconds, limit = 500) {
+  const watermarks = getRetentionWatermarks(db);
+  const resolutionAt = (ts) => watermarks.reduce(
+    (resolution, w) => (w.downsampledUntil > ts ? Math.max(resolution, w.stepSeconds) : resolution),
+    pollIntervalSeconds
+  );
+  const minGapSecondsAt = (ts) => Math.max(1, Math.round(minGapPolls * resolutionAt(ts)));
+  const safeLimit = Number.isFinite(limit) ? Math.max(1, Math.min(5000, Math.floor(limit))) : 500;
+  const frames = db.prepare(`
+    SELECT ts FROM snapshots WHERE ts BETWEEN ? AND ?
+    UNION
+    SELECT ts FROM snapshot_frames WHERE ts BETWEEN ? AND ?
+    UNION
+    SELECT ts FROM archive_snapshots WHERE ts BETWEEN ? AND ?
+    UNION
+    SELECT ts FROM atc_snapshot_rows WHERE ts BETWEEN ? AND ?
+    ORDER BY ts ASC
+  `).all(sinceTs, untilTs, sinceTs, untilTs, sinceTs, untilTs, sinceTs, untilTs).map((r) => r.ts);
+
+  const bounds = [];
+  let prev = sinceTs;
+  for (const ts of frames) {
+    if (ts - prev > minGapSecondsAt(prev)) bounds.push([prev, ts]);
+    prev = ts;
+  }
+  if (untilTs - prev > minGapSecondsAt(prev)) bounds.push([prev, untilTs]);
+
+  const runsStmt = db.prepare(`
+    SELECT outcome, COUNT(*) AS count, MAX(started_ts) AS lastTs
+    FROM collector_runs
+    WHERE started_ts > ? AND started_ts < ?
+    GROUP BY outcome
+  `);
+  const errorStmt = db.prepare(`
+    SELECT error
+    FROM collector_runs
+    WHERE started_ts > ? AND started_ts < ? AND error IS NOT NULL
+    ORDER BY started_ts DESC
+    LIMIT 1
+  `);
+
+  const gaps = bounds.slice(0, safeLimit).map(([start, end]) => {
+    const outcomes = {};
+    let runs = 0;
+    for (const row of runsStmt.all(start, end)) {
+      outcomes[row.outcome] = row.count;
+      runs += row.count;
+    }
+    return {
+      start,
+      end,
+      durationSeconds: end - start,
+      resolutionSeconds: resolutionAt(start),
+      runs,
+      outcomes,
+      lastError: errorStmt.get(start, end)?.error ?? null
+    };
+  });
+
+  return { frames: frames.length, gaps, truncated: bounds.length > gaps.length };
+}
+
+export function pruneOldCollectorRunsBatch(db, cutoffTs, batchSize = 5000) {
+  const safeBatchSize = Number.isFinite(batchSize) ? Math.max(1, Math.min(100000, Math.floor(batchSize))) : 5000;
+  const info = db.prepare(`
+    DELETE FROM collector_runs
+    WHERE id IN (
+      SELECT id
+      FROM collector_runs
+      WHERE started_ts < ?
+      ORDER BY started_ts ASC
+      LIMIT ?
+    )
+  `).run(cutoffTs, safeBatchSize);
+  return info.changes ?? 0;
+}
+
+// Boundary dataset versions are stored as runs of polls: a version stays in force from its
+// first_ts until the next row starts, so one row covers every poll until the boundaries change.
+// A ts inside an existing run (a backfilled poll) is left to that run: starting a new run there
+// would relabel the live polls that follow it.
+export function recordBoundaryVersion(db, ts, version) {
+  if (typeof version !== "string" || version.length === 0) return 0;
+  const current = db.prepare(`
+    SELECT id, version, last_ts
+    FROM boundary_versions
+    WHERE first_ts <= ?
+    ORDER BY first_ts DESC
+    LIMIT 1
+  `).get(ts);
+
+  if (current && ts <= current.last_ts) return 0;
+  if (current?.version === version) {
+    return db.prepare("UPDATE boundary_versions SET last_ts = ? WHERE id = ?").run(ts, current.id).changes ?? 0;
+  }
+
+  return db.prepare(`
+    INSERT INTO boundary_versions (version, first_ts, last_ts)
+    VALUES (?, ?, ?)
+  `).run(version, ts, ts).changes ?? 0;
+}
+
+export function getBoundaryVersionAt(db, ts) {
+  const row = db.prepare(`
+    SELECT version
+    FROM boundary_versions
+    WHERE first_ts <= ?
+    ORDER BY first_ts DESC
+    LIMIT 1
+  `).get(ts);
+  return row?.version ?? null;
+}
+
+// Versions in force during [sinceTs, untilTs], including the one already active at sinceTs.
+export function getBoundaryVersionsInRange(db, sinceTs, untilTs) {
+  return db.prepare(`
+    SELECT version, first_ts AS firstTs, last_ts AS lastTs
+    FROM boundary_versions
+    WHERE first_ts > ? AND first_ts <= ?
+       OR id = (SELECT id FROM boundary_versions WHERE first_ts <= ? ORDER BY first_ts DESC LIMIT 1)
+    ORDER BY first_ts ASC
+  `).all(sinceTs, untilTs, sinceTs);
+}
+
+export function pruneOld(db, cutoffTs) {
+  let total = 0;
+  while (true) {
+    const deleted = pruneOldBatch(db, cutoffTs, 5000);
+    total += deleted;
+    if (deleted === 0) break;
+  }
+  return total;
+}
+
+// Rows overlapping a stored event or a retention pin are kept past retention. fromColumn and
+// toColumn span the row's time range; a single ts column is passed once.
+function protectedWindowSql(fromColumn, toColumn = fromColumn) {
+  return `(
+          EXISTS (
+            SELECT 1
+            FROM events e
+            WHERE e.start_ts IS NOT NULL
+              AND e.end_ts IS NOT NULL
+              AND e.start_ts <= e.end_ts
+              AND ${fromColumn} <= e.end_ts
+              AND ${toColumn} >= e.start_ts
+          )
+          OR EXISTS (
+            SELECT 1
+            FROM retention_pins rp
+            WHERE rp.start_ts <= ${toColumn}
+              AND rp.end_ts >= ${fromColumn}
+          )
+        )`;
+}
+
+// Compact storage after frames were dropped: deletes the changes in [fromTs, untilTs) that no
+// remaining frame carries forward from, then the tracks that ended before untilTs and were left
+// without changes.
+function deleteUnusedCompactRows(db, fromTs, untilTs, batchSize) {
+  db.prepare(`
+    DELETE FROM position_changes
+    WHERE (track_id, ts) IN (
+      SELECT c.track_id, c.ts
+      FROM position_changes c
+      JOIN position_tracks t ON t.id = c.track_id
+      WHERE c.ts >= ? AND c.ts < ?
+        AND NOT EXISTS (
+          SELECT 1
+          FROM snapshot_frames f
+          WHERE f.ts >= c.ts
+            AND f.ts <= t.last_ts
+            AND f.ts < COALESCE(
+              (SELECT MIN(n.ts) FROM position_changes n WHERE n.track_id = c.track_id AND n.ts > c.ts),
+              t.last_ts + 1
+            )
+        )
+      ORDER BY c.ts ASC
+      LIMIT ?
+    )
+  `).run(fromTs, untilTs, batchSize);
+
+  db.prepare(`
+    DELETE FROM position_tracks
+    WHERE id IN (
+      SELECT t.id
+      FROM position_tracks t
+      WHERE t.last_ts < ?
+        AND NOT EXISTS (SELECT 1 FROM position_changes c WHERE c.track_id = t.id)
+      LIMIT ?
+    )
+  `).run(untilTs, batchSize);
+}
+
+// Compact storage: drops old frames and the rows only they used. Returns the pilot rows the
+// dropped frames stood for.
+function pruneOldCompactBatch(db, cutoffTs, batchSize) {
+  const frames = db.prepare(`
+    DELETE FROM snapshot_frames
+    WHERE ts IN (
+      SELECT f.ts
+      FROM snapshot_frames f
+      WHERE f.ts < ?
+        AND NOT ${protectedWindowSql("f.ts")}
+      ORDER BY f.ts ASC
+      LIMIT ?
+    )
+    RETURNING pilots
+  `).all(cutoffTs, batchSize);
+  deleteUnusedCompactRows(db, 0, cutoffTs, batchSize);
+  return frames.reduce((sum, frame) => sum + (frame.pilots ?? 0), 0);
+}
+
+export function pruneOldBatch(db, cutoffTs, batchSize = 5000) {
+  const safeBatchSize = Number.isFinite(batchSize) ? Math.max(1, Math.min(100000, Math.floor(batchSize))) : 5000;
+  const info = db.prepare(`
+    DELETE FROM snapshots
+    WHERE rowid IN (
+      SELECT s.rowid
+      FROM snapshots s
+      WHERE s.ts < ?
+        AND NOT ${protectedWindowSql("s.ts")}
+      ORDER BY s.ts ASC
+      LIMIT ?
+    )
+  `).run(cutoffTs, safeBatchSize);
+  const removed = (info.changes ?? 0) + pruneOldCompactBatch(db, cutoffTs, safeBatchSize);
+  decrementSnapshotStats(db, cutoffTs, removed);
+  return removed;
+}
+
+// First pilot poll of the stepSeconds bucket (bound twice) that column falls in, whichever
+// storage mode holds it: a backfill can add full rows to a bucket of compact frames.
+function firstPilotPollSql(column) {
+  return `(
+          SELECT MIN(ts) FROM (
+            SELECT MIN(k.ts) AS ts FROM snapshots k WHERE k.ts >= ${column} - ${column} % ?
+            UNION ALL
+            SELECT MIN(k.ts) FROM snapshot_frames k WHERE k.ts >= ${column} - ${column} % ?
+          )
+        )`;
+}
+
+// Downsamples the pilot polls (in both storage modes) and the ATC polls before untilTs to one
+// per stepSeconds bucket, the bucket's first stored poll. Progress is kept in
+// retention_watermarks, so each pass continues where the last one stopped; polls stored below
+// the mark later pull it back (lowerRetentionWatermarks). Returns { pilotRows, atcRows } removed.
+export function downsampleSnapshotsBatch(db, stepSeconds, untilTs, batchSize = 5000) {
+  const safeBatchSize = Number.isFinite(batchSize) ? Math.max(1, Math.min(100000, Math.floor(batchSize))) : 5000;
+  // Whole buckets only; the one untilTs falls in is left for a later pass
+  const endTs = untilTs - (untilTs % stepSeconds);
+  const fromTs = db.prepare(`
+    SELECT downsampled_until AS ts FROM retention_watermarks WHERE step_seconds = ?
+  `).get(stepSeconds)?.ts ?? 0;
+  if (fromTs >= endTs) return { pilotRows: 0, atcRows: 0 };
+
+  const fullRows = db.prepare(`
+    DELETE FROM snapshots
+    WHERE rowid IN (
+      SELECT s.rowid
+      FROM snapshots s
+      WHERE s.ts >= ? AND s.ts < ?
+        AND s.ts > ${firstPilotPollSql("s.ts")}
+        AND NOT ${protectedWindowSql("s.ts")}
+      ORDER BY s.ts ASC
+      LIMIT ?
+    )
+    RETURNING ts
+  `).all(fromTs, endTs, stepSeconds, stepSeconds, safeBatchSize);
+
+  const frames = db.prepare(`
+    DELETE FROM snapshot_frames
+    WHERE ts IN (
+      SELECT f.ts
+      FROM snapshot_frames f
+      WHERE f.ts >= ? AND f.ts < ?
+        AND f.ts > ${firstPilotPollSql("f.ts")}
+        AND NOT ${protectedWindowSql("f.ts")}
+      ORDER BY f.ts ASC
+      LIMIT ?
+    )
+    RETURNING ts, pilots
+  `).all(fromTs, endTs, stepSeconds, stepSeconds, safeBatchSize);
+  if (frames.length > 0) {
+    deleteUnusedCompactRows(db, fromTs - stepSeconds, endTs, safeBatchSize);
+  }
+
+  const atcRows = db.prepare(`
+    DELETE FROM atc_snapshots
+    WHERE rowid IN (
+      SELECT a.rowid
+      FROM atc_snapshots a
+      WHERE a.ts >= ? AND a.ts < ?
+        AND a.ts > (SELECT MIN(k.ts) FROM atc_snapshots k WHERE k.ts >= a.ts - a.ts % ?)
+        AND NOT ${protectedWindowSql("a.ts")}
+      ORDER BY a.ts ASC
+      LIMIT ?
+    )
+    RETURNING ts
+  `).all(fromTs, endTs, stepSeconds, safeBatchSize);
+
+  // A batch that hit its limit has finished every bucket before the one it stopped in
+  const progress = (rows) => {
+    if (rows.length < safeBatchSize) return endTs;
+    const lastTs = rows.reduce((max, row) => Math.max(max, row.ts), fromTs);
+    return lastTs - (lastTs % stepSeconds);
+  };
+  const doneUntil = Math.min(progress(fullRows), progress(frames), progress(atcRows));
+  db.prepare(`
+    INSERT INTO retention_watermarks (step_seconds, downsampled_until)
+    VALUES (?, ?)
+    ON CONFLICT(step_seconds) DO UPDATE SET downsampled_until = MAX(downsampled_until, excluded.downsampled_until)
+  `).run(stepSeconds, doneUntil);
+
+  const removed = fullRows.length + frames.reduce((sum, frame) => sum + (frame.pilots ?? 0), 0);
+  decrementSnapshotStats(db, null, removed);
+  return { pilotRows: removed, atcRows: atcRows.length };
+}
+
+// Polls stored below a downsampling mark (a backfill, replayed dumps) move the mark back to
+// their bucket, so the next pass downsamples them too.
+function lowerRetentionWatermarks(db, ts) {
+  db.prepare(`
+    UPDATE retention_watermarks
+    SET downsampled_until = ? - (? % step_seconds)
+    WHERE downsampled_until > ?
+  `).run(ts, ts, ts);
+}
+
+// [{ stepSeconds, downsampledUntil }]: polls before downsampledUntil are at most one per step
+export function getRetentionWatermarks(db) {
+  return db.prepare(`
+    SELECT step_seconds AS stepSeconds, downsampled_until AS downsampledUntil
+    FROM retention_watermarks
+    ORDER BY step_seconds ASC
+  `).all();
+}
+
+// Coarsest downsampled resolution at ts (0 while it still has every poll). Event and pinned
+// windows are kept at full resolution inside downsampled ranges; callers size windows for the
+// coarse case.
+export function getSnapshotResolutionAt(db, ts) {
+  return db.prepare(`
+    SELECT COALESCE(MAX(step_seconds), 0) AS stepSeconds
+    FROM retention_watermarks
+    WHERE downsampled_until > ?
+  `).get(ts)?.stepSeconds ?? 0;
+}
+
+export function getCallsingsInRange(db, sinceTs, untilTs, limit = 2000, filters = {}) {
+  let sql = `
+      SELECT callsign, MIN(ts) AS firstSeen, MAX(ts) AS lastSeen, COUNT(*) AS points
+      FROM snapshot_rows
+      WHERE ts BETWEEN ? AND ?
+    `;
+
+  const params = [sinceTs, untilTs];
+
+  const trafficFilter = buildTrafficFilterClause(filters);
+  sql += trafficFilter.clause;
+  params.push(...trafficFilter.params);
+
+  sql += `
+      GROUP BY callsign
+      ORDER BY lastSeen DESC
+    `;
+  if (!filters.area?.contains) {
+    sql += ` LIMIT ?`;
+    return db.prepare(sql).all(...params, limit);
+  }
+
+  // Radius and polygon areas: the SQL above only matched the area's bounding box, so each
+  // candidate's positions are checked one callsign at a time, latest first. A candidate's box
+  // lastSeen bounds its exact one, so the scan stops once it can't make the top `limit`.
+  const positionsStmt = db.prepare(`
+    SELECT ts, lat, lon
+    FROM snapshot_rows
+    WHERE callsign = ? AND ts BETWEEN ? AND ?${trafficFilter.clause}
+  `);
+  const results = [];
+  let floorLastSeen = -Infinity;
+  for (const candidate of db.prepare(sql).all(...params)) {
+    if (results.length >= limit && candidate.lastSeen <= floorLastSeen) break;
+    let entry = null;
+    for (const row of applyAreaFilter(positionsStmt.all(candidate.callsign, sinceTs, untilTs, ...trafficFilter.params), filters.area)) {
+      if (!entry) {
+        entry = { callsign: candidate.callsign, firstSeen: row.ts, lastSeen: row.ts, points: 1 };
+        continue;
+      }
+      entry.firstSeen = Math.min(entry.firstSeen, row.ts);
+      entry.lastSeen = Math.max(entry.lastSeen, row.ts);
+      entry.points += 1;
+    }
+    if (!entry) continue;
+    results.push(entry);
+    if (results.length >= limit) {
+      results.sort((a, b) => b.lastSeen - a.lastSeen);
+      results.length = limit;
+      floorLastSeen = results[limit - 1].lastSeen;
+    }
+  }
+  return results.sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+// Downsampled tracks (stepSeconds > 0) keep the first stored position of each bucket as it was
+// recorded: averaging would wrap headings (359/1 -> 180) and longitudes across the antimeridian.
+export function getTrack(db, callsign, sinceTs, untilTs, stepSeconds = 0, filters = {}) {
+  let sql = `
+      SELECT ts, callsign, lat, lon, altitude, groundspeed, heading, airspace, fir, departure, destination, transponder, ground_airport
+      FROM snapshot_rows
+      WHERE callsign = ? AND ts BETWEEN ? AND ?
+    `;
+  const params = [callsign, sinceTs, untilTs];
+
+  const trafficFilter = buildTrafficFilterClause(filters);
+  sql += trafficFilter.clause;
+  params.push(...trafficFilter.params);
+
+  sql += ` ORDER BY ts ASC`;
+  // The area is checked on the stored positions, before any are dropped by bucketing
+  const rows = applyAreaFilter(db.prepare(sql).all(...params), filters.area);
+  if (!stepSeconds || stepSeconds <= 0) return rows;
+
+  const sampled = [];
+  let lastBucket = null;
+  for (const row of rows) {
+    const bucket = Math.floor(row.ts / stepSeconds) * stepSeconds;
+    if (bucket === lastBucket) continue;
+    lastBucket = bucket;
+    sampled.push({ bucket, ...row });
+  }
+  return sampled;
+}
+
+export function getSnapshotAt(db, ts, windowSeconds = 10, filters = {}) {
+  // nearest window around ts
+  const from = ts - windowSeconds;
+  const to = ts + windowSeconds;
+
+  let sql = `
+    SELECT ts, callsign, lat, lon, altitude, groundspeed, heading, airspace, fir, departure, destination, transponder, ground_airport
+    FROM snapshot_rows
+    WHERE ts BETWEEN ? AND ?
+  `;
+  const params = [from, to];
+
+  const trafficFilter = buildTrafficFilterClause(filters);
+  sql += trafficFilter.clause;
+  params.push(...trafficFilter.params);
+
+  return applyAreaFilter(db.prepare(sql).all(...params), filters.area);
+}
+
+export function getSnapshotsBetween(db, sinceTs, untilTs, filters = {}) {
+  let sql = `
+    SELECT ts, callsign, lat, lon, altitude, groundspeed, heading, airspace, fir, departure, destination, transponder, ground_airport
+    FROM snapshot_rows
+    WHERE ts BETWEEN ? AND ?
+  `;
+  const params = [sinceTs, untilTs];
+
+  const trafficFilter = buildTrafficFilterClause(filters);
+  sql += trafficFilter.clause;
+  params.push(...trafficFilter.params);
+
+  sql += ` ORDER BY ts ASC`;
+  return applyAreaFilter(db.prepare(sql).all(...params), filters.area);
+}
+
+export function getSnapshotTimestampsInRange(db, sinceTs, untilTs) {
+  return db.prepare(`
+    SELECT ts FROM snapshots WHERE ts BETWEEN ? AND ?
+    UNION
+    SELECT ts FROM snapshot_frames WHERE ts BETWEEN ? AND ? AND pilots > 0
+    UNION
+    SELECT ts FROM archive_snapshots WHERE ts BETWEEN ? AND ?
+    ORDER BY ts ASC
+  `).all(sinceTs, untilTs, sinceTs, untilTs, sinceTs, untilTs).map((r) => r.ts);
+}
+
+export function getSnapshotsAtTimestamps(db, timestamps, filters = {}) {
+  if (!Array.isArray(timestamps) || timestamps.length === 0) return [];
+
+  const placeholders = timestamps.map(() => "?").join(",");
+  let sql = `
+    SELECT ts, callsign, lat, lon, altitude, groundspeed, heading, airspace, fir, departure, destination, transponder, ground_airport
+    FROM snapshot_rows
+    WHERE ts IN (${placeholders})
+  `;
+  const params = [...timestamps];
+
+  const trafficFilter = buildTrafficFilterClause(filters);
+  sql += trafficFilter.clause;
+  params.push(...trafficFilter.params);
+
+  sql += ` ORDER BY ts ASC`;
+  return applyAreaFilter(db.prepare(sql).all(...params), filters.area);
+}
+
 export function getAirspacesInRange(db, sinceTs, untilTs, limit = 2000) {
   return db.prepare(`
-    SELECT airspace, COUNT(*) AS points
-    FROM snapshots
-    WHERE ts BETWEEN ? AND ? AND airspace IS NOT NULL AND airspace <> ''
+    SELECT airspace, SUM(points) AS points
+    FROM (
+      SELECT airspace, COUNT(*) AS points
+      FROM snapshot_rows
+      WHERE ts BETWEEN ? AND ? AND airspace IS NOT NULL AND airspace <> ''
+      GROUP BY airspace
+      UNION ALL
+      SELECT fir AS airspace, COUNT(*) AS points
+      FROM snapshot_rows
+      WHERE ts BETWEEN ? AND ? AND fir IS NOT NULL AND fir <> '' AND fir IS NOT airspace
+      GROUP BY fir
+    )
     GROUP BY airspace
     ORDER BY points DESC, airspace ASC
     LIMIT ?
-  `).all(sinceTs, untilTs, limit);
+  `).all(sinceTs, untilTs, sinceTs, untilTs, limit);
 }
 
+// points counts filed departure/destination mentions; groundPoints counts positions actually
+// on the aerodrome (ground_airport).
 export function getAirportsInRange(db, sinceTs, untilTs, limit = 3000) {
   return db.prepare(`
-    SELECT airport, SUM(points) AS points
+    SELECT airport, SUM(points) AS points, SUM(ground_points) AS groundPoints
     FROM (
-      SELECT departure AS airport, COUNT(*) AS points
-      FROM snapshots
+      SELECT departure AS airport, COUNT(*) AS points, 0 AS ground_points
+      FROM snapshot_rows
       WHERE ts BETWEEN ? AND ? AND departure IS NOT NULL AND departure <> ''
       GROUP BY departure
       UNION ALL
-      SELECT destination AS airport, COUNT(*) AS points
-      FROM snapshots
+      SELECT destination AS airport, COUNT(*) AS points, 0 AS ground_points
+      FROM snapshot_rows
       WHERE ts BETWEEN ? AND ? AND destination IS NOT NULL AND destination <> ''
       GROUP BY destination
+      UNION ALL
+      SELECT ground_airport AS airport, 0 AS points, COUNT(*) AS ground_points
+      FROM snapshot_rows
+      WHERE ts BETWEEN ? AND ? AND ground_airport IS NOT NULL
+      GROUP BY ground_airport
     )
     WHERE airport IS NOT NULL AND airport <> ''
     GROUP BY airport
-    ORDER BY points DESC, airport ASC
+    ORDER BY points + groundPoints DESC, airport ASC
     LIMIT ?
-  `).all(sinceTs, untilTs, sinceTs, untilTs, limit);
+  `).all(sinceTs, untilTs, sinceTs, untilTs, sinceTs, untilTs, limit);
 }
 
 export function getRangeMeta(db) {
@@ -726,7 +1987,7 @@ export function getStoredEvents(db, fromIso = null, toIso = null, limit = 200, o
     where += `
       AND (
         EXISTS (
-          SELECT 1 FROM snapshots s
+          SELECT 1 FROM snapshot_rows s
           WHERE events.start_ts IS NOT NULL
             AND events.end_ts IS NOT NULL
             AND events.start_ts <= events.end_ts
@@ -734,7 +1995,7 @@ export function getStoredEvents(db, fromIso = null, toIso = null, limit = 200, o
           LIMIT 1
         )
         OR EXISTS (
-          SELECT 1 FROM atc_snapshots a
+          SELECT 1 FROM atc_snapshot_rows a
           WHERE events.start_ts IS NOT NULL
             AND events.end_ts IS NOT NULL
             AND events.start_ts <= events.end_ts
@@ -789,6 +2050,70 @@ function safeJsonParseArray(value) {
   }
 }
 
+// Retention pins: user-chosen windows kept past retention like events (protectedWindowSql)
+
+const RETENTION_PIN_COLUMNS = `
+  id, name, start_ts AS startTs, end_ts AS endTs, airports_json, region_json,
+  created_by AS createdBy, note, created_ts AS createdTs, updated_ts AS updatedTs
+`;
+
+function mapRetentionPin(row) {
+  if (!row) return null;
+  const { airports_json: airportsJson, region_json: regionJson, ...pin } = row;
+  return { ...pin, airports: safeJsonParseArray(airportsJson), region: safeJsonParseArray(regionJson) };
+}
+
+// Pins overlapping [sinceTs, untilTs] (either bound may be null), newest first
+export function getRetentionPins(db, sinceTs = null, untilTs = null) {
+  return db.prepare(`
+    SELECT ${RETENTION_PIN_COLUMNS}
+    FROM retention_pins
+    WHERE (@sinceTs IS NULL OR end_ts >= @sinceTs)
+      AND (@untilTs IS NULL OR start_ts <= @untilTs)
+    ORDER BY start_ts DESC, id DESC
+  `).all({ sinceTs, untilTs }).map(mapRetentionPin);
+}
+
+export function getRetentionPin(db, id) {
+  return mapRetentionPin(db.prepare(`SELECT ${RETENTION_PIN_COLUMNS} FROM retention_pins WHERE id = ?`).get(id));
+}
+
+function retentionPinParams(pin) {
+  return {
+    name: pin.name,
+    startTs: pin.startTs,
+    endTs: pin.endTs,
+    airportsJson: pin.airports.length > 0 ? JSON.stringify(pin.airports) : null,
+    regionJson: pin.region.length > 0 ? JSON.stringify(pin.region) : null,
+    createdBy: pin.createdBy ?? null,
+    note: pin.note ?? null
+  };
+}
+
+export function insertRetentionPin(db, pin, ts) {
+  const info = db.prepare(`
+    INSERT INTO retention_pins (name, start_ts, end_ts, airports_json, region_json, created_by, note, created_ts, updated_ts)
+    VALUES (@name, @startTs, @endTs, @airportsJson, @regionJson, @createdBy, @note, @ts, @ts)
+  `).run({ ...retentionPinParams(pin), ts });
+  return getRetentionPin(db, Number(info.lastInsertRowid));
+}
+
+// Replaces a pin's fields (the creator is kept); null when there is no such pin
+export function updateRetentionPin(db, id, pin, ts) {
+  const { createdBy, ...params } = retentionPinParams(pin);
+  const info = db.prepare(`
+    UPDATE retention_pins
+    SET name = @name, start_ts = @startTs, end_ts = @endTs, airports_json = @airportsJson,
+      region_json = @regionJson, note = @note, updated_ts = @ts
+    WHERE id = @id
+  `).run({ ...params, ts, id });
+  return info.changes > 0 ? getRetentionPin(db, id) : null;
+}
+
+export function deleteRetentionPin(db, id) {
+  return (db.prepare(`DELETE FROM retention_pins WHERE id = ?`).run(id).changes ?? 0) > 0;
+}
+
 export function insertAtcSnapshots(db, ts, atcPositions) {
   const stmt = db.prepare(`
     INSERT INTO atc_snapshots (ts, callsign, cid, frequency, facility, lat, lon)
@@ -807,6 +2132,7 @@ export function insertAtcSnapshots(db, ts, atcPositions) {
     lon: a.longitude ?? null
   }));
   insertMany(rows);
+  if (rows.length > 0) lowerRetentionWatermarks(db, ts);
   return rows.length;
 }
 
@@ -828,14 +2154,7 @@ export function pruneOldAtcBatch(db, cutoffTs, batchSize = 5000) {
       SELECT a.rowid
       FROM atc_snapshots a
       WHERE a.ts < ?
-        AND NOT EXISTS (
-          SELECT 1
-          FROM events e
-          WHERE e.start_ts IS NOT NULL
-            AND e.end_ts IS NOT NULL
-            AND e.start_ts <= e.end_ts
-            AND a.ts BETWEEN e.start_ts AND e.end_ts
-        )
+        AND NOT ${protectedWindowSql("a.ts")}
       ORDER BY a.ts ASC
       LIMIT ?
     )
@@ -849,7 +2168,7 @@ export function getAtcSnapshotAt(db, ts, windowSeconds = 10) {
   const to = ts + windowSeconds;
   return db.prepare(`
     SELECT ts, callsign, frequency, facility, lat, lon
-    FROM atc_snapshots
+    FROM atc_snapshot_rows
     WHERE ts BETWEEN ? AND ?
   `).all(from, to);
 }
@@ -857,7 +2176,7 @@ export function getAtcSnapshotAt(db, ts, windowSeconds = 10) {
 export function getAtcSnapshotsBetween(db, sinceTs, untilTs) {
   return db.prepare(`
     SELECT ts, callsign, frequency, facility, lat, lon
-    FROM atc_snapshots
+    FROM atc_snapshot_rows
     WHERE ts BETWEEN ? AND ?
     ORDER BY ts ASC
   `).all(sinceTs, untilTs);
@@ -868,8 +2187,134 @@ export function getAtcSnapshotsAtTimestamps(db, timestamps) {
   const placeholders = timestamps.map(() => "?").join(",");
   return db.prepare(`
     SELECT ts, callsign, frequency, facility, lat, lon
-    FROM atc_snapshots
+    FROM atc_snapshot_rows
     WHERE ts IN (${placeholders})
     ORDER BY ts ASC
   `).all(...timestamps);
 }
+
+// Cold archive (archive.js): days exported to ARCHIVE_DIR and attached back for replay
+
+const ARCHIVE_DAY_COLUMNS = `
+  day, start_ts AS startTs, end_ts AS endTs, pilot_rows AS pilotRows, atc_rows AS atcRows,
+  pilots_file AS pilotsFile, atc_file AS atcFile, archived_ts AS archivedTs, attached_ts AS attachedTs
+`;
+
+export function getArchiveDays(db) {
+  return db.prepare(`SELECT ${ARCHIVE_DAY_COLUMNS} FROM archive_days ORDER BY day ASC`).all();
+}
+
+export function getArchiveDay(db, day) {
+  return db.prepare(`SELECT ${ARCHIVE_DAY_COLUMNS} FROM archive_days WHERE day = ?`).get(day) ?? null;
+}
+
+// Days attached before attachedBeforeTs, which the archive pass detaches again
+export function getExpiredAttachedDays(db, attachedBeforeTs) {
+  return db.prepare(`
+    SELECT day FROM archive_days WHERE attached_ts IS NOT NULL AND attached_ts < ? ORDER BY day ASC
+  `).all(attachedBeforeTs).map((row) => row.day);
+}
+
+export function recordArchiveDay(db, record) {
+  db.prepare(`
+    INSERT INTO archive_days (day, start_ts, end_ts, pilot_rows, atc_rows, pilots_file, atc_file, archived_ts)
+    VALUES (@day, @startTs, @endTs, @pilotRows, @atcRows, @pilotsFile, @atcFile, @archivedTs)
+    ON CONFLICT(day) DO UPDATE SET
+      pilot_rows = excluded.pilot_rows,
+      atc_rows = excluded.atc_rows,
+      pilots_file = excluded.pilots_file,
+      atc_file = excluded.atc_file,
+      archived_ts = excluded.archived_ts
+  `).run(record);
+}
+
+// Oldest pilot or ATC poll at or after sinceTs still in the live tables (null: none)
+export function getLiveDataStart(db, sinceTs = 0) {
+  return db.prepare(`
+    SELECT MIN(ts) AS ts
+    FROM (
+      SELECT (SELECT ts FROM snapshots WHERE ts >= @sinceTs ORDER BY ts ASC LIMIT 1) AS ts
+      UNION ALL
+      SELECT (SELECT ts FROM snapshot_frames WHERE ts >= @sinceTs ORDER BY ts ASC LIMIT 1)
+      UNION ALL
+      SELECT (SELECT ts FROM atc_snapshots WHERE ts >= @sinceTs ORDER BY ts ASC LIMIT 1)
+    )
+  `).get({ sinceTs })?.ts ?? null;
+}
+
+// Rows as archived: the live pilot rows (either storage mode) and ATC rows in [sinceTs, untilTs]
+export function getArchivablePilotRows(db, sinceTs, untilTs) {
+  return db.prepare(`
+    SELECT ts, callsign, cid, lat, lon, altitude, groundspeed, heading, airspace, fir, departure, destination, transponder, ground_airport
+    FROM snapshot_rows
+    WHERE ts BETWEEN ? AND ?
+    ORDER BY ts ASC
+  `).all(sinceTs, untilTs);
+}
+
+export function getArchivableAtcRows(db, sinceTs, untilTs) {
+  return db.prepare(`
+    SELECT ts, callsign, cid, frequency, facility, lat, lon
+    FROM atc_snapshots
+    WHERE ts BETWEEN ? AND ?
+    ORDER BY ts ASC
+  `).all(sinceTs, untilTs);
+}
+
+// Imports archived rows of one day. Polls still in the live tables (e.g. kept after
+// downsampling) are skipped so they don't show up twice. Returns the rows imported.
+export function insertAttachedArchiveRows(db, day, kind, rows) {
+  const stmt = kind === "atc"
+    ? db.prepare(`
+      INSERT INTO archive_atc_snapshots (day, ts, callsign, cid, frequency, facility, lat, lon)
+      SELECT @day, @ts, @callsign, @cid, @frequency, @facility, @lat, @lon
+      WHERE NOT EXISTS (SELECT 1 FROM atc_snapshots WHERE ts = @ts)
+    `)
+    : db.prepare(`
+      INSERT INTO archive_snapshots (day, ts, callsign, cid, lat, lon, altitude, groundspeed, heading, airspace, fir, departure, destination, transponder, ground_airport)
+      SELECT @day, @ts, @callsign, @cid, @lat, @lon, @altitude, @groundspeed, @heading, @airspace, @fir, @departure, @destination, @transponder, @ground_airport
+      WHERE NOT EXISTS (SELECT 1 FROM snapshots WHERE ts = @ts)
+        AND NOT EXISTS (SELECT 1 FROM snapshot_frames WHERE ts = @ts)
+    `);
+  const columns = kind === "atc"
+    ? ["ts", "callsign", "cid", "frequency", "facility", "lat", "lon"]
+    : ["ts", "callsign", "cid", "lat", "lon", "altitude", "groundspeed", "heading", "airspace", "fir", "departure", "destination", "transponder", "ground_airport"];
+  const insertMany = db.transaction(() => {
+    let inserted = 0;
+    for (const row of rows) {
+      const params = { day };
+      for (const column of columns) params[column] = row[column] ?? null;
+      inserted += stmt.run(params).changes;
+    }
+    return inserted;
+  });
+  return insertMany();
+}
+
+export function setArchiveDayAttached(db, day, attachedTs) {
+  db.prepare(`UPDATE archive_days SET attached_ts = ? WHERE day = ?`).run(attachedTs, day);
+}
+
+export function deleteAttachedArchiveRows(db, day) {
+  const run = db.transaction(() => {
+    const pilots = db.prepare(`DELETE FROM archive_snapshots WHERE day = ?`).run(day).changes;
+    const atc = db.prepare(`DELETE FROM archive_atc_snapshots WHERE day = ?`).run(day).changes;
+    setArchiveDayAttached(db, day, null);
+    return { pilotRows: pilots, atcRows: atc };
+  });
+  return run();
+}
+
+// Time span of the attached archive rows, which getRangeMeta (live data only) leaves out
+export function getAttachedArchiveRange(db) {
+  return db.prepare(`
+    SELECT MIN(minTs) AS minTs, MAX(maxTs) AS maxTs
+    FROM (
+      SELECT (SELECT ts FROM archive_snapshots ORDER BY ts ASC LIMIT 1) AS minTs,
+        (SELECT ts FROM archive_snapshots ORDER BY ts DESC LIMIT 1) AS maxTs
+      UNION ALL
+      SELECT (SELECT ts FROM archive_atc_snapshots ORDER BY ts ASC LIMIT 1),
+        (SELECT ts FROM archive_atc_snapshots ORDER BY ts DESC LIMIT 1)
+    )
+  `).get() ?? { minTs: null, maxTs: null };
+}
@@ -0,0 +1,24 @@
+import { existsSync } from "node:fs";
+import { isAbsolute, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+// Define __dirname for ES modules
+const __dirname = fileURLToPath(new URL(".", import.meta.url));
+
+export function resolveDbPath() {
+  if (process.env.DB_PATH && process.env.DB_PATH.trim().length > 0) {
+    const configured = process.env.DB_PATH.trim();
+    return isAbsolute(configured) ? configured : resolve(join(__dirname, ".."), configured);
+  }
+
+  const railwayMountedPath = process.env.RAILWAY_VOLUME_MOUNT_PATH;
+  if (railwayMountedPath && railwayMountedPath.trim().length > 0) {
+    return join(railwayMountedPath.trim(), "vatsim.sqlite");
+  }
+
+  if (existsSync("/data")) {
+    return "/data/vatsim.sqlite";
+  }
+
+  return resolve(join(__dirname, "../data/vatsim.sqlite"));
+}
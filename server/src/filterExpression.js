@@ -0,0 +1,297 @@
+// Filter expressions for snapshot queries, e.g.
+//   dest:EGLL AND alt>10000 AND NOT callsign:BAW*
+//   (airport:KJFK OR airport:KLGA) gs<40
+//   airspace:EGTT,EGPX OR squawk:77*
+//
+// Terms are field, operator, value. Text fields take ':' or '=' (a comma list matches any of
+// its values, up to 50; '*' and '?' are wildcards, a "quoted" value matches literally) and '!=';
+// numeric fields also take <, <=, > and >=. Terms combine with AND, OR, NOT and parentheses;
+// terms next to each other are ANDed. A term on a missing value (no flight plan, no squawk)
+// is false, so NOT dest:EGLL also keeps aircraft without a flight plan.
+//
+// The expression is compiled to a WHERE fragment over the snapshot_rows columns: field names
+// map to fixed column expressions and every value is a bound parameter.
+
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_TERMS = 64;
+// A term compiles to one IN list per column plus a GLOB per wildcard value, so this bounds the
+// size of the SQL expression tree as well as the bound parameters
+const MAX_VALUES_PER_TERM = 50;
+const MAX_DEPTH = 16;
+
+// Text fields: one or more columns, a match on any of them counts
+const TEXT_FIELDS = {
+  callsign: ["callsign"],
+  dep: ["departure"],
+  departure: ["departure"],
+  dest: ["destination"],
+  destination: ["destination"],
+  arr: ["destination"],
+  // Same columns as the airports filter: filed route or the aerodrome it is on the ground at
+  airport: ["departure", "destination", "ground_airport"],
+  ground: ["ground_airport"],
+  // Same as the airspaces filter: the most specific airspace or its parent FIR
+  airspace: ["airspace", "fir"],
+  fir: ["fir"],
+  squawk: ["transponder"]
+};
+
+const NUMERIC_FIELDS = {
+  alt: "altitude",
+  altitude: "altitude",
+  gs: "groundspeed",
+  groundspeed: "groundspeed",
+  hdg: "heading",
+  heading: "heading",
+  cid: "cid"
+};
+
+const OPERATORS = [">=", "<=", "!=", ">", "<", "=", ":"];
+const WORD_PATTERN = /[A-Za-z0-9_*?.,+-]/;
+const TEXT_VALUE_PATTERN = /^[A-Z0-9_*?-]+$/;
+
+class FilterSyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = "FilterSyntaxError";
+    this.position = position;
+  }
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+    if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch, position: i });
+      i += 1;
+      continue;
+    }
+    const op = OPERATORS.find((candidate) => text.startsWith(candidate, i));
+    if (op) {
+      tokens.push({ type: "op", value: op, position: i });
+      i += op.length;
+      continue;
+    }
+    if (ch === "\"") {
+      const end = text.indexOf("\"", i + 1);
+      if (end === -1) throw new FilterSyntaxError("unterminated quoted value", i);
+      tokens.push({ type: "quoted", value: text.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+    if (WORD_PATTERN.test(ch)) {
+      const start = i;
+      while (i < text.length && WORD_PATTERN.test(text[i])) i += 1;
+      const value = text.slice(start, i);
+      const keyword = value.toUpperCase();
+      tokens.push(["AND", "OR", "NOT"].includes(keyword)
+        ? { type: keyword, position: start }
+        : { type: "word", value, position: start });
+      continue;
+    }
+    throw new FilterSyntaxError(`unexpected character '${ch}'`, i);
+  }
+  return tokens;
+}
+
+// Recursive descent; precedence NOT > AND > OR
+class Parser {
+  constructor(tokens, length) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.length = length;
+    this.terms = 0;
+    this.depth = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index] ?? null;
+  }
+
+  next() {
+    const token = this.tokens[this.index] ?? null;
+    this.index += 1;
+    return token;
+  }
+
+  fail(message, token = this.peek()) {
+    throw new FilterSyntaxError(message, token ? token.position : this.length);
+  }
+
+  parse() {
+    if (this.tokens.length === 0) this.fail("empty filter expression");
+    const node = this.parseOr();
+    if (this.peek()) this.fail(`unexpected '${this.peek().value ?? this.peek().type}'`);
+    return node;
+  }
+
+  parseOr() {
+    const children = [this.parseAnd()];
+    while (this.peek()?.type === "OR") {
+      this.next();
+      children.push(this.parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  }
+
+  parseAnd() {
+    const children = [this.parseNot()];
+    for (;;) {
+      const token = this.peek();
+      if (token?.type === "AND") {
+        this.next();
+      } else if (!token || token.type === "OR" || token.type === ")") {
+        break;
+      }
+      children.push(this.parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: "and", children };
+  }
+
+  parseNot() {
+    if (this.peek()?.type === "NOT") {
+      this.next();
+      return { type: "not", child: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) this.fail("expected a term");
+    if (token.type === "(") {
+      this.next();
+      this.depth += 1;
+      if (this.depth > MAX_DEPTH) this.fail(`parentheses nested deeper than ${MAX_DEPTH}`, token);
+      const node = this.parseOr();
+      if (this.peek()?.type !== ")") this.fail("expected ')'");
+      this.next();
+      this.depth -= 1;
+      return node;
+    }
+    return this.parseTerm();
+  }
+
+  parseTerm() {
+    const fieldToken = this.next();
+    if (fieldToken.type !== "word") this.fail("expected a field name such as dest, alt or callsign", fieldToken);
+    const field = fieldToken.value.toLowerCase();
+    if (!TEXT_FIELDS[field] && !NUMERIC_FIELDS[field]) {
+      this.fail(`unknown field '${fieldToken.value}'`, fieldToken);
+    }
+
+    const opToken = this.next();
+    if (opToken?.type !== "op") this.fail(`expected an operator after '${fieldToken.value}'`, opToken);
+    const op = opToken.value === "=" ? ":" : opToken.value;
+
+    const valueToken = this.next();
+    if (valueToken?.type !== "word" && valueToken?.type !== "quoted") {
+      this.fail(`expected a value after '${fieldToken.value}${opToken.value}'`, valueToken);
+    }
+
+    this.terms += 1;
+    if (this.terms > MAX_TERMS) this.fail(`more than ${MAX_TERMS} terms`, fieldToken);
+    if (valueToken.type === "word" && valueToken.value.split(",").length > MAX_VALUES_PER_TERM) {
+      this.fail(`more than ${MAX_VALUES_PER_TERM} values in one term`, valueToken);
+    }
+
+    return NUMERIC_FIELDS[field]
+      ? this.numericTerm(field, op, valueToken)
+      : this.textTerm(field, op, valueToken);
+  }
+
+  numericTerm(field, op, valueToken) {
+    const parts = valueToken.value.split(",");
+    const values = parts.map((x) => Number(x));
+    if (valueToken.type === "quoted" || parts.some((x) => x.length === 0) || values.some((v) => !Number.isFinite(v))) {
+      this.fail(`'${field}' needs a number`, valueToken);
+    }
+    if (values.length > 1 && op !== ":" && op !== "!=") {
+      this.fail(`a list of values only works with ':' or '!='`, valueToken);
+    }
+    return { type: "term", field, op, values, numeric: true };
+  }
+
+  textTerm(field, op, valueToken) {
+    if (op !== ":" && op !== "!=") {
+      this.fail(`'${field}' only supports ':' and '!='`, valueToken);
+    }
+    if (valueToken.type === "quoted") {
+      return { type: "term", field, op, values: [valueToken.value.toUpperCase()], literal: true };
+    }
+    const values = valueToken.value.toUpperCase().split(",").filter((x) => x.length > 0);
+    if (values.length === 0 || values.some((v) => !TEXT_VALUE_PATTERN.test(v))) {
+      this.fail(`'${field}' values may only contain letters, digits, '_', '-', '*' and '?'`, valueToken);
+    }
+    return { type: "term", field, op, values, literal: false };
+  }
+}
+
+function compileTerm(term, params) {
+  let match;
+  if (term.numeric) {
+    const column = NUMERIC_FIELDS[term.field];
+    if (term.op === ":" || term.op === "!=") {
+      match = `${column} IN (${term.values.map(() => "?").join(",")})`;
+    } else {
+      match = `${column} ${term.op} ?`;
+    }
+    params.push(...term.values);
+  } else {
+    const patterns = term.literal ? [] : term.values.filter((value) => /[*?]/.test(value));
+    const exact = term.values.filter((value) => !patterns.includes(value));
+    const parts = [];
+    for (const column of TEXT_FIELDS[term.field]) {
+      if (exact.length > 0) {
+        parts.push(`${column} IN (${exact.map(() => "?").join(",")})`);
+        params.push(...exact);
+      }
+      for (const pattern of patterns) {
+        parts.push(`${column} GLOB ?`);
+        params.push(pattern);
+      }
+    }
+    match = parts.join(" OR ");
+  }
+
+  // Missing values compare as false rather than NULL, so NOT behaves as expected
+  const sql = `COALESCE((${match}), 0)`;
+  return term.op === "!=" ? `NOT ${sql}` : sql;
+}
+
+function compileNode(node, params) {
+  if (node.type === "term") return compileTerm(node, params);
+  if (node.type === "not") return `NOT (${compileNode(node.child, params)})`;
+  const joiner = node.type === "and" ? " AND " : " OR ";
+  return node.children.map((child) => `(${compileNode(child, params)})`).join(joiner);
+}
+
+function parse(text) {
+  if (text.length > MAX_EXPRESSION_LENGTH) {
+    throw new FilterSyntaxError(`filter expression is longer than ${MAX_EXPRESSION_LENGTH} characters`, MAX_EXPRESSION_LENGTH);
+  }
+  const ast = new Parser(tokenize(text), text.length).parse();
+  const params = [];
+  const clause = compileNode(ast, params);
+  return { text, clause, params };
+}
+
+// Same result shape as parseAreaFilter: { ok: true, expression } (null for an empty string)
+// where expression is { text, clause, params } for the snapshot_rows WHERE clause, or
+// { ok: false, error, position, received } for a 400 response.
+export function parseFilterExpression(rawText) {
+  const text = typeof rawText === "string" ? rawText.trim() : "";
+  if (text.length === 0) return { ok: true, expression: null };
+  try {
+    return { ok: true, expression: parse(text) };
+  } catch (e) {
+    if (!(e instanceof FilterSyntaxError)) throw e;
+    return { ok: false, error: e.message, position: e.position, received: text };
+  }
+}
@@ -0,0 +1,230 @@
+// Segments each CID + callsign into flights from successive polls and tracks their phases:
+//
+//   parked -> taxi_out -> airborne -> taxi_in -> arrived
+//
+// block-out is the first poll moving on the ground, takeoff the first poll at airborne speed that
+// has climbed away from the aerodrome, landing the first poll back below landing speed that isn't
+// still descending, block-in the first poll stopped after landing. A connection gap, or moving off
+// again after block-in, starts a new flight.
+//
+// The feed altitude is MSL and VATSpy.dat carries no field elevation, so the aerodrome's altitude
+// is the one the aircraft itself reports on the ground there (taxiing, or at touchdown). That tells
+// a fast taxi or a rejected takeoff from a takeoff, and a fast roll-out from a touch-and-go. Until a
+// ground altitude is known (e.g. first seen airborne, or resumed after a restart), groundspeed
+// alone decides.
+
+const FLIGHT_GAP_SECONDS = 20 * 60;
+const AIRBORNE_GROUNDSPEED = 50;
+const LANDED_GROUNDSPEED = 40;
+const MOVING_GROUNDSPEED = 5;
+const STOPPED_GROUNDSPEED = 3;
+// This far from the aerodrome's altitude, a fast aircraft has left the runway
+const LIFTOFF_FEET = 100;
+// Losing more than this between two polls is still descending, not rolling out
+const DESCENDING_FEET = 50;
+
+function flightKey(callsign, cid) {
+  return `${callsign}:${cid ?? ""}`;
+}
+
+// Either way: a "landing" during a slow patch in the air is undone once the altitude changes
+function hasLeftGround(flight, p) {
+  if (flight.fieldAltitude == null || !Number.isFinite(p.altitude)) return true;
+  return Math.abs(p.altitude - flight.fieldAltitude) >= LIFTOFF_FEET;
+}
+
+function isDescending(flight, p) {
+  if (flight.lastAltitude == null || !Number.isFinite(p.altitude)) return false;
+  return flight.lastAltitude - p.altitude > DESCENDING_FEET;
+}
+
+export class FlightAnalyzer {
+  constructor({ resolveAirport = null } = {}) {
+    this.flights = new Map();
+    this.resolveAirport = resolveAirport;
+  }
+
+  // resolveAirport(lat, lon) -> ICAO of the aerodrome at that position, or null
+  setAirportResolver(resolveAirport) {
+    this.resolveAirport = resolveAirport;
+  }
+
+  // Resumes open flights (as returned by getOpenFlights) after a restart.
+  seed(flights) {
+    this.flights.clear();
+    for (const f of flights || []) {
+      if (typeof f?.callsign !== "string") continue;
+      this.flights.set(flightKey(f.callsign, f.cid), {
+        ...f,
+        departureFromPosition: f.departure != null && f.departure !== f.filedDeparture,
+        arrivalFromPosition: f.arrival != null && f.arrival !== f.filedArrival,
+        fieldAltitude: null,
+        lastAltitude: null
+      });
+    }
+  }
+
+  // Feeds one poll in; returns every flight record that was opened, advanced or closed.
+  observe(ts, pilots) {
+    const changed = new Set();
+
+    for (const p of pilots || []) {
+      if (typeof p?.callsign !== "string") continue;
+      const key = flightKey(p.callsign, p.cid);
+      const gs = Number.isFinite(p.groundspeed) ? p.groundspeed : 0;
+      let flight = this.flights.get(key);
+
+      if (flight && ts <= flight.lastSeenTs) continue;
+
+      // Pushing back after block-in is observed directly, so the next leg gets its block-out time
+      const nextLeg = flight?.phase === "arrived" && gs >= MOVING_GROUNDSPEED;
+      if (flight && (nextLeg || ts - flight.lastSeenTs > FLIGHT_GAP_SECONDS)) {
+        flight.closed = true;
+        changed.add(flight);
+        flight = null;
+      }
+
+      if (!flight) {
+        flight = this.open(ts, p, gs);
+        if (nextLeg && flight.phase === "taxi_out") flight.blockOutTs = ts;
+        this.flights.set(key, flight);
+      } else {
+        this.advance(flight, ts, p, gs);
+      }
+      changed.add(flight);
+    }
+
+    for (const [key, flight] of this.flights) {
+      if (ts - flight.lastSeenTs > FLIGHT_GAP_SECONDS) {
+        flight.closed = true;
+        changed.add(flight);
+        this.flights.delete(key);
+      }
+    }
+
+    return [...changed];
+  }
+
+  lookupAirport(lat, lon) {
+    if (!this.resolveAirport || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+    try {
+      return this.resolveAirport(lat, lon) ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  open(ts, p, gs) {
+    const airborne = gs >= AIRBORNE_GROUNDSPEED;
+    const originAirport = airborne ? null : this.lookupAirport(p.latitude, p.longitude);
+    const flight = {
+      id: null,
+      callsign: p.callsign,
+      cid: p.cid ?? null,
+      phase: airborne ? "airborne" : (gs >= MOVING_GROUNDSPEED ? "taxi_out" : "parked"),
+      firstSeenTs: ts,
+      lastSeenTs: ts,
+      blockOutTs: null,
+      takeoffTs: null,
+      landingTs: null,
+      blockInTs: null,
+      departure: originAirport,
+      arrival: null,
+      filedDeparture: null,
+      filedArrival: null,
+      aircraft: null,
+      takeoffLat: null,
+      takeoffLon: null,
+      landingLat: null,
+      landingLon: null,
+      maxAltitude: null,
+      closed: false,
+      departureFromPosition: originAirport != null,
+      arrivalFromPosition: false,
+      fieldAltitude: null,
+      lastAltitude: null
+    };
+    this.updateCommon(flight, ts, p, gs);
+    return flight;
+  }
+
+  advance(flight, ts, p, gs) {
+    switch (flight.phase) {
+      case "parked":
+        if (gs >= MOVING_GROUNDSPEED) flight.blockOutTs = ts;
+        if (gs >= AIRBORNE_GROUNDSPEED && hasLeftGround(flight, p)) {
+          this.takeOff(flight, ts, p);
+        } else if (gs >= MOVING_GROUNDSPEED) {
+          flight.phase = "taxi_out";
+        }
+        break;
+      case "taxi_out":
+        if (gs >= AIRBORNE_GROUNDSPEED && hasLeftGround(flight, p)) this.takeOff(flight, ts, p);
+        break;
+      case "airborne":
+        if (gs < LANDED_GROUNDSPEED && !isDescending(flight, p)) this.land(flight, ts, p);
+        break;
+      case "taxi_in":
+        if (gs >= AIRBORNE_GROUNDSPEED && hasLeftGround(flight, p)) {
+          // Touch-and-go or a slow patch in the air: still the same leg
+          flight.phase = "airborne";
+          flight.landingTs = null;
+          flight.landingLat = null;
+          flight.landingLon = null;
+          if (flight.arrivalFromPosition) {
+            flight.arrival = null;
+            flight.arrivalFromPosition = false;
+          }
+        } else if (gs < STOPPED_GROUNDSPEED) {
+          flight.phase = "arrived";
+          flight.blockInTs = ts;
+        }
+        break;
+      default:
+        break;
+    }
+    this.updateCommon(flight, ts, p, gs);
+  }
+
+  takeOff(flight, ts, p) {
+    flight.phase = "airborne";
+    flight.takeoffTs = ts;
+    flight.takeoffLat = p.latitude ?? null;
+    flight.takeoffLon = p.longitude ?? null;
+    const airport = this.lookupAirport(p.latitude, p.longitude);
+    if (airport) {
+      flight.departure = airport;
+      flight.departureFromPosition = true;
+    }
+  }
+
+  land(flight, ts, p) {
+    flight.phase = "taxi_in";
+    flight.landingTs = ts;
+    flight.landingLat = p.latitude ?? null;
+    flight.landingLon = p.longitude ?? null;
+    const airport = this.lookupAirport(p.latitude, p.longitude);
+    if (airport) {
+      flight.arrival = airport;
+      flight.arrivalFromPosition = true;
+    }
+  }
+
+  updateCommon(flight, ts, p, gs) {
+    flight.lastSeenTs = ts;
+    flight.filedDeparture = p.departure ?? flight.filedDeparture;
+    flight.filedArrival = p.destination ?? flight.filedArrival;
+    flight.aircraft = p.flightPlan?.aircraftShort ?? flight.aircraft;
+    if (Number.isFinite(p.altitude) && (flight.maxAltitude == null || p.altitude > flight.maxAltitude)) {
+      flight.maxAltitude = p.altitude;
+    }
+    if (Number.isFinite(p.altitude)) {
+      flight.lastAltitude = p.altitude;
+      // Slow on the ground (including the touchdown poll), the aircraft's altitude is the aerodrome's
+      if (flight.phase !== "airborne" && gs < AIRBORNE_GROUNDSPEED) flight.fieldAltitude = p.altitude;
+    }
+    // Without a position fix, fall back to the filed aerodromes
+    if (!flight.departureFromPosition) flight.departure = flight.filedDeparture;
+    if (!flight.arrivalFromPosition) flight.arrival = flight.filedArrival;
+  }
+}
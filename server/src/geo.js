@@ -0,0 +1,16 @@
+// Great-circle helpers shared by the airport list, area filters and compact storage. Kept free
+// of dependencies so the storage layer and the CLI scripts can import it.
+
+const EARTH_RADIUS_NM = 3440.065;
+
+export function toRadians(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+export function distanceNm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_NM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
@@ -4,12 +4,22 @@ import dotenv from "dotenv";
 import express from "express";
 import fetch from "node-fetch";
 import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync } from "node:fs";
-import { isAbsolute, join, resolve } from "node:path";
+import { join, resolve } from "node:path";
 import { fileURLToPath } from "node:url";
 
+import { createAirportDbFromEnv } from "./airportDb.js";
 import { AirspaceMatcher } from "./airspaceMatcher.js";
-import { fetchAtcPositions, fetchPilots } from "./collector.js";
-import { getAirportsInRange, getAirspacesInRange, getAtcSnapshotAt, getAtcSnapshotsAtTimestamps, getCallsingsInRange, getRangeMeta, getSnapshotAt, getSnapshotTimestampsInRange, getSnapshotsAtTimestamps, getStoredEvents, getTrack, insertAtcSnapshots, insertSnapshots, openDb, pruneOldAtcBatch, pruneOldBatch, upsertEvents } from "./db.js";
+import { createArchiveStoreFromEnv } from "./archive.js";
+import { describeArea, parseAreaFilter } from "./areaFilter.js";
+import { createBoundaryStoreFromEnv } from "./boundaryStore.js";
+import { detectAirspaceCrossings, detectSquawkAlerts, fetchAtcPositions, fetchFeed, getDataSource, normalizeAtcPositions, normalizeAtisStations, normalizePilots, normalizePrefiles, seedAirspaceState, seedSquawkState } from "./collector.js";
+import { deleteRetentionPin, downsampleSnapshotsBatch, getAirportsInRange, getAirspaceCrossings, getAirspacesInRange, getAlertsInRange, getArchiveDays, getAtcSessions, getAtcSnapshotAt, getAtcSnapshotsAtTimestamps, getAttachedArchiveRange, getBoundaryVersionAt, getBoundaryVersionsInRange, getCallsingsInRange, getConnectedAirportTraffic, getCoverageGaps, getFlightPlan, getFlightsInRange, getLatestAirspaces, getLatestCollectorRun, getLatestSquawks, getOpenFlights, getPrefilesInRange, getRangeMeta, getRetentionPin, getRetentionPins, getRetentionWatermarks, getSnapshotAt, getSnapshotResolutionAt, getSnapshotsAtTimestamps, getSnapshotsBetween, getSnapshotTimestampsInRange, getStoredEvents, getTrack, hasSnapshotsAt, insertAirspaceCrossings, insertAlerts, insertAtcSnapshots, insertCollectorRun, insertRetentionPin, insertSnapshots, linkConnectedPrefiles, openDb, pruneOldAirspaceCrossingsBatch, pruneOldAlertsBatch, pruneOldAtcBatch, pruneOldAtcSessionsBatch, pruneOldBatch, pruneOldCollectorRunsBatch, pruneOldFlightPlansBatch, pruneOldFlightsBatch, pruneOldPrefilesBatch, recordBoundaryVersion, saveFlights, searchAirlines, searchCallsigns, SNAPSHOT_STORAGE, updateRetentionPin, upsertAtcSessions, upsertEvents, upsertFlightPlans, upsertPrefiles } from "./db.js";
+import { resolveDbPath } from "./dbPath.js";
+import { parseFilterExpression } from "./filterExpression.js";
+import { FlightAnalyzer } from "./flightAnalyzer.js";
+import { interpolateSnapshot } from "./interpolation.js";
+import { parseRetentionPin, parseRetentionTiers, retentionPlan } from "./retention.js";
+import { simplifyTrack } from "./trackSimplifier.js";
 
 // Define __dirname for ES modules
 const __dirname = fileURLToPath(new URL(".", import.meta.url));
@@ -19,6 +29,7 @@ dotenv.config();
 const PORT = parseInt(process.env.PORT || "4000", 10);
 const POLL_INTERVAL_SECONDS = parseInt(process.env.POLL_INTERVAL_SECONDS || "15", 10);
 const RETENTION_HOURS = parseInt(process.env.RETENTION_HOURS || "720", 10);
+const RETENTION_TIERS = parseRetentionTiers(process.env.RETENTION_TIERS, RETENTION_HOURS);
 const MAX_REPLAY_RANGE_SECONDS = 24 * 3600;
 const EVENTS_LATEST_NUM = parseInt(process.env.EVENTS_LATEST_NUM || "150", 10);
 const EVENT_POLL_INTERVAL_SECONDS = parseInt(process.env.EVENT_POLL_INTERVAL_SECONDS || "3600", 10);
@@ -130,24 +141,6 @@ async function respondWithCachedJson(res, key, ttlMs, compute) {
   return res.json(payload);
 }
 
-function resolveDbPath() {
-  if (process.env.DB_PATH && process.env.DB_PATH.trim().length > 0) {
-    const configured = process.env.DB_PATH.trim();
-    return isAbsolute(configured) ? configured : resolve(join(__dirname, ".."), configured);
-  }
-
-  const railwayMountedPath = process.env.RAILWAY_VOLUME_MOUNT_PATH;
-  if (railwayMountedPath && railwayMountedPath.trim().length > 0) {
-    return join(railwayMountedPath.trim(), "vatsim.sqlite");
-  }
-
-  if (existsSync("/data")) {
-    return "/data/vatsim.sqlite";
-  }
-
-  return resolve(join(__dirname, "../data/vatsim.sqlite"));
-}
-
 const DB_PATH = resolveDbPath();
 
 const app = express();
@@ -156,13 +149,35 @@ app.use(cors());
 app.use(express.json());
 
 const db = openDb(DB_PATH);
-const airspaceMatcher = new AirspaceMatcher();
+const boundaryStore = createBoundaryStoreFromEnv();
+const airspaceMatcher = new AirspaceMatcher(boundaryStore);
+const airportDb = createAirportDbFromEnv();
+// Departure/arrival aerodromes come from the position at takeoff/landing when the airport list is loaded
+const flightAnalyzer = new FlightAnalyzer({ resolveAirport: (lat, lon) => airportDb.nearestIcao(lat, lon) });
 console.log(`[init] sqlite db path: ${DB_PATH}`);
+console.log(`[init] snapshot storage: ${SNAPSHOT_STORAGE}`);
+const archiveStore = createArchiveStoreFromEnv();
+console.log(`[init] cold archive: ${archiveStore ? archiveStore.dir : "disabled (set ARCHIVE_DIR)"}`);
 
 function nowTs() {
   return Math.floor(Date.now() / 1000);
 }
 
+// Spacing of the stored pilot polls from ts on: the poll interval, or the resolution retention
+// has downsampled them to. Replay defaults (windows, steps, gaps) scale with it.
+function snapshotResolutionAt(ts) {
+  return Math.max(POLL_INTERVAL_SECONDS, getSnapshotResolutionAt(db, ts));
+}
+
+function describeRetentionTiers() {
+  const watermarks = new Map(getRetentionWatermarks(db).map((w) => [w.stepSeconds, w.downsampledUntil]));
+  return RETENTION_TIERS.map((tier) => ({
+    maxAgeHours: tier.maxAgeSeconds / 3600,
+    resolutionSeconds: tier.stepSeconds || POLL_INTERVAL_SECONDS,
+    downsampledUntil: tier.stepSeconds ? watermarks.get(tier.stepSeconds) ?? null : null
+  }));
+}
+
 function parseAirportList(rawValue) {
   if (typeof rawValue !== "string") return [];
   return Array.from(new Set(
@@ -173,6 +188,54 @@ function parseAirportList(rawValue) {
   ));
 }
 
+// Traffic filters shared by the snapshot, preload, callsign and track routes:
+// airspaces/airports lists, minAltitude/maxAltitude, an area (bbox / near+radiusNm / polygon,
+// see areaFilter.js) and a filter expression (filter=..., see filterExpression.js), all ANDed.
+// Returns { ok: true, filters } or an { ok: false, error, ... } body for a 400.
+async function parseTrafficFilters(query) {
+  const expressionResult = parseFilterExpression(query.filter);
+  if (!expressionResult.ok) return expressionResult;
+
+  // near=ICAO needs the airport list, so it is loaded first when possible
+  if (typeof query.near === "string" && /^[A-Za-z0-9]{3,4}$/.test(query.near.trim())) {
+    await airportDb.ensureFresh().catch(() => {});
+  }
+  const areaResult = parseAreaFilter(query, airportDb);
+  if (!areaResult.ok) return areaResult;
+
+  return {
+    ok: true,
+    filters: {
+      airspaces: parseAirportList(
+        typeof query.airspaces === "string"
+          ? query.airspaces
+          : (typeof query.airspace === "string" ? query.airspace : "")
+      ),
+      airports: parseAirportList(
+        typeof query.airports === "string"
+          ? query.airports
+          : (typeof query.airport === "string" ? query.airport : "")
+      ),
+      minAltitude: query.minAltitude ? parseInt(query.minAltitude, 10) : null,
+      maxAltitude: query.maxAltitude ? parseInt(query.maxAltitude, 10) : null,
+      area: areaResult.area,
+      expression: expressionResult.expression
+    }
+  };
+}
+
+// Echo of the applied filters for API responses
+function describeTrafficFilters(filters) {
+  return {
+    airspaces: filters.airspaces,
+    airports: filters.airports,
+    minAltitude: filters.minAltitude,
+    maxAltitude: filters.maxAltitude,
+    area: describeArea(filters.area),
+    filter: filters.expression?.text ?? null
+  };
+}
+
 function validateReplayRange(since, until) {
   if (until < since) {
     return { ok: false, error: "until must be >= since", since, until };
@@ -194,34 +257,98 @@ function validateReplayRange(since, until) {
 }
 
 async function pollOnce() {
-  const ts = nowTs();
-  const pilots = await fetchPilots();
-  let pilotsWithAirspace = pilots;
-  try {
-    await airspaceMatcher.ensureFresh();
-    pilotsWithAirspace = pilots.map((p) => ({
-      ...p,
-      airspace: airspaceMatcher.lookup(p.latitude, p.longitude)
-    }));
-  } catch (e) {
-    console.warn(`[collector] airspace matcher unavailable: ${e?.message || e}`);
+  const startedTs = nowTs();
+  // One feed fetch per poll so pilots and ATC always come from the same data file
+  const feed = await fetchFeed();
+  const pilots = normalizePilots(feed.data);
+  const atc = normalizeAtcPositions(feed.data);
+
+  // Rows are keyed on the feed's own update time. A poll that only re-served a cached copy,
+  // or a feed that hasn't advanced past the last stored frame (the same frame again, or an older
+  // one from a lagging mirror), writes nothing rather than a fake or out-of-order frame.
+  const ts = feed.feedTs ?? (feed.status === "live" ? startedTs : null);
+  let outcome = "inserted";
+  if (feed.status === "failed") {
+    outcome = "failed";
+  } else if (feed.status !== "live") {
+    outcome = "skipped_cached";
+  } else if (lastStoredFeedTs != null && ts < lastStoredFeedTs) {
+    outcome = "skipped_stale";
+  } else if (ts === lastStoredFeedTs || hasSnapshotsAt(db, ts)) {
+    outcome = "skipped_duplicate";
+  }
+
+  let count = 0;
+  let atcCount = 0;
+  let atisRevisions = 0;
+  let flightPlanRevisions = 0;
+  let prefileCount = 0;
+  let flightUpdates = 0;
+  let alertCount = 0;
+  let crossingCount = 0;
+
+  if (outcome === "inserted") {
+    let pilotsWithAirspace = pilots;
+    let airspaceResolved = false;
+    try {
+      await airspaceMatcher.ensureFresh();
+      const airspaces = airspaceMatcher.lookupMany(pilots);
+      pilotsWithAirspace = pilots.map((p, i) => ({ ...p, ...airspaces[i] }));
+      recordBoundaryVersion(db, ts, airspaceMatcher.version);
+      airspaceResolved = true;
+    } catch (e) {
+      console.warn(`[collector] airspace matcher unavailable: ${e?.message || e}`);
+    }
+    try {
+      await airportDb.ensureFresh();
+      const groundAirports = airportDb.lookupGroundAirports(pilotsWithAirspace);
+      pilotsWithAirspace = pilotsWithAirspace.map((p, i) => ({ ...p, groundAirport: groundAirports[i] }));
+    } catch (e) {
+      console.warn(`[collector] airport list unavailable: ${e?.message || e}`);
+    }
+
+    count = insertSnapshots(db, ts, pilotsWithAirspace);
+    flightUpdates = saveFlights(db, flightAnalyzer.observe(ts, pilots));
+    atcCount = insertAtcSnapshots(db, ts, atc);
+    atisRevisions = upsertAtcSessions(db, ts, [...atc, ...normalizeAtisStations(feed.data)]);
+    flightPlanRevisions = upsertFlightPlans(db, ts, pilots);
+    prefileCount = upsertPrefiles(db, ts, normalizePrefiles(feed.data));
+    linkConnectedPrefiles(db, ts, pilots);
+    alertCount = insertAlerts(db, ts, detectSquawkAlerts(pilotsWithAirspace));
+    // Without a matcher every pilot would appear to leave its airspace
+    if (airspaceResolved) {
+      crossingCount = insertAirspaceCrossings(db, ts, detectAirspaceCrossings(ts, pilotsWithAirspace));
+    }
+    lastStoredFeedTs = ts;
   }
 
-  const atc = await fetchAtcPositions();
-  const count = insertSnapshots(db, ts, pilotsWithAirspace);
-  const atcCount = insertAtcSnapshots(db, ts, atc);
   let pruned = 0;
+  let downsampled = 0;
   let atcPruned = 0;
+  let atcDownsampled = 0;
+  let flightPlansPruned = 0;
   let ranPrune = false;
 
-  const safePruneIntervalSeconds = Number.isFinite(PRUNE_INTERVAL_SECONDS)
-    ? Math.max(POLL_INTERVAL_SECONDS, PRUNE_INTERVAL_SECONDS)
-    : 900;
-
-  if (RETENTION_HOURS > 0 && (lastPruneTs === 0 || (ts - lastPruneTs) >= safePruneIntervalSeconds)) {
+  // Retention is measured against wall-clock time, not the (possibly replayed) feed time
+  const retentionEnabled = RETENTION_TIERS.length > 0 || RETENTION_HOURS > 0;
+  if (retentionEnabled && (lastPruneTs === 0 || (startedTs - lastPruneTs) >= pruneIntervalSeconds())) {
     ranPrune = true;
-    lastPruneTs = ts;
-    const cutoff = ts - RETENTION_HOURS * 3600;
+    lastPruneTs = startedTs;
+    const { downsample, cutoffTs: cutoff, recordsCutoffTs } = retentionPlan(RETENTION_TIERS, startedTs, RETENTION_HOURS);
+    // Pilot and ATC polls are only deleted or downsampled once their day is in the cold archive.
+    // The archive pass exports on its own timer; until it has, those days are held back.
+    let positionsUntil = startedTs;
+    if (archiveStore) {
+      try {
+        positionsUntil = archiveStore.archivedUntil(db, archiveHorizonTs(startedTs));
+      } catch (e) {
+        positionsUntil = 0;
+        console.warn(`[archive] archive state unavailable, keeping pilot/ATC polls for now: ${e?.message || e}`);
+      }
+    }
+    // Deleting with a cutoff of 0 is a no-op, which is how "keep everything" runs below
+    const positionCutoff = cutoff == null ? 0 : Math.min(cutoff, positionsUntil);
+    const recordsCutoff = recordsCutoffTs ?? 0;
     const pruneLoops = Number.isFinite(PRUNE_BATCHES_PER_POLL)
       ? Math.max(1, Math.min(20, PRUNE_BATCHES_PER_POLL))
       : 1;
@@ -231,25 +358,111 @@ async function pollOnce() {
       : 5000;
 
     for (let i = 0; i < pruneLoops; i += 1) {
-      const pilotDeleted = pruneOldBatch(db, cutoff, pruneBatchSize);
-      const atcDeleted = pruneOldAtcBatch(db, cutoff, pruneBatchSize);
+      const pilotDeleted = pruneOldBatch(db, positionCutoff, pruneBatchSize);
+      let pilotDownsampled = 0;
+      let atcThinned = 0;
+      for (const tier of downsample) {
+        const removed = downsampleSnapshotsBatch(db, tier.stepSeconds, Math.min(tier.untilTs, positionsUntil), pruneBatchSize);
+        pilotDownsampled += removed.pilotRows;
+        atcThinned += removed.atcRows;
+      }
+      const atcDeleted = pruneOldAtcBatch(db, positionCutoff, pruneBatchSize);
+      const flightPlansDeleted = pruneOldFlightPlansBatch(db, recordsCutoff, pruneBatchSize);
+      const alertsDeleted = pruneOldAlertsBatch(db, recordsCutoff, pruneBatchSize);
+      const crossingsDeleted = pruneOldAirspaceCrossingsBatch(db, recordsCutoff, pruneBatchSize);
+      const sessionsDeleted = pruneOldAtcSessionsBatch(db, recordsCutoff, pruneBatchSize);
+      const prefilesDeleted = pruneOldPrefilesBatch(db, recordsCutoff, pruneBatchSize);
+      const flightsDeleted = pruneOldFlightsBatch(db, recordsCutoff, pruneBatchSize);
+      const runsDeleted = pruneOldCollectorRunsBatch(db, recordsCutoff, pruneBatchSize);
       pruned += pilotDeleted;
+      downsampled += pilotDownsampled;
       atcPruned += atcDeleted;
-      if (pilotDeleted === 0 && atcDeleted === 0) break;
+      atcDownsampled += atcThinned;
+      flightPlansPruned += flightPlansDeleted;
+      if (pilotDeleted === 0 && pilotDownsampled === 0 && atcDeleted === 0 && atcThinned === 0 && flightPlansDeleted === 0 && alertsDeleted === 0 && crossingsDeleted === 0 && sessionsDeleted === 0 && prefilesDeleted === 0 && flightsDeleted === 0 && runsDeleted === 0) break;
     }
   }
 
-  bumpDataCacheVersion();
+  if (outcome === "inserted" || ranPrune) {
+    bumpDataCacheVersion();
+  }
   const pruneSummary = ranPrune
-    ? `pruned=${pruned} atc-pruned=${atcPruned}`
+    ? `pruned=${pruned} downsampled=${downsampled} atc-pruned=${atcPruned} atc-downsampled=${atcDownsampled} fp-pruned=${flightPlansPruned}`
     : "prune=skipped";
-  console.log(`[collector] ts=${ts} pilots=${pilots.length} inserted=${count} atc=${atc.length} atc-inserted=${atcCount} ${pruneSummary}`);
+  console.log(`[collector] ts=${ts ?? "-"} source=${feed.status} outcome=${outcome} pilots=${pilots.length} inserted=${count} atc=${atc.length} atc-inserted=${atcCount} atis-revisions=${atisRevisions} fp-revisions=${flightPlanRevisions} prefiles=${prefileCount} flights=${flightUpdates} alerts=${alertCount} crossings=${crossingCount} ${pruneSummary}`);
+
+  return {
+    startedTs,
+    feedTs: ts,
+    sourceStatus: feed.status,
+    outcome,
+    pilots: pilots.length,
+    inserted: count,
+    atc: atc.length,
+    atcInserted: atcCount,
+    pruned,
+    atcPruned,
+    error: feed.error
+  };
+}
+
+function recordCollectorRun(run) {
+  try {
+    insertCollectorRun(db, run);
+  } catch (e) {
+    console.warn("[collector] failed to record run:", e?.message || e);
+  }
 }
 
 let pollTimer = null;
 let pollInProgress = false;
 let lastEventsSyncTs = 0;
 let lastPruneTs = 0;
+let lastStoredFeedTs = null;
+let archiveTimer = null;
+
+function pruneIntervalSeconds() {
+  return Number.isFinite(PRUNE_INTERVAL_SECONDS)
+    ? Math.max(POLL_INTERVAL_SECONDS, PRUNE_INTERVAL_SECONDS)
+    : 900;
+}
+
+// Everything retention will delete or downsample at nowTs has to be archived first
+function archiveHorizonTs(ts) {
+  const { downsample, cutoffTs } = retentionPlan(RETENTION_TIERS, ts, RETENTION_HOURS);
+  return Math.max(cutoffTs ?? 0, ...downsample.map((tier) => tier.untilTs));
+}
+
+// Cold archive pass, on its own timer so exporting a day never holds up a poll: exports the next
+// day retention is waiting for and detaches attached days that have expired.
+async function archiveOnce() {
+  const ts = nowTs();
+  const expired = archiveStore.detachExpired(db, ts);
+  for (const day of expired) {
+    console.log(`[archive] detached ${day}: attached for more than ${archiveStore.attachHours}h`);
+  }
+  if (expired.length > 0) bumpDataCacheVersion();
+  try {
+    for (const day of await archiveStore.archiveBefore(db, archiveHorizonTs(ts))) {
+      console.log(`[archive] exported ${day.day}: pilots=${day.pilotRows} atc=${day.atcRows}`);
+    }
+  } catch (e) {
+    console.warn(`[archive] export failed, keeping pilot/ATC polls for now: ${e?.message || e}`);
+  }
+}
+
+function startArchiveLoop() {
+  const runArchiveCycle = async () => {
+    try {
+      await archiveOnce();
+    } catch (e) {
+      console.error("[archive] pass failed:", e?.message || e);
+    } finally {
+      archiveTimer = setTimeout(runArchiveCycle, pruneIntervalSeconds() * 1000);
+    }
+  };
+  archiveTimer = setTimeout(runArchiveCycle, 0);
+}
 
 async function syncEventsOnce(force = false) {
   const ts = nowTs();
@@ -287,28 +500,42 @@ async function syncEventsOnce(force = false) {
 }
 
 async function warmupGeoJsonCaches() {
-  // Pre-warm airspace cache in background
+  // Load (and store) the current boundary dataset in the background
   try {
-    const controllerA = new AbortController();
-    const timerA = setTimeout(() => controllerA.abort(), 5000);
-    const rA = await fetch(AIRSPACE_URLS[0], {
-      headers: { "User-Agent": "vatsim-traffic-replay/1.0 (+https://example.local)" },
-      signal: controllerA.signal
-    });
-    clearTimeout(timerA);
-    if (rA.ok) {
-      const data = await rA.json();
-      airspaceCache = { ts: Date.now(), data };
-      console.log("[init] airspace cache warmed");
-    }
+    const { version } = await boundaryStore.current();
+    console.log(`[init] airspace boundaries ${version} ready`);
   } catch (e) {
-    console.warn("[init] airspace cache warmup failed (non-critical):", e?.message || e);
+    console.warn("[init] airspace boundaries warmup failed (non-critical):", e?.message || e);
   }
 }
 
 async function startCollector() {
+  console.log(`[collector] data source: ${getDataSource().describe()}`);
+  console.log(`[collector] airspace boundaries: ${boundaryStore.describe()}`);
+  console.log(`[collector] airports: ${airportDb.describe()}`);
   // Warm up GeoJSON caches in background
   warmupGeoJsonCaches();
+  // Resume squawk tracking from the last stored poll so a restart doesn't re-alert
+  try {
+    seedSquawkState(getLatestSquawks(db));
+  } catch (e) {
+    console.warn("[collector] squawk state seed failed:", e?.message || e);
+  }
+  try {
+    seedAirspaceState(getLatestAirspaces(db));
+  } catch (e) {
+    console.warn("[collector] airspace state seed failed:", e?.message || e);
+  }
+  try {
+    flightAnalyzer.seed(getOpenFlights(db));
+  } catch (e) {
+    console.warn("[collector] flight state seed failed:", e?.message || e);
+  }
+  try {
+    lastStoredFeedTs = getRangeMeta(db).maxTs ?? null;
+  } catch (e) {
+    console.warn("[collector] last stored frame lookup failed:", e?.message || e);
+  }
   const startupDelayMs = Number.isFinite(COLLECTOR_STARTUP_DELAY_SECONDS)
     ? Math.max(0, COLLECTOR_STARTUP_DELAY_SECONDS) * 1000
     : 5000;
@@ -320,12 +547,22 @@ async function startCollector() {
     }
 
     pollInProgress = true;
+    const cycleStartedTs = nowTs();
+    const cycleStartedMs = Date.now();
     try {
-      await pollOnce();
+      const run = await pollOnce();
+      recordCollectorRun({ ...run, durationMs: Date.now() - cycleStartedMs });
       syncEventsOnce(false).catch((e) => {
         console.warn("[events] periodic sync failed:", e?.message || e);
       });
     } catch (e) {
+      recordCollectorRun({
+        startedTs: cycleStartedTs,
+        sourceStatus: "failed",
+        outcome: "error",
+        durationMs: Date.now() - cycleStartedMs,
+        error: String(e?.message || e)
+      });
       if (e?.type !== "aborted") {
         console.error("[collector] poll failed:", e?.message || e);
       }
@@ -336,6 +573,7 @@ async function startCollector() {
   };
 
   pollTimer = setTimeout(runPollCycle, startupDelayMs);
+  if (archiveStore) startArchiveLoop();
 }
 
 app.get("/api/meta", async (req, res) => {
@@ -343,10 +581,22 @@ app.get("/api/meta", async (req, res) => {
     const key = buildDataCacheKey("meta");
     return await respondWithCachedJson(res, key, 4000, () => {
       const meta = getRangeMeta(db);
+      // Attached archive days are replayable too, so they widen the range
+      const attached = getAttachedArchiveRange(db);
+      if (attached.minTs != null) {
+        meta.minTs = meta.minTs == null ? attached.minTs : Math.min(meta.minTs, attached.minTs);
+        meta.maxTs = meta.maxTs == null ? attached.maxTs : Math.max(meta.maxTs, attached.maxTs);
+      }
       return {
         ...meta,
-        retentionHours: RETENTION_HOURS,
+        lastRun: getLatestCollectorRun(db),
+        boundaryVersions: meta.minTs != null && meta.maxTs != null
+          ? getBoundaryVersionsInRange(db, meta.minTs, meta.maxTs)
+          : [],
+        retentionHours: RETENTION_TIERS.length > 0 ? RETENTION_TIERS[RETENTION_TIERS.length - 1].maxAgeSeconds / 3600 : 0,
+        retentionTiers: describeRetentionTiers(),
         pollIntervalSeconds: POLL_INTERVAL_SECONDS,
+        attachedArchiveDays: getArchiveDays(db).filter((row) => row.attachedTs != null).map((row) => row.day),
         nowTs: nowTs()
       };
     });
@@ -355,6 +605,115 @@ app.get("/api/meta", async (req, res) => {
   }
 });
 
+// Retention pins (retention.js): windows kept past retention, listed with the events
+function parsePinId(raw) {
+  const id = /^\d+$/.test(String(raw)) ? parseInt(raw, 10) : NaN;
+  return Number.isSafeInteger(id) && id > 0 ? id : null;
+}
+
+app.get("/api/pins", (req, res) => {
+  const since = req.query.since != null ? parseInt(req.query.since, 10) : null;
+  const until = req.query.until != null ? parseInt(req.query.until, 10) : null;
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    return res.status(400).json({ error: "since and until must be unix seconds", received: { since: req.query.since, until: req.query.until } });
+  }
+  try {
+    res.json({ since, until, rows: getRetentionPins(db, since, until) });
+  } catch (e) {
+    res.status(500).json({ error: "pins query failed", message: String(e?.message || e) });
+  }
+});
+
+app.get("/api/pins/:id", (req, res) => {
+  const id = parsePinId(req.params.id);
+  if (id == null) return res.status(400).json({ error: "invalid pin id", received: req.params.id });
+  try {
+    const pin = getRetentionPin(db, id);
+    if (!pin) return res.status(404).json({ error: "unknown pin", id });
+    res.json(pin);
+  } catch (e) {
+    res.status(500).json({ error: "pin query failed", message: String(e?.message || e) });
+  }
+});
+
+app.post("/api/pins", (req, res) => {
+  const result = parseRetentionPin(req.body);
+  if (!result.ok) return res.status(400).json(result);
+  try {
+    res.status(201).json(insertRetentionPin(db, result.pin, nowTs()));
+  } catch (e) {
+    res.status(500).json({ error: "pin create failed", message: String(e?.message || e) });
+  }
+});
+
+app.put("/api/pins/:id", (req, res) => {
+  const id = parsePinId(req.params.id);
+  if (id == null) return res.status(400).json({ error: "invalid pin id", received: req.params.id });
+  const result = parseRetentionPin(req.body);
+  if (!result.ok) return res.status(400).json(result);
+  try {
+    const pin = updateRetentionPin(db, id, result.pin, nowTs());
+    if (!pin) return res.status(404).json({ error: "unknown pin", id });
+    res.json(pin);
+  } catch (e) {
+    res.status(500).json({ error: "pin update failed", message: String(e?.message || e) });
+  }
+});
+
+// Deleting a pin leaves its window to the next retention pass
+app.delete("/api/pins/:id", (req, res) => {
+  const id = parsePinId(req.params.id);
+  if (id == null) return res.status(400).json({ error: "invalid pin id", received: req.params.id });
+  try {
+    if (!deleteRetentionPin(db, id)) return res.status(404).json({ error: "unknown pin", id });
+    res.json({ ok: true, id });
+  } catch (e) {
+    res.status(500).json({ error: "pin delete failed", message: String(e?.message || e) });
+  }
+});
+
+// Cold archive (archive.js): the archived days, and attaching one back for replay
+app.get("/api/archive", (req, res) => {
+  try {
+    res.json({
+      enabled: archiveStore != null,
+      dir: archiveStore?.dir ?? null,
+      attachHours: archiveStore?.attachHours ?? null,
+      days: getArchiveDays(db).map((row) => ({ ...row, expiresTs: archiveStore?.expiresTs(row.attachedTs) ?? null }))
+    });
+  } catch (e) {
+    res.status(500).json({ error: "archive query failed", message: String(e?.message || e) });
+  }
+});
+
+app.post("/api/archive/:day/attach", async (req, res) => {
+  if (!archiveStore) {
+    return res.status(503).json({ error: "cold archive disabled (set ARCHIVE_DIR)" });
+  }
+  try {
+    const result = await archiveStore.attachDay(db, req.params.day);
+    if (!result.ok) return res.status(400).json(result);
+    bumpDataCacheVersion();
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ error: "archive attach failed", message: String(e?.message || e) });
+  }
+});
+
+app.post("/api/archive/:day/detach", (req, res) => {
+  if (!archiveStore) {
+    return res.status(503).json({ error: "cold archive disabled (set ARCHIVE_DIR)" });
+  }
+  try {
+    const result = archiveStore.detachDay(db, req.params.day);
+    if (!result.ok) return res.status(400).json(result);
+    bumpDataCacheVersion();
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ error: "archive detach failed", message: String(e?.message || e) });
+  }
+});
+
 app.get("/api/events", async (req, res) => {
   try {
     const refresh = req.query.refresh === "1" || req.query.refresh === "true";
@@ -391,30 +750,73 @@ app.get("/api/callsigns", async (req, res) => {
     return res.status(400).json(validation);
   }
   const limit = parseInt(req.query.limit || "2000", 10);
-  const airspaces = parseAirportList(
-    typeof req.query.airspaces === "string"
-      ? req.query.airspaces
-      : (typeof req.query.airspace === "string" ? req.query.airspace : "")
-  );
-  const airports = parseAirportList(
-    typeof req.query.airports === "string"
-      ? req.query.airports
-      : (typeof req.query.airport === "string" ? req.query.airport : "")
-  );
-  const minAltitude = req.query.minAltitude ? parseInt(req.query.minAltitude, 10) : null;
-  const maxAltitude = req.query.maxAltitude ? parseInt(req.query.maxAltitude, 10) : null;
+  const trafficFilters = await parseTrafficFilters(req.query);
+  if (!trafficFilters.ok) {
+    return res.status(400).json(trafficFilters);
+  }
+  const { filters } = trafficFilters;
 
   try {
     const key = buildDataCacheKey("callsigns", req.query);
     return await respondWithCachedJson(res, key, 12000, () => {
-      const rows = getCallsingsInRange(db, since, until, limit, airspaces, airports, minAltitude, maxAltitude);
-      return { since, until, airspaces, airports, minAltitude, maxAltitude, rows };
+      const rows = getCallsingsInRange(db, since, until, limit, filters);
+      return { since, until, ...describeTrafficFilters(filters), rows };
     });
   } catch (e) {
     return res.status(500).json({ error: "callsigns query failed", message: String(e?.message || e) });
   }
 });
 
+// q is a callsign prefix (BAW) or a wildcard pattern (BAW*, *123, ?AL1*); cid finds every
+// callsign a member connected as; airline narrows to one airline ICAO; groupBy=airline returns
+// one row per airline instead. Results are paginated and most recent first.
+app.get("/api/callsigns/search", async (req, res) => {
+  const q = typeof req.query.q === "string" ? req.query.q.trim().toUpperCase() : "";
+  if (q && !/^[A-Z0-9_*?-]+$/.test(q)) {
+    return res.status(400).json({ error: "q may only contain letters, digits, '_', '-', '*' and '?'", received: req.query.q });
+  }
+  const pattern = q ? (/[*?]/.test(q) ? q : `${q}*`) : null;
+  const cid = req.query.cid ? parseInt(req.query.cid, 10) : null;
+  if (req.query.cid && !Number.isFinite(cid)) {
+    return res.status(400).json({ error: "invalid 'cid' parameter", received: req.query.cid });
+  }
+  const airline = typeof req.query.airline === "string" && req.query.airline.trim().length > 0
+    ? req.query.airline.trim().toUpperCase()
+    : null;
+  if (airline && !/^[A-Z]{3}$/.test(airline)) {
+    return res.status(400).json({ error: "airline must be a three-letter ICAO code", received: req.query.airline });
+  }
+  const groupBy = typeof req.query.groupBy === "string" && req.query.groupBy.length > 0 ? req.query.groupBy : null;
+  if (groupBy && groupBy !== "airline") {
+    return res.status(400).json({ error: "groupBy must be 'airline'", received: groupBy });
+  }
+  const since = req.query.since ? parseInt(req.query.since, 10) : null;
+  const until = req.query.until ? parseInt(req.query.until, 10) : null;
+  if ((req.query.since && !Number.isFinite(since)) || (req.query.until && !Number.isFinite(until))) {
+    return res.status(400).json({ error: "invalid 'since' or 'until' parameter", since, until });
+  }
+  const page = Math.max(1, parseInt(req.query.page || "1", 10) || 1);
+  const pageSize = Math.max(1, Math.min(200, parseInt(req.query.pageSize || "25", 10) || 25));
+
+  try {
+    const key = buildDataCacheKey("callsign-search", req.query);
+    return await respondWithCachedJson(res, key, 12000, () => {
+      const filters = { pattern, cid, airline, sinceTs: since, untilTs: until };
+      const offset = (page - 1) * pageSize;
+      const { total, rows } = groupBy === "airline"
+        ? searchAirlines(db, filters, pageSize, offset)
+        : searchCallsigns(db, filters, pageSize, offset);
+      return {
+        q, pattern, cid, airline, groupBy, since, until,
+        page, pageSize, total, hasMore: offset + rows.length < total,
+        rows
+      };
+    });
+  } catch (e) {
+    return res.status(500).json({ error: "callsign search failed", message: String(e?.message || e) });
+  }
+});
+
 app.get("/api/track/:callsign", async (req, res) => {
   const now = nowTs();
   const callsign = req.params.callsign.toUpperCase();
@@ -425,58 +827,377 @@ app.get("/api/track/:callsign", async (req, res) => {
     return res.status(400).json(validation);
   }
   const step = parseInt(req.query.step || "0", 10);
-  const airspaces = parseAirportList(
-    typeof req.query.airspaces === "string"
-      ? req.query.airspaces
-      : (typeof req.query.airspace === "string" ? req.query.airspace : "")
-  );
-  const airports = parseAirportList(
-    typeof req.query.airports === "string"
-      ? req.query.airports
-      : (typeof req.query.airport === "string" ? req.query.airport : "")
-  );
-  const minAltitude = req.query.minAltitude ? parseInt(req.query.minAltitude, 10) : null;
-  const maxAltitude = req.query.maxAltitude ? parseInt(req.query.maxAltitude, 10) : null;
+  // simplify=dp replaces time-bucket averaging with Douglas-Peucker over the raw positions
+  const simplify = typeof req.query.simplify === "string" && req.query.simplify.length > 0 ? req.query.simplify : null;
+  if (simplify && simplify !== "dp") {
+    return res.status(400).json({ error: "simplify must be 'dp'", received: simplify });
+  }
+  const toleranceNm = parseFloat(req.query.toleranceNm || "0.5");
+  const altitudeTolerance = parseFloat(req.query.altitudeTolerance || "500");
+  const maxPoints = parseInt(req.query.maxPoints || "1000", 10);
+  if (simplify) {
+    if (!Number.isFinite(toleranceNm) || toleranceNm <= 0) {
+      return res.status(400).json({ error: "toleranceNm must be a positive number", received: req.query.toleranceNm });
+    }
+    if (!Number.isFinite(altitudeTolerance) || altitudeTolerance <= 0) {
+      return res.status(400).json({ error: "altitudeTolerance must be a positive number", received: req.query.altitudeTolerance });
+    }
+    if (!Number.isFinite(maxPoints) || maxPoints < 2 || maxPoints > 10000) {
+      return res.status(400).json({ error: "maxPoints must be between 2 and 10000", received: req.query.maxPoints });
+    }
+  }
+  const trafficFilters = await parseTrafficFilters(req.query);
+  if (!trafficFilters.ok) {
+    return res.status(400).json(trafficFilters);
+  }
+  const { filters } = trafficFilters;
 
   try {
     const key = buildDataCacheKey("track", req.query, callsign);
     return await respondWithCachedJson(res, key, 12000, () => {
-      const rows = getTrack(db, callsign, since, until, step, airspaces, airports, minAltitude, maxAltitude);
-      return { callsign, since, until, step, airspaces, airports, minAltitude, maxAltitude, rows };
+      if (simplify) {
+        const raw = getTrack(db, callsign, since, until, 0, filters);
+        const rows = simplifyTrack(raw, { toleranceNm, altitudeToleranceFt: altitudeTolerance, maxPoints });
+        return {
+          callsign, since, until, step: 0, ...describeTrafficFilters(filters),
+          simplify: { mode: simplify, toleranceNm, altitudeTolerance, maxPoints, inputPoints: raw.length },
+          rows
+        };
+      }
+      const rows = getTrack(db, callsign, since, until, step, filters);
+      return { callsign, since, until, step, ...describeTrafficFilters(filters), rows };
     });
   } catch (e) {
     return res.status(500).json({ error: "track query failed", message: String(e?.message || e) });
   }
 });
 
+// Validates a filter expression without querying, for editors: the normalised text, or the
+// same 400 body the traffic routes return for it
+app.get("/api/filter-expression", (req, res) => {
+  const result = parseFilterExpression(req.query.filter);
+  if (!result.ok) {
+    return res.status(400).json(result);
+  }
+  return res.json({ ok: true, filter: result.expression?.text ?? "" });
+});
+
 app.get("/api/snapshot", async (req, res) => {
   const now = nowTs();
   const ts = parseInt(req.query.ts || now.toString(), 10);
-  const window = parseInt(req.query.window || Math.max(5, Math.floor(POLL_INTERVAL_SECONDS / 2)).toString(), 10);
-  const airspaces = parseAirportList(
-    typeof req.query.airspaces === "string"
-      ? req.query.airspaces
-      : (typeof req.query.airspace === "string" ? req.query.airspace : "")
-  );
-  const airports = parseAirportList(
-    typeof req.query.airports === "string"
-      ? req.query.airports
-      : (typeof req.query.airport === "string" ? req.query.airport : "")
-  );
-  const minAltitude = req.query.minAltitude ? parseInt(req.query.minAltitude, 10) : null;
-  const maxAltitude = req.query.maxAltitude ? parseInt(req.query.maxAltitude, 10) : null;
+  const resolutionSeconds = snapshotResolutionAt(ts);
+  const window = parseInt(req.query.window || Math.max(5, Math.floor(resolutionSeconds / 2)).toString(), 10);
+  const trafficFilters = await parseTrafficFilters(req.query);
+  if (!trafficFilters.ok) {
+    return res.status(400).json(trafficFilters);
+  }
+  const { filters } = trafficFilters;
 
   try {
     const key = buildDataCacheKey("snapshot", req.query);
     return await respondWithCachedJson(res, key, 8000, () => {
-      const rows = getSnapshotAt(db, ts, window, airspaces, airports, minAltitude, maxAltitude);
-      return { ts, window, airspaces, airports, minAltitude, maxAltitude, rows };
+      const rows = getSnapshotAt(db, ts, window, filters);
+      return { ts, window, resolutionSeconds, ...describeTrafficFilters(filters), rows };
     });
   } catch (e) {
     return res.status(500).json({ error: "snapshot query failed", message: String(e?.message || e) });
   }
 });
 
+// Exactly one state per aircraft at ts, interpolated between the polls around it (see
+// interpolation.js). Aircraft last seen more than maxGap seconds before ts are left out.
+app.get("/api/snapshot/interpolated", async (req, res) => {
+  const now = nowTs();
+  const ts = parseInt(req.query.ts || now.toString(), 10);
+  if (!Number.isFinite(ts)) {
+    return res.status(400).json({ error: "invalid 'ts' parameter", received: req.query.ts, parsed: ts });
+  }
+  const resolutionSeconds = snapshotResolutionAt(ts);
+  const maxGapSeconds = parseInt(req.query.maxGap || Math.max(60, resolutionSeconds * 4).toString(), 10);
+  if (!Number.isFinite(maxGapSeconds) || maxGapSeconds <= 0 || maxGapSeconds > 3600) {
+    return res.status(400).json({ error: "maxGap must be between 1 and 3600 seconds", received: req.query.maxGap });
+  }
+  const trafficFilters = await parseTrafficFilters(req.query);
+  if (!trafficFilters.ok) {
+    return res.status(400).json(trafficFilters);
+  }
+  const { filters } = trafficFilters;
+  const options = {
+    maxGapSeconds,
+    maxExtrapolateSeconds: resolutionSeconds,
+    staleSeconds: resolutionSeconds * 2
+  };
+
+  try {
+    const key = buildDataCacheKey("snapshot-interpolated", req.query);
+    return await respondWithCachedJson(res, key, 8000, () => {
+      const around = getSnapshotsBetween(db, ts - maxGapSeconds, ts + maxGapSeconds, filters);
+      const rows = interpolateSnapshot(around, ts, options);
+      return { ts, resolutionSeconds, ...options, ...describeTrafficFilters(filters), rows };
+    });
+  } catch (e) {
+    return res.status(500).json({ error: "interpolated snapshot query failed", message: String(e?.message || e) });
+  }
+});
+
+app.get("/api/flightplan/:callsign", async (req, res) => {
+  const now = nowTs();
+  const callsign = req.params.callsign.toUpperCase();
+  const ts = parseInt(req.query.ts || now.toString(), 10);
+  const cid = req.query.cid ? parseInt(req.query.cid, 10) : null;
+  if (!Number.isFinite(ts)) {
+    return res.status(400).json({ error: "invalid 'ts' parameter", received: req.query.ts, parsed: ts });
+  }
+
+  try {
+    const key = buildDataCacheKey("flightplan", req.query, callsign);
+    return await respondWithCachedJson(res, key, 12000, () => {
+      const { current, history } = getFlightPlan(db, callsign, ts, cid);
+      return { callsign, ts, cid, current, history };
+    });
+  } catch (e) {
+    return res.status(500).json({ error: "flight plan query failed", message: String(e?.message || e) });
+  }
+});
+
+app.get("/api/flights", async (req, res) => {
+  const now = nowTs();
+  const since = parseInt(req.query.since || (now - 3600).toString(), 10);
+  const until = parseInt(req.query.until || now.toString(), 10);
+  if (!Number.isFinite(since) || !Number.isFinite(until)) {
+    return res.status(400).json({ error: "invalid 'since' or 'until' parameter", since, until });
+  }
+  const validation = validateReplayRange(since, until);
+  if (!validation.ok) {
+    return res.status(400).json(validation);
+  }
+  const airport = typeof req.query.airport === "string" && req.query.airport.trim().length > 0
+    ? req.query.airport.trim().toUpperCase()
+    : null;
+  const callsign = typeof req.query.callsign === "string" && req.query.callsign.trim().length > 0
+    ? req.query.callsign.trim().toUpperCase()
+    : null;
+  const cid = req.query.cid ? parseInt(req.query.cid, 10) : null;
+  if (req.query.cid && !Number.isFinite(cid)) {
+    return res.status(400).json({ error: "invalid 'cid' parameter", received: req.query.cid, parsed: cid });
+  }
+  const limit = parseInt(req.query.limit || "2000", 10);
+
+  try {
+    const key = buildDataCacheKey("flights", req.query);
+    return await respondWithCachedJson(res, key, 12000, () => {
+      const rows = getFlightsInRange(db, since, until, airport, cid, callsign, limit);
+      const inRange = (value) => value != null && value >= since && value <= until;
+      // Movements are counted by when the wheels left / touched the ground inside the window
+      const movements = {
+        takeoffs: rows.filter((f) => inRange(f.takeoffTs) && (!airport || f.departure === airport)).length,
+        landings: rows.filter((f) => inRange(f.landingTs) && (!airport || f.arrival === airport)).length
+      };
+      return { since, until, airport, cid, callsign, movements, rows };
+    });
+  } catch (e) {
+    return res.status(500).json({ error: "flights query failed", message: String(e?.message || e) });
+  }
+});
+
+app.get("/api/prefiles", async (req, res) => {
+  const now = nowTs();
+  const since = parseInt(req.query.since || (now - 3600).toString(), 10);
+  const until = parseInt(req.query.until || (now + 6 * 3600).toString(), 10);
+  if (!Number.isFinite(since) || !Number.isFinite(until)) {
+    return res.status(400).json({ error: "invalid 'since' or 'until' parameter", since, until });
+  }
+  const validation = validateReplayRange(since, until);
+  if (!validation.ok) {
+    return res.status(400).json(validation);
+  }
+  const airport = typeof req.query.airport === "string" && req.query.airport.trim().length > 0
+    ? req.query.airport.trim().toUpperCase()
+    : null;
+  const limit = parseInt(req.query.limit || "2000", 10);
+
+  try {
+    const key = buildDataCacheKey("prefiles", req.query);
+    return await respondWithCachedJson(res, key, 12000, () => {
+      const rows = getPrefilesInRange(db, airport, since, until, limit);
+      const summary = {
+        prefiled: rows.length,
+        connected: rows.filter((r) => r.connectedTs != null).length
+      };
+      if (airport) {
+        summary.prefiledDepartures = rows.filter((r) => r.departure === airport).length;
+        summary.prefiledArrivals = rows.filter((r) => r.arrival === airport).length;
+        summary.actual = getConnectedAirportTraffic(db, airport, since, Math.min(until, now));
+      }
+      return { airport, since, until, summary, rows };
+    });
+  } catch (e) {
+    return res.status(500).json({ error: "prefiles query failed", message: String(e?.message || e) });
+  }
+});
+
+app.get("/api/atc/:callsign", async (req, res) => {
+  const now = nowTs();
+  const callsign = req.params.callsign.toUpperCase();
+  const since = parseInt(req.query.since || (now - 24 * 3600).toString(), 10);
+  const until = parseInt(req.query.until || now.toString(), 10);
+  const ts = req.query.ts ? parseInt(req.query.ts, 10) : null;
+  if (!Number.isFinite(since) || !Number.isFinite(until)) {
+    return res.status(400).json({ error: "invalid 'since' or 'until' parameter", since, until });
+  }
+  if (until < since) {
+    return res.status(400).json({ error: "until must be >= since", since, until });
+  }
+  if (req.query.ts && !Number.isFinite(ts)) {
+    return res.status(400).json({ error: "invalid 'ts' parameter", received: req.query.ts, parsed: ts });
+  }
+
+  try {
+    const key = buildDataCacheKey("atc-sessions", req.query, callsign);
+    return await respondWithCachedJson(res, key, 12000, () => {
+      const sessions = getAtcSessions(db, callsign, Math.min(since, ts ?? since), Math.max(until, ts ?? until));
+      // With ?ts=, also report the broadcast that was current at that moment (a session counts
+      // as live until one poll interval after it was last seen)
+      let atisAtTs = null;
+      if (ts != null) {
+        const session = sessions.find((s) => s.firstSeenTs <= ts && s.lastSeenTs + POLL_INTERVAL_SECONDS >= ts);
+        const revision = session?.atisRevisions.filter((r) => r.firstSeenTs <= ts).pop() ?? null;
+        atisAtTs = revision ? { ...revision, cid: session.cid, logonTime: session.logonTime } : null;
+      }
+      return { callsign, since, until, ts, sessions, atisAtTs };
+    });
+  } catch (e) {
+    return res.status(500).json({ error: "atc session query failed", message: String(e?.message || e) });
+  }
+});
+
+app.get("/api/alerts", async (req, res) => {
+  const now = nowTs();
+  const since = parseInt(req.query.since || (now - 3600).toString(), 10);
+  const until = parseInt(req.query.until || now.toString(), 10);
+  if (!Number.isFinite(since) || !Number.isFinite(until)) {
+    return res.status(400).json({ error: "invalid 'since' or 'until' parameter", since, until });
+  }
+  if (until < since) {
+    return res.status(400).json({ error: "until must be >= since", since, until });
+  }
+  const types = typeof req.query.types === "string"
+    ? req.query.types.split(",").map((x) => x.trim().toLowerCase()).filter(Boolean)
+    : [];
+  const callsign = typeof req.query.callsign === "string" && req.query.callsign.trim().length > 0
+    ? req.query.callsign.trim().toUpperCase()
+    : null;
+  const limit = parseInt(req.query.limit || "500", 10);
+
+  try {
+    const key = buildDataCacheKey("alerts", req.query);
+    return await respondWithCachedJson(res, key, 12000, () => {
+      const rows = getAlertsInRange(db, since, until, types, callsign, limit);
+      return { since, until, types, callsign, rows };
+    });
+  } catch (e) {
+    return res.status(500).json({ error: "alerts query failed", message: String(e?.message || e) });
+  }
+});
+
+function summarizeAltitudes(rows) {
+  const altitudes = rows.map((r) => r.altitude).filter(Number.isFinite);
+  if (altitudes.length === 0) return null;
+  return {
+    min: Math.min(...altitudes),
+    max: Math.max(...altitudes),
+    avg: Math.round(altitudes.reduce((sum, a) => sum + a, 0) / altitudes.length)
+  };
+}
+
+// Counts crossings per neighbouring airspace (null = outside all boundaries), busiest first
+function countByNeighbour(rows, pickNeighbour) {
+  const counts = new Map();
+  for (const row of rows) {
+    const neighbour = pickNeighbour(row) ?? null;
+    counts.set(neighbour, (counts.get(neighbour) ?? 0) + 1);
+  }
+  return [...counts]
+    .map(([airspace, count]) => ({ airspace, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+app.get("/api/crossings", async (req, res) => {
+  const now = nowTs();
+  const since = parseInt(req.query.since || (now - 3600).toString(), 10);
+  const until = parseInt(req.query.until || now.toString(), 10);
+  if (!Number.isFinite(since) || !Number.isFinite(until)) {
+    return res.status(400).json({ error: "invalid 'since' or 'until' parameter", since, until });
+  }
+  const validation = validateReplayRange(since, until);
+  if (!validation.ok) {
+    return res.status(400).json(validation);
+  }
+  const airspace = typeof req.query.airspace === "string" && req.query.airspace.trim().length > 0
+    ? req.query.airspace.trim().toUpperCase()
+    : null;
+  const callsign = typeof req.query.callsign === "string" && req.query.callsign.trim().length > 0
+    ? req.query.callsign.trim().toUpperCase()
+    : null;
+  const limit = parseInt(req.query.limit || "5000", 10);
+
+  try {
+    const key = buildDataCacheKey("crossings", req.query);
+    return await respondWithCachedJson(res, key, 12000, () => {
+      const rows = getAirspaceCrossings(db, airspace, since, until, callsign, limit);
+      const summary = { crossings: rows.length };
+      if (airspace) {
+        // Handoffs are counted at the most specific level on the far side of the boundary
+        const entries = rows.filter((r) => r.direction === "entry");
+        const exits = rows.filter((r) => r.direction === "exit");
+        summary.entries = entries.length;
+        summary.exits = exits.length;
+        summary.internal = rows.length - entries.length - exits.length;
+        summary.entriesFrom = countByNeighbour(entries, (r) => r.fromAirspace);
+        summary.exitsTo = countByNeighbour(exits, (r) => r.toAirspace);
+        summary.entryAltitude = summarizeAltitudes(entries);
+        summary.exitAltitude = summarizeAltitudes(exits);
+      }
+      return { airspace, callsign, since, until, summary, rows };
+    });
+  } catch (e) {
+    return res.status(500).json({ error: "crossings query failed", message: String(e?.message || e) });
+  }
+});
+
+app.get("/api/coverage", async (req, res) => {
+  const now = nowTs();
+  const since = parseInt(req.query.since || (now - 3600).toString(), 10);
+  const until = parseInt(req.query.until || now.toString(), 10);
+  if (!Number.isFinite(since) || !Number.isFinite(until)) {
+    return res.status(400).json({ error: "invalid 'since' or 'until' parameter", since, until });
+  }
+  const validation = validateReplayRange(since, until);
+  if (!validation.ok) {
+    return res.status(400).json(validation);
+  }
+  const minGapPolls = parseFloat(req.query.minGapPolls || "3");
+  if (!Number.isFinite(minGapPolls) || minGapPolls <= 0) {
+    return res.status(400).json({ error: "minGapPolls must be a positive number", received: req.query.minGapPolls });
+  }
+
+  try {
+    const key = buildDataCacheKey("coverage", req.query);
+    return await respondWithCachedJson(res, key, 12000, () => {
+      const coverage = getCoverageGaps(db, since, until, minGapPolls, POLL_INTERVAL_SECONDS);
+      return {
+        since,
+        until,
+        pollIntervalSeconds: POLL_INTERVAL_SECONDS,
+        minGapPolls,
+        ...coverage
+      };
+    });
+  } catch (e) {
+    return res.status(500).json({ error: "coverage query failed", message: String(e?.message || e) });
+  }
+});
+
 app.get("/api/airspaces", async (req, res) => {
   const now = nowTs();
   const since = parseInt(req.query.since || (now - 3600).toString(), 10);
@@ -509,9 +1230,12 @@ app.get("/api/airports", async (req, res) => {
   const limit = parseInt(req.query.limit || "3000", 10);
 
   try {
+    // Names are best-effort; the counts don't depend on the airport list
+    await airportDb.ensureFresh().catch(() => {});
     const key = buildDataCacheKey("airports", req.query);
     return await respondWithCachedJson(res.set("Cache-Control", "public, max-age=5"), key, 15000, () => {
-      const rows = getAirportsInRange(db, since, until, limit);
+      const rows = getAirportsInRange(db, since, until, limit)
+        .map((row) => ({ ...row, name: airportDb.get(row.airport)?.name ?? null }));
       return { since, until, rows };
     });
   } catch (e) {
@@ -519,6 +1243,21 @@ app.get("/api/airports", async (req, res) => {
   }
 });
 
+app.get("/api/airports/:icao", async (req, res) => {
+  const icao = req.params.icao.trim().toUpperCase();
+  try {
+    await airportDb.ensureFresh();
+  } catch (e) {
+    return res.status(503).json({ error: "airport list unavailable", message: String(e?.message || e) });
+  }
+
+  const airport = airportDb.get(icao);
+  if (!airport) {
+    return res.status(404).json({ error: "unknown airport", icao });
+  }
+  return res.set("Cache-Control", "public, max-age=3600").json(airport);
+});
+
 app.get("/api/atc-snapshot", async (req, res) => {
   const now = nowTs();
   const ts = parseInt(req.query.ts || now.toString(), 10);
@@ -539,24 +1278,19 @@ app.get("/api/preload-snapshots", async (req, res) => {
   const now = nowTs();
   const since = parseInt(req.query.since || (now - 3600).toString(), 10);
   const until = parseInt(req.query.until || now.toString(), 10);
-  const step = parseInt(req.query.step || POLL_INTERVAL_SECONDS.toString(), 10);
-  const window = parseInt(req.query.window || Math.max(5, Math.floor(POLL_INTERVAL_SECONDS / 2)).toString(), 10);
+  // The oldest part of the range has the coarsest stored polls
+  const resolutionSeconds = snapshotResolutionAt(since);
+  const step = parseInt(req.query.step || resolutionSeconds.toString(), 10);
+  const window = parseInt(req.query.window || Math.max(5, Math.floor(resolutionSeconds / 2)).toString(), 10);
   const maxSourceAge = parseInt(
-    req.query.maxSourceAge || Math.max(window, step * 2, POLL_INTERVAL_SECONDS * 2).toString(),
+    req.query.maxSourceAge || Math.max(window, step * 2, resolutionSeconds * 2).toString(),
     10
   );
-  const airspaces = parseAirportList(
-    typeof req.query.airspaces === "string"
-      ? req.query.airspaces
-      : (typeof req.query.airspace === "string" ? req.query.airspace : "")
-  );
-  const airports = parseAirportList(
-    typeof req.query.airports === "string"
-      ? req.query.airports
-      : (typeof req.query.airport === "string" ? req.query.airport : "")
-  );
-  const minAltitude = req.query.minAltitude ? parseInt(req.query.minAltitude, 10) : null;
-  const maxAltitude = req.query.maxAltitude ? parseInt(req.query.maxAltitude, 10) : null;
+  const trafficFilters = await parseTrafficFilters(req.query);
+  if (!trafficFilters.ok) {
+    return res.status(400).json(trafficFilters);
+  }
+  const { filters } = trafficFilters;
 
   // Detailed validation with specific error messages
   if (!Number.isFinite(since)) {
@@ -633,7 +1367,7 @@ app.get("/api/preload-snapshots", async (req, res) => {
       }
 
       const sourceTs = Array.from(new Set(Array.from(bucketToSourceTs.values())));
-      const pilotRows = getSnapshotsAtTimestamps(db, sourceTs, airspaces, airports, minAltitude, maxAltitude);
+      const pilotRows = getSnapshotsAtTimestamps(db, sourceTs, filters);
       const atcRows = getAtcSnapshotsAtTimestamps(db, sourceTs);
 
       const pilotBySourceTs = new Map();
@@ -679,10 +1413,8 @@ app.get("/api/preload-snapshots", async (req, res) => {
         step,
         window,
         maxSourceAge,
-        airspaces,
-        airports,
-        minAltitude,
-        maxAltitude,
+        resolutionSeconds,
+        ...describeTrafficFilters(filters),
         timestamps,
         sourceTsByBucket,
         rowsBySourceTs,
@@ -694,10 +1426,6 @@ app.get("/api/preload-snapshots", async (req, res) => {
   }
 });
 
-const AIRSPACE_URLS = [
-  "https://raw.githubusercontent.com/vatsimnetwork/vatspy-data-project/main/Boundaries.geojson",
-  "https://raw.githubusercontent.com/vatsimnetwork/vatspy-data-project/master/Boundaries.geojson"
-];
 const TRACON_LOCAL_DIR = resolve(join(__dirname, "../data/tracon"));
 const TRACON_BOUNDARIES_FILES = [
   resolve(join(__dirname, "../data/TRACONBoundaries.geojson")),
@@ -706,57 +1434,38 @@ const TRACON_BOUNDARIES_FILES = [
   resolve(join(__dirname, "../../TRACONBoundaries.json"))
 ];
 console.log('[init] TRACON_BOUNDARIES_FILES:', TRACON_BOUNDARIES_FILES);
-let airspaceCache = { ts: 0, data: null };
 let traconCache = { ts: 0, data: null };
 let atcCache = { ts: 0, positions: [] };
 
+// ?version= serves a stored boundary dataset; ?ts= serves the one recorded for that poll, so a
+// replay draws the boundaries that were in force then. Without either, the current dataset.
 app.get("/api/airspace", async (req, res) => {
   try {
-    const now = Date.now();
-    const maxAgeMs = 60 * 60 * 1000; // 1 hour
-    if (airspaceCache.data && (now - airspaceCache.ts) < maxAgeMs) {
-      return res.json(airspaceCache.data);
-    }
-
-    let lastStatus = null;
-    let lastUrl = null;
-    const FETCH_TIMEOUT_MS = 10000; // 10 second timeout
-
-    for (const url of AIRSPACE_URLS) {
-      lastUrl = url;
-      try {
-        const controller = new AbortController();
-        const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
-        const r = await fetch(url, {
-          headers: { "User-Agent": "vatsim-traffic-replay/1.0 (+https://example.local)" },
-          signal: controller.signal
-        });
-        clearTimeout(timer);
-
-        lastStatus = r.status;
-        if (!r.ok) continue;
-        const data = await r.json();
-        airspaceCache = { ts: now, data };
-        return res.json(data);
-      } catch (error) {
-        // Timeout or network error, try next URL
-        continue;
+    let version = typeof req.query.version === "string" && req.query.version.length > 0
+      ? req.query.version
+      : null;
+    if (!version && req.query.ts != null) {
+      const ts = parseInt(req.query.ts, 10);
+      if (!Number.isFinite(ts)) {
+        return res.status(400).json({ error: "invalid ts", received: req.query.ts });
       }
+      version = getBoundaryVersionAt(db, ts);
     }
 
-    // Return cached data even if expired, better than 502
-    if (airspaceCache.data) {
-      res.set("Cache-Control", "public, max-age=60");
-      return res.json(airspaceCache.data);
+    if (version) {
+      const data = boundaryStore.get(version);
+      if (!data) {
+        return res.status(404).json({ error: "unknown boundary version", version });
+      }
+      // Stored versions never change
+      res.set("Cache-Control", "public, max-age=31536000, immutable");
+      return res.json({ ...data, version });
     }
 
-    return res.status(502).json({
-      error: "airspace fetch failed",
-      status: lastStatus,
-      url: lastUrl
-    });
+    const current = await boundaryStore.current();
+    return res.json({ ...current.data, version: current.version });
   } catch (e) {
-    res.status(500).json({ error: "airspace exception", message: String(e?.message || e) });
+    return res.status(502).json({ error: "airspace boundaries unavailable", message: String(e?.message || e) });
   }
 })
 
@@ -926,7 +1635,6 @@ if (existsSync(clientDist)) {
 }
 
 // Clear caches on startup to reload fresh data
-airspaceCache = { ts: 0, data: null };
 traconCache = { ts: 0, data: null };
 atcCache = { ts: 0, positions: [] };
 
@@ -0,0 +1,121 @@
+// Reconstructs one state per aircraft at an arbitrary time from the polls around it.
+//
+// Between an aircraft's last poll at or before ts and its first poll after ts, position,
+// altitude, groundspeed and heading are interpolated (longitude and heading along the short
+// way round). After its last poll the position is dead-reckoned from groundspeed and heading
+// for up to maxExtrapolateSeconds, then held. Non-numeric fields (airspace, route, squawk, ...)
+// come from the earlier poll.
+
+const EARTH_NM_PER_DEGREE = 60;
+
+function lerp(a, b, f) {
+  if (!Number.isFinite(a)) return Number.isFinite(b) ? b : null;
+  if (!Number.isFinite(b)) return a;
+  return a + (b - a) * f;
+}
+
+export function normalizeLon(lon) {
+  return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
+function normalizeHeading(heading) {
+  return ((heading % 360) + 360) % 360;
+}
+
+// Shortest signed difference b - a for angles in degrees, in [-180, 180)
+function angleDelta(a, b) {
+  return ((((b - a + 180) % 360) + 360) % 360) - 180;
+}
+
+export function lerpLon(a, b, f) {
+  return normalizeLon(a + angleDelta(a, b) * f);
+}
+
+export function lerpHeading(a, b, f) {
+  if (!Number.isFinite(a)) return Number.isFinite(b) ? b : null;
+  if (!Number.isFinite(b)) return a;
+  return normalizeHeading(a + angleDelta(a, b) * f);
+}
+
+// Moves a position along heading at groundspeed (knots) for dtSeconds (flat-earth, short hops).
+export function deadReckon(lat, lon, heading, groundspeed, dtSeconds) {
+  if (!Number.isFinite(heading) || !Number.isFinite(groundspeed) || groundspeed <= 0 || dtSeconds <= 0) {
+    return { lat, lon };
+  }
+  const distanceDeg = (groundspeed * dtSeconds) / 3600 / EARTH_NM_PER_DEGREE;
+  const rad = (heading * Math.PI) / 180;
+  const nextLat = Math.max(-90, Math.min(90, lat + distanceDeg * Math.cos(rad)));
+  const cosLat = Math.max(0.01, Math.cos((lat * Math.PI) / 180));
+  return { lat: nextLat, lon: normalizeLon(lon + (distanceDeg * Math.sin(rad)) / cosLat) };
+}
+
+function roundOrNull(value) {
+  return Number.isFinite(value) ? Math.round(value) : null;
+}
+
+// rows: snapshot rows (any order) around ts, e.g. getSnapshotsBetween(ts - lookback, ts + lookback).
+// options.maxGapSeconds: polls further apart than this are not interpolated across
+// options.maxExtrapolateSeconds: how far past the last poll a position is dead-reckoned
+// options.staleSeconds: states based on a poll older than this are flagged stale
+export function interpolateSnapshot(rows, ts, { maxGapSeconds, maxExtrapolateSeconds, staleSeconds }) {
+  const byCallsign = new Map();
+  for (const row of rows || []) {
+    if (typeof row?.callsign !== "string") continue;
+    let entry = byCallsign.get(row.callsign);
+    if (!entry) {
+      entry = { before: null, after: null };
+      byCallsign.set(row.callsign, entry);
+    }
+    if (row.ts <= ts) {
+      if (!entry.before || row.ts > entry.before.ts) entry.before = row;
+    } else if (!entry.after || row.ts < entry.after.ts) {
+      entry.after = row;
+    }
+  }
+
+  const states = [];
+  for (const { before, after } of byCallsign.values()) {
+    // Not connected yet at ts
+    if (!before) continue;
+
+    const ageSeconds = ts - before.ts;
+    const state = {
+      ...before,
+      ts,
+      sourceTs: before.ts,
+      nextTs: null,
+      ageSeconds,
+      interpolated: false,
+      extrapolated: false,
+      stale: ageSeconds > staleSeconds
+    };
+
+    if (ageSeconds === 0) {
+      states.push(state);
+      continue;
+    }
+
+    if (after && after.ts - before.ts <= maxGapSeconds) {
+      const f = (ts - before.ts) / (after.ts - before.ts);
+      state.nextTs = after.ts;
+      state.lat = lerp(before.lat, after.lat, f);
+      state.lon = lerpLon(before.lon, after.lon, f);
+      state.altitude = roundOrNull(lerp(before.altitude, after.altitude, f));
+      state.groundspeed = roundOrNull(lerp(before.groundspeed, after.groundspeed, f));
+      state.heading = roundOrNull(lerpHeading(before.heading, after.heading, f));
+      state.interpolated = true;
+      // Bracketed by polls on both sides, so not stale however long the poll gap was
+      state.stale = false;
+    } else {
+      const dt = Math.min(ageSeconds, maxExtrapolateSeconds);
+      const moved = deadReckon(before.lat, before.lon, before.heading, before.groundspeed, dt);
+      state.lat = moved.lat;
+      state.lon = moved.lon;
+      state.extrapolated = dt > 0 && (moved.lat !== before.lat || moved.lon !== before.lon);
+    }
+
+    states.push(state);
+  }
+
+  return states.sort((a, b) => a.callsign.localeCompare(b.callsign));
+}
@@ -0,0 +1,645 @@
+// Numbered schema migrations for the SQLite database, tracked in schema_migrations.
+//
+// Each migration runs once, in its own BEGIN IMMEDIATE transaction, so web and worker
+// processes sharing a volume can start together: the second waits for the first and then
+// finds the migration already applied. A database migrated by a newer server (a version
+// this code doesn't know) is refused rather than written to.
+//
+// Migrations are append-only: never edit or renumber one that has shipped, add a new one.
+
+function addLegacySnapshotColumns(db) {
+  const columns = db.prepare(`PRAGMA table_info(snapshots)`).all();
+  const names = new Set(columns.map((c) => c.name));
+
+  if (!names.has("altitude")) {
+    db.exec(`ALTER TABLE snapshots ADD COLUMN altitude INTEGER`);
+  }
+  if (!names.has("groundspeed")) {
+    db.exec(`ALTER TABLE snapshots ADD COLUMN groundspeed INTEGER`);
+  }
+  if (!names.has("heading")) {
+    db.exec(`ALTER TABLE snapshots ADD COLUMN heading INTEGER`);
+  }
+  if (!names.has("airspace")) {
+    db.exec(`ALTER TABLE snapshots ADD COLUMN airspace TEXT`);
+  }
+  if (!names.has("departure")) {
+    db.exec(`ALTER TABLE snapshots ADD COLUMN departure TEXT`);
+  }
+  if (!names.has("destination")) {
+    db.exec(`ALTER TABLE snapshots ADD COLUMN destination TEXT`);
+  }
+  if (!names.has("transponder")) {
+    db.exec(`ALTER TABLE snapshots ADD COLUMN transponder TEXT`);
+  }
+  if (!names.has("fir")) {
+    db.exec(`ALTER TABLE snapshots ADD COLUMN fir TEXT`);
+  }
+  if (!names.has("ground_airport")) {
+    db.exec(`ALTER TABLE snapshots ADD COLUMN ground_airport TEXT`);
+  }
+}
+
+function addLegacyCollectorRunColumns(db) {
+  const columns = db.prepare(`PRAGMA table_info(collector_runs)`).all();
+  const names = new Set(columns.map((c) => c.name));
+
+  if (!names.has("duration_ms")) {
+    db.exec(`ALTER TABLE collector_runs ADD COLUMN duration_ms INTEGER`);
+  }
+  if (!names.has("atc")) {
+    db.exec(`ALTER TABLE collector_runs ADD COLUMN atc INTEGER NOT NULL DEFAULT 0`);
+  }
+  if (!names.has("atc_inserted")) {
+    db.exec(`ALTER TABLE collector_runs ADD COLUMN atc_inserted INTEGER NOT NULL DEFAULT 0`);
+  }
+  if (!names.has("pruned")) {
+    db.exec(`ALTER TABLE collector_runs ADD COLUMN pruned INTEGER NOT NULL DEFAULT 0`);
+  }
+  if (!names.has("atc_pruned")) {
+    db.exec(`ALTER TABLE collector_runs ADD COLUMN atc_pruned INTEGER NOT NULL DEFAULT 0`);
+  }
+}
+
+function addLegacyEventColumns(db) {
+  const columns = db.prepare(`PRAGMA table_info(events)`).all();
+  const names = new Set(columns.map((c) => c.name));
+
+  if (!names.has("start_ts")) {
+    db.exec(`ALTER TABLE events ADD COLUMN start_ts INTEGER`);
+  }
+  if (!names.has("end_ts")) {
+    db.exec(`ALTER TABLE events ADD COLUMN end_ts INTEGER`);
+  }
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "baseline",
+    // The schema as it stood when migrations were introduced. Databases created before then
+    // already have some or all of it, so every statement is IF NOT EXISTS.
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS snapshots (
+          ts INTEGER NOT NULL,
+          callsign TEXT NOT NULL,
+          cid INTEGER,
+          lat REAL NOT NULL,
+          lon REAL NOT NULL,
+          altitude INTEGER,
+          groundspeed INTEGER,
+          heading INTEGER,
+          airspace TEXT,
+          departure TEXT,
+          destination TEXT,
+          transponder TEXT,
+          fir TEXT,
+          ground_airport TEXT
+        );
+        CREATE TABLE IF NOT EXISTS snapshot_stats (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          min_ts INTEGER,
+          max_ts INTEGER,
+          row_count INTEGER NOT NULL DEFAULT 0
+        );
+        CREATE INDEX IF NOT EXISTS idx_snapshots_ts ON snapshots(ts);
+        CREATE INDEX IF NOT EXISTS idx_snapshots_callsign_ts ON snapshots(callsign, ts);
+
+        CREATE TABLE IF NOT EXISTS atc_snapshots (
+          ts INTEGER NOT NULL,
+          callsign TEXT NOT NULL,
+          cid INTEGER,
+          frequency TEXT,
+          facility INTEGER,
+          lat REAL,
+          lon REAL
+        );
+        CREATE INDEX IF NOT EXISTS idx_atc_snapshots_ts ON atc_snapshots(ts);
+        CREATE INDEX IF NOT EXISTS idx_atc_snapshots_callsign_ts ON atc_snapshots(callsign, ts);
+
+        CREATE TABLE IF NOT EXISTS events (
+          id INTEGER PRIMARY KEY,
+          type TEXT,
+          name TEXT NOT NULL,
+          link TEXT,
+          start_time TEXT NOT NULL,
+          end_time TEXT NOT NULL,
+          start_ts INTEGER,
+          end_ts INTEGER,
+          short_description TEXT,
+          description TEXT,
+          banner TEXT,
+          organisers_json TEXT,
+          airports_json TEXT,
+          routes_json TEXT,
+          last_seen_ts INTEGER NOT NULL,
+          created_ts INTEGER NOT NULL,
+          updated_ts INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_events_start_time ON events(start_time);
+        CREATE INDEX IF NOT EXISTS idx_events_end_time ON events(end_time);
+        CREATE INDEX IF NOT EXISTS idx_events_last_seen_ts ON events(last_seen_ts);
+
+        CREATE TABLE IF NOT EXISTS flight_plans (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          callsign TEXT NOT NULL,
+          cid INTEGER,
+          revision INTEGER NOT NULL,
+          feed_revision_id INTEGER,
+          filed_ts INTEGER NOT NULL,
+          first_seen_ts INTEGER NOT NULL,
+          last_seen_ts INTEGER NOT NULL,
+          flight_rules TEXT,
+          aircraft TEXT,
+          aircraft_faa TEXT,
+          aircraft_short TEXT,
+          departure TEXT,
+          arrival TEXT,
+          alternate TEXT,
+          cruise_altitude TEXT,
+          cruise_tas TEXT,
+          deptime TEXT,
+          enroute_time TEXT,
+          fuel_time TEXT,
+          route TEXT,
+          remarks TEXT,
+          fingerprint TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_flight_plans_callsign_cid_seen ON flight_plans(callsign, cid, first_seen_ts);
+        CREATE INDEX IF NOT EXISTS idx_flight_plans_last_seen_ts ON flight_plans(last_seen_ts);
+
+        CREATE TABLE IF NOT EXISTS flights (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          callsign TEXT NOT NULL,
+          cid INTEGER,
+          phase TEXT NOT NULL,
+          first_seen_ts INTEGER NOT NULL,
+          last_seen_ts INTEGER NOT NULL,
+          block_out_ts INTEGER,
+          takeoff_ts INTEGER,
+          landing_ts INTEGER,
+          block_in_ts INTEGER,
+          departure TEXT,
+          arrival TEXT,
+          filed_departure TEXT,
+          filed_arrival TEXT,
+          aircraft TEXT,
+          takeoff_lat REAL,
+          takeoff_lon REAL,
+          landing_lat REAL,
+          landing_lon REAL,
+          max_altitude INTEGER,
+          closed INTEGER NOT NULL DEFAULT 0
+        );
+        CREATE INDEX IF NOT EXISTS idx_flights_callsign_seen ON flights(callsign, first_seen_ts);
+        CREATE INDEX IF NOT EXISTS idx_flights_cid_seen ON flights(cid, first_seen_ts);
+        CREATE INDEX IF NOT EXISTS idx_flights_last_seen_ts ON flights(last_seen_ts);
+        CREATE INDEX IF NOT EXISTS idx_flights_departure ON flights(departure, takeoff_ts);
+        CREATE INDEX IF NOT EXISTS idx_flights_arrival ON flights(arrival, landing_ts);
+        CREATE INDEX IF NOT EXISTS idx_flights_open ON flights(closed) WHERE closed = 0;
+
+        CREATE TABLE IF NOT EXISTS prefiles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          callsign TEXT NOT NULL,
+          cid INTEGER,
+          filed_ts INTEGER NOT NULL,
+          last_seen_ts INTEGER NOT NULL,
+          last_updated_ts INTEGER,
+          connected_ts INTEGER,
+          flight_rules TEXT,
+          aircraft TEXT,
+          aircraft_faa TEXT,
+          aircraft_short TEXT,
+          departure TEXT,
+          arrival TEXT,
+          alternate TEXT,
+          cruise_altitude TEXT,
+          cruise_tas TEXT,
+          deptime TEXT,
+          enroute_time TEXT,
+          fuel_time TEXT,
+          route TEXT,
+          remarks TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_prefiles_callsign_cid_seen ON prefiles(callsign, cid, last_seen_ts);
+        CREATE INDEX IF NOT EXISTS idx_prefiles_last_seen_ts ON prefiles(last_seen_ts);
+        CREATE INDEX IF NOT EXISTS idx_prefiles_departure ON prefiles(departure, last_seen_ts);
+        CREATE INDEX IF NOT EXISTS idx_prefiles_arrival ON prefiles(arrival, last_seen_ts);
+
+        CREATE TABLE IF NOT EXISTS atc_sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          callsign TEXT NOT NULL,
+          cid INTEGER,
+          logon_time TEXT NOT NULL,
+          logon_ts INTEGER,
+          first_seen_ts INTEGER NOT NULL,
+          last_seen_ts INTEGER NOT NULL,
+          is_atis INTEGER NOT NULL DEFAULT 0,
+          frequency TEXT,
+          facility INTEGER,
+          rating INTEGER,
+          visual_range INTEGER
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_atc_sessions_key ON atc_sessions(callsign, cid, logon_time);
+        CREATE INDEX IF NOT EXISTS idx_atc_sessions_last_seen_ts ON atc_sessions(last_seen_ts);
+
+        CREATE TABLE IF NOT EXISTS atis_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id INTEGER NOT NULL,
+          first_seen_ts INTEGER NOT NULL,
+          last_seen_ts INTEGER NOT NULL,
+          atis_code TEXT,
+          text TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_atis_revisions_session ON atis_revisions(session_id, first_seen_ts);
+
+        CREATE TABLE IF NOT EXISTS alerts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          ts INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          callsign TEXT NOT NULL,
+          cid INTEGER,
+          code TEXT,
+          previous_code TEXT,
+          lat REAL,
+          lon REAL,
+          altitude INTEGER,
+          groundspeed INTEGER,
+          airspace TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_alerts_ts ON alerts(ts);
+        CREATE INDEX IF NOT EXISTS idx_alerts_callsign_ts ON alerts(callsign, ts);
+
+        CREATE TABLE IF NOT EXISTS airspace_crossings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          ts INTEGER NOT NULL,
+          callsign TEXT NOT NULL,
+          cid INTEGER,
+          from_airspace TEXT,
+          to_airspace TEXT,
+          from_fir TEXT,
+          to_fir TEXT,
+          lat REAL,
+          lon REAL,
+          altitude INTEGER,
+          groundspeed INTEGER,
+          heading INTEGER
+        );
+        CREATE INDEX IF NOT EXISTS idx_airspace_crossings_ts ON airspace_crossings(ts);
+        CREATE INDEX IF NOT EXISTS idx_airspace_crossings_callsign_ts ON airspace_crossings(callsign, ts);
+
+        CREATE TABLE IF NOT EXISTS collector_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          started_ts INTEGER NOT NULL,
+          feed_ts INTEGER,
+          source_status TEXT NOT NULL,
+          outcome TEXT NOT NULL,
+          duration_ms INTEGER,
+          pilots INTEGER NOT NULL DEFAULT 0,
+          inserted INTEGER NOT NULL DEFAULT 0,
+          atc INTEGER NOT NULL DEFAULT 0,
+          atc_inserted INTEGER NOT NULL DEFAULT 0,
+          pruned INTEGER NOT NULL DEFAULT 0,
+          atc_pruned INTEGER NOT NULL DEFAULT 0,
+          error TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_collector_runs_started_ts ON collector_runs(started_ts);
+
+        CREATE TABLE IF NOT EXISTS boundary_versions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          version TEXT NOT NULL,
+          first_ts INTEGER NOT NULL,
+          last_ts INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_boundary_versions_first_ts ON boundary_versions(first_ts);
+
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: "legacy_columns",
+    // Columns older servers added on boot by probing PRAGMA table_info; a pre-migration
+    // database can be missing any of them. No-op on databases created by the baseline.
+    up(db) {
+      addLegacySnapshotColumns(db);
+      addLegacyEventColumns(db);
+      addLegacyCollectorRunColumns(db);
+    }
+  },
+  {
+    version: 3,
+    name: "events_epoch_backfill",
+    // Epoch start/end for events stored before upsertEvents wrote them (previously redone on every boot)
+    up(db) {
+      db.exec(`
+        UPDATE events
+        SET
+          start_ts = CASE
+            WHEN start_time IS NOT NULL AND start_time <> '' THEN CAST(strftime('%s', start_time) AS INTEGER)
+            ELSE NULL
+          END,
+          end_ts = CASE
+            WHEN end_time IS NOT NULL AND end_time <> '' THEN CAST(strftime('%s', end_time) AS INTEGER)
+            ELSE NULL
+          END
+        WHERE start_ts IS NULL OR end_ts IS NULL
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: "compact_positions",
+    // Change-only pilot storage (SNAPSHOT_STORAGE=compact, see insertSnapshots in db.js).
+    // position_tracks holds a flight's static attributes for one unbroken stretch of polls,
+    // position_changes a row whenever its state moved past the thresholds, and snapshot_frames
+    // every poll stored this way. snapshot_rows puts these back together as one row per
+    // aircraft per poll, carrying the last change forward, alongside the full snapshots table;
+    // the read functions query it instead of snapshots.
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS snapshot_frames (
+          ts INTEGER PRIMARY KEY,
+          pilots INTEGER NOT NULL DEFAULT 0
+        );
+
+        CREATE TABLE IF NOT EXISTS position_tracks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          callsign TEXT NOT NULL,
+          cid INTEGER,
+          departure TEXT,
+          destination TEXT,
+          first_ts INTEGER NOT NULL,
+          last_ts INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_position_tracks_first_ts ON position_tracks(first_ts);
+        CREATE INDEX IF NOT EXISTS idx_position_tracks_last_ts ON position_tracks(last_ts);
+        CREATE INDEX IF NOT EXISTS idx_position_tracks_callsign_first_ts ON position_tracks(callsign, first_ts);
+
+        CREATE TABLE IF NOT EXISTS position_changes (
+          track_id INTEGER NOT NULL,
+          ts INTEGER NOT NULL,
+          lat REAL NOT NULL,
+          lon REAL NOT NULL,
+          altitude INTEGER,
+          groundspeed INTEGER,
+          heading INTEGER,
+          airspace TEXT,
+          fir TEXT,
+          transponder TEXT,
+          ground_airport TEXT,
+          PRIMARY KEY (track_id, ts)
+        ) WITHOUT ROWID;
+        CREATE INDEX IF NOT EXISTS idx_position_changes_ts ON position_changes(ts);
+
+        -- A track never spans more than 21600 seconds (COMPACT_TRACK_MAX_SECONDS in db.js), which
+        -- keeps the frame-to-track join on an index range; changing it needs a new migration.
+        CREATE VIEW IF NOT EXISTS snapshot_rows AS
+          SELECT ts, callsign, cid, lat, lon, altitude, groundspeed, heading, airspace, fir,
+            departure, destination, transponder, ground_airport
+          FROM snapshots
+          UNION ALL
+          SELECT f.ts, t.callsign, t.cid, c.lat, c.lon, c.altitude, c.groundspeed, c.heading,
+            c.airspace, c.fir, t.departure, t.destination, c.transponder, c.ground_airport
+          FROM snapshot_frames f
+          JOIN position_tracks t
+            ON t.first_ts BETWEEN f.ts - 21600 AND f.ts
+            AND t.last_ts >= f.ts
+          JOIN position_changes c
+            ON c.track_id = t.id
+            AND c.ts = (
+              SELECT MAX(p.ts) FROM position_changes p
+              WHERE p.track_id = t.id AND p.ts <= f.ts
+            );
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: "retention_watermarks",
+    // How far each downsampling resolution has got (downsampleSnapshotsBatch in db.js)
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS retention_watermarks (
+          step_seconds INTEGER PRIMARY KEY,
+          downsampled_until INTEGER NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: "cold_archive",
+    // archive_days records the days exported to ARCHIVE_DIR (archive.js). A day attached back
+    // for replay is imported into archive_snapshots / archive_atc_snapshots, which the
+    // snapshot_rows and atc_snapshot_rows views read alongside the live tables.
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS archive_days (
+          day TEXT PRIMARY KEY,
+          start_ts INTEGER NOT NULL,
+          end_ts INTEGER NOT NULL,
+          pilot_rows INTEGER NOT NULL DEFAULT 0,
+          atc_rows INTEGER NOT NULL DEFAULT 0,
+          pilots_file TEXT,
+          atc_file TEXT,
+          archived_ts INTEGER NOT NULL,
+          attached_ts INTEGER
+        );
+
+        CREATE TABLE IF NOT EXISTS archive_snapshots (
+          day TEXT NOT NULL,
+          ts INTEGER NOT NULL,
+          callsign TEXT NOT NULL,
+          cid INTEGER,
+          lat REAL NOT NULL,
+          lon REAL NOT NULL,
+          altitude INTEGER,
+          groundspeed INTEGER,
+          heading INTEGER,
+          airspace TEXT,
+          fir TEXT,
+          departure TEXT,
+          destination TEXT,
+          transponder TEXT,
+          ground_airport TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_archive_snapshots_ts ON archive_snapshots(ts);
+        CREATE INDEX IF NOT EXISTS idx_archive_snapshots_callsign_ts ON archive_snapshots(callsign, ts);
+        CREATE INDEX IF NOT EXISTS idx_archive_snapshots_day ON archive_snapshots(day);
+
+        CREATE TABLE IF NOT EXISTS archive_atc_snapshots (
+          day TEXT NOT NULL,
+          ts INTEGER NOT NULL,
+          callsign TEXT NOT NULL,
+          cid INTEGER,
+          frequency TEXT,
+          facility INTEGER,
+          lat REAL,
+          lon REAL
+        );
+        CREATE INDEX IF NOT EXISTS idx_archive_atc_snapshots_ts ON archive_atc_snapshots(ts);
+        CREATE INDEX IF NOT EXISTS idx_archive_atc_snapshots_day ON archive_atc_snapshots(day);
+
+        CREATE VIEW IF NOT EXISTS atc_snapshot_rows AS
+          SELECT ts, callsign, cid, frequency, facility, lat, lon FROM atc_snapshots
+          UNION ALL
+          SELECT ts, callsign, cid, frequency, facility, lat, lon FROM archive_atc_snapshots;
+
+        DROP VIEW IF EXISTS snapshot_rows;
+        CREATE VIEW snapshot_rows AS
+          SELECT ts, callsign, cid, lat, lon, altitude, groundspeed, heading, airspace, fir,
+            departure, destination, transponder, ground_airport
+          FROM snapshots
+          UNION ALL
+          SELECT f.ts, t.callsign, t.cid, c.lat, c.lon, c.altitude, c.groundspeed, c.heading,
+            c.airspace, c.fir, t.departure, t.destination, c.transponder, c.ground_airport
+          FROM snapshot_frames f
+          JOIN position_tracks t
+            ON t.first_ts BETWEEN f.ts - 21600 AND f.ts
+            AND t.last_ts >= f.ts
+          JOIN position_changes c
+            ON c.track_id = t.id
+            AND c.ts = (
+              SELECT MAX(p.ts) FROM position_changes p
+              WHERE p.track_id = t.id AND p.ts <= f.ts
+            )
+          UNION ALL
+          SELECT ts, callsign, cid, lat, lon, altitude, groundspeed, heading, airspace, fir,
+            departure, destination, transponder, ground_airport
+          FROM archive_snapshots;
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: "retention_pins",
+    // User-pinned windows kept past retention like event windows (protectedWindowSql in db.js)
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS retention_pins (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          start_ts INTEGER NOT NULL,
+          end_ts INTEGER NOT NULL,
+          airports_json TEXT,
+          region_json TEXT,
+          created_by TEXT,
+          note TEXT,
+          created_ts INTEGER NOT NULL,
+          updated_ts INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_retention_pins_start_ts ON retention_pins(start_ts);
+      `);
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_ts INTEGER NOT NULL,
+      duration_ms INTEGER
+    );
+  `);
+}
+
+function appliedMigrations(db) {
+  const exists = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'`).get();
+  if (!exists) return [];
+  return db.prepare(`
+    SELECT version, name, applied_ts AS appliedTs, duration_ms AS durationMs
+    FROM schema_migrations
+    ORDER BY version ASC
+  `).all();
+}
+
+// { currentVersion, latestVersion, applied, pending, unknown }: unknown lists versions recorded
+// in the database that this code doesn't have, i.e. it was migrated by a newer server.
+export function getMigrationStatus(db) {
+  const applied = appliedMigrations(db);
+  const appliedVersions = new Set(applied.map((m) => m.version));
+  const known = new Set(MIGRATIONS.map((m) => m.version));
+  return {
+    currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latestVersion: LATEST_SCHEMA_VERSION,
+    applied,
+    pending: MIGRATIONS.filter((m) => !appliedVersions.has(m.version)).map(({ version, name }) => ({ version, name })),
+    unknown: applied.filter((m) => !known.has(m.version))
+  };
+}
+
+export function assertSchemaNotNewer(status) {
+  if (status.unknown.length > 0) {
+    const versions = status.unknown.map((m) => `${m.version} (${m.name})`).join(", ");
+    throw new Error(
+      `database schema is at version ${status.currentVersion} but this server only knows up to ${status.latestVersion}`
+      + ` (unknown migrations: ${versions}); upgrade the server instead of running an older build against this database`
+    );
+  }
+}
+
+class DryRunRollback extends Error {}
+
+// Runs one migration and records it; false when another process applied it first. Must be
+// called inside a write transaction.
+function applyMigration(db, migration) {
+  const done = db.prepare(`SELECT 1 FROM schema_migrations WHERE version = ?`).get(migration.version);
+  if (done) return false;
+
+  const startedMs = Date.now();
+  try {
+    migration.up(db);
+  } catch (e) {
+    throw new Error(`migration ${migration.version} (${migration.name}) failed: ${e?.message || e}`);
+  }
+  db.prepare(`
+    INSERT INTO schema_migrations (version, name, applied_ts, duration_ms)
+    VALUES (?, ?, ?, ?)
+  `).run(migration.version, migration.name, Math.floor(Date.now() / 1000), Date.now() - startedMs);
+  return true;
+}
+
+// Applies pending migrations in order, each in its own transaction, and returns the ones
+// applied. dryRun runs all of them in one transaction that is then rolled back, which checks
+// them against the real data without changing it.
+export function runMigrations(db, { dryRun = false, log = console.log } = {}) {
+  const status = getMigrationStatus(db);
+  assertSchemaNotNewer(status);
+  const pending = MIGRATIONS.filter((m) => status.pending.some((p) => p.version === m.version));
+  const applied = [];
+
+  const runOne = (migration) => {
+    const startedMs = Date.now();
+    if (!applyMigration(db, migration)) return;
+    const durationMs = Date.now() - startedMs;
+    applied.push({ version: migration.version, name: migration.name, durationMs });
+    log(`[db] ${dryRun ? "dry run: applied and rolled back" : "applied"} migration ${migration.version} ${migration.name} (${durationMs} ms)`);
+  };
+
+  if (dryRun) {
+    try {
+      // schema_migrations is created inside the rolled-back transaction too
+      db.transaction(() => {
+        ensureMigrationsTable(db);
+        pending.forEach(runOne);
+        throw new DryRunRollback();
+      }).immediate();
+    } catch (e) {
+      if (!(e instanceof DryRunRollback)) throw e;
+    }
+    return applied;
+  }
+
+  ensureMigrationsTable(db);
+  for (const migration of pending) {
+    // BEGIN IMMEDIATE takes the write lock up front, so concurrent starters queue here
+    db.transaction(() => runOne(migration)).immediate();
+  }
+  return applied;
+}
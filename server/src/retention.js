@@ -0,0 +1,143 @@
+// Tiered retention for pilot and ATC positions, e.g. RETENTION_TIERS=48h:full,30d:1m,365d:5m
+// keeps every poll for 48 hours, one poll per minute up to 30 days and one per five minutes up
+// to a year, then deletes. Each tier is <max age>:<resolution>; ages and resolutions take s, m,
+// h or d suffixes, and "full" (only valid for the first tier) keeps every poll.
+//
+// Downsampling keeps the first stored poll of every resolution-sized bucket, so each coarser
+// resolution has to be a multiple of the one before: the polls a five-minute tier keeps are
+// ones the one-minute tier kept too. Event windows and retention pins are never downsampled,
+// like pruning.
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+function parseDuration(raw, name) {
+  const match = /^(\d+)([smhd]?)$/i.exec(raw.trim());
+  const seconds = match ? parseInt(match[1], 10) * UNIT_SECONDS[(match[2] || "s").toLowerCase()] : NaN;
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new Error(`invalid ${name} "${raw}" in RETENTION_TIERS (expected e.g. 90m, 48h or 30d)`);
+  }
+  return seconds;
+}
+
+// Returns [{ maxAgeSeconds, stepSeconds }] ordered by age, stepSeconds 0 meaning every poll.
+// Without RETENTION_TIERS this is the old behaviour: every poll for retentionHours (nothing
+// is deleted when that is 0).
+export function parseRetentionTiers(raw, retentionHours) {
+  if (typeof raw !== "string" || raw.trim().length === 0) {
+    return retentionHours > 0 ? [{ maxAgeSeconds: retentionHours * 3600, stepSeconds: 0 }] : [];
+  }
+
+  const tiers = raw.split(",").map((entry, index) => {
+    const [age, step = "full", ...rest] = entry.split(":");
+    if (rest.length > 0 || age.trim().length === 0) {
+      throw new Error(`invalid RETENTION_TIERS entry "${entry}" (expected <max age>:<resolution>)`);
+    }
+    const full = step.trim().toLowerCase() === "full";
+    if (full && index > 0) {
+      throw new Error(`RETENTION_TIERS entry "${entry}": only the first tier can keep full resolution`);
+    }
+    return {
+      maxAgeSeconds: parseDuration(age, "age"),
+      stepSeconds: full ? 0 : parseDuration(step, "resolution")
+    };
+  });
+
+  for (let i = 1; i < tiers.length; i += 1) {
+    const prev = tiers[i - 1];
+    const tier = tiers[i];
+    if (tier.maxAgeSeconds <= prev.maxAgeSeconds) {
+      throw new Error("RETENTION_TIERS ages must increase from tier to tier");
+    }
+    if (prev.stepSeconds > 0 && (tier.stepSeconds <= prev.stepSeconds || tier.stepSeconds % prev.stepSeconds !== 0)) {
+      throw new Error(`RETENTION_TIERS resolution ${tier.stepSeconds}s must be a larger multiple of ${prev.stepSeconds}s`);
+    }
+  }
+  return tiers;
+}
+
+// What one retention pass does at nowTs: downsample pilot and ATC polls older than the previous
+// tier's age to each tier's resolution (from the newest poll for a first tier that isn't full),
+// and delete polls older than the last tier. The other tables (flight plans, alerts, sessions,
+// ...) aren't tiered; they are deleted after retentionHours. A null cutoff keeps everything.
+export function retentionPlan(tiers, nowTs, retentionHours) {
+  const downsample = [];
+  tiers.forEach((tier, i) => {
+    if (tier.stepSeconds === 0) return;
+    downsample.push({ stepSeconds: tier.stepSeconds, untilTs: i === 0 ? nowTs : nowTs - tiers[i - 1].maxAgeSeconds });
+  });
+  const last = tiers[tiers.length - 1];
+  return {
+    downsample,
+    cutoffTs: last ? nowTs - last.maxAgeSeconds : null,
+    recordsCutoffTs: retentionHours > 0 ? nowTs - retentionHours * 3600 : null
+  };
+}
+
+// Retention pins keep a user-chosen window past retention, like an event window: every pilot,
+// ATC and flight row in it is kept, whatever the pin's airports and region (airspace names).
+// Those only say what to replay, the same way an event's airports do.
+
+const MAX_PIN_SECONDS = 7 * 86400;
+const PIN_AIRPORT_PATTERN = /^[A-Z0-9]{3,4}$/;
+
+function parsePinTime(raw) {
+  if (typeof raw === "number") return Number.isInteger(raw) ? raw : NaN;
+  if (typeof raw !== "string" || raw.trim().length === 0) return NaN;
+  const value = raw.trim();
+  return /^\d+$/.test(value) ? parseInt(value, 10) : Math.floor(Date.parse(value) / 1000);
+}
+
+function parsePinList(raw) {
+  if (raw == null) return [];
+  const items = Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split(/[\s,;]+/) : null;
+  if (!items || items.some((item) => typeof item !== "string")) return null;
+  return Array.from(new Set(items.map((item) => item.trim()).filter((item) => item.length > 0)));
+}
+
+function optionalText(raw, maxLength) {
+  if (raw == null) return null;
+  if (typeof raw !== "string" || raw.trim().length > maxLength) return undefined;
+  return raw.trim().length > 0 ? raw.trim() : null;
+}
+
+// Validates a pin from a request body: { ok: true, pin } or { ok: false, error, received } for a
+// 400. Times are unix seconds or ISO strings; airports and region are arrays or comma lists.
+export function parseRetentionPin(body) {
+  const input = body && typeof body === "object" ? body : {};
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  if (name.length === 0 || name.length > 120) {
+    return { ok: false, error: "name is required (at most 120 characters)", received: input.name };
+  }
+
+  const startTs = parsePinTime(input.startTs);
+  const endTs = parsePinTime(input.endTs);
+  if (!Number.isFinite(startTs) || !Number.isFinite(endTs)) {
+    return { ok: false, error: "startTs and endTs must be unix seconds or ISO times", received: { startTs: input.startTs, endTs: input.endTs } };
+  }
+  if (endTs <= startTs) {
+    return { ok: false, error: "endTs must be after startTs", received: { startTs, endTs } };
+  }
+  if (endTs - startTs > MAX_PIN_SECONDS) {
+    return { ok: false, error: "a pin can cover at most 7 days", maxSeconds: MAX_PIN_SECONDS, received: { startTs, endTs } };
+  }
+
+  const airports = parsePinList(input.airports)?.map((icao) => icao.toUpperCase());
+  if (!airports || airports.some((icao) => !PIN_AIRPORT_PATTERN.test(icao))) {
+    return { ok: false, error: "airports must be ICAO codes", received: input.airports };
+  }
+  const region = parsePinList(input.region);
+  if (!region || region.length > 50 || region.some((airspace) => airspace.length > 64)) {
+    return { ok: false, error: "region must be a list of airspace names", received: input.region };
+  }
+
+  const createdBy = optionalText(input.createdBy, 80);
+  if (createdBy === undefined) {
+    return { ok: false, error: "createdBy must be text (at most 80 characters)", received: input.createdBy };
+  }
+  const note = optionalText(input.note, 2000);
+  if (note === undefined) {
+    return { ok: false, error: "note must be text (at most 2000 characters)", received: input.note };
+  }
+
+  return { ok: true, pin: { name, startTs, endTs, airports, region, createdBy, note } };
+}
@@ -0,0 +1,84 @@
+// Douglas-Peucker simplification for stored tracks, in three dimensions: a point is needed
+// when it lies more than toleranceNm off the straight line between the kept points around it,
+// or its altitude differs by more than altitudeToleranceFt from the altitude interpolated (by
+// time) along that line. Turn points, holds and level-offs therefore survive, and every kept
+// vertex is an actual stored position rather than an average.
+//
+// Splitting always refines the segment with the largest error first, so capping the result
+// at maxPoints keeps the most significant vertices.
+
+const NM_PER_DEGREE = 60;
+
+// Shortest signed longitude difference b - a, so segments across the antimeridian stay short
+function lonDelta(a, b) {
+  return ((((b - a + 180) % 360) + 360) % 360) - 180;
+}
+
+// Distance in NM from p to the segment a-b, on a local flat projection around a
+function crossTrackNm(p, a, b) {
+  const cosLat = Math.cos((a.lat * Math.PI) / 180);
+  const bx = lonDelta(a.lon, b.lon) * cosLat * NM_PER_DEGREE;
+  const by = (b.lat - a.lat) * NM_PER_DEGREE;
+  const px = lonDelta(a.lon, p.lon) * cosLat * NM_PER_DEGREE;
+  const py = (p.lat - a.lat) * NM_PER_DEGREE;
+
+  const lengthSq = bx * bx + by * by;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, (px * bx + py * by) / lengthSq)) : 0;
+  return Math.hypot(px - t * bx, py - t * by);
+}
+
+function altitudeDeviationFt(p, a, b) {
+  if (!Number.isFinite(p.altitude) || !Number.isFinite(a.altitude) || !Number.isFinite(b.altitude)) return 0;
+  const span = b.ts - a.ts;
+  const f = span > 0 ? (p.ts - a.ts) / span : 0;
+  return Math.abs(p.altitude - (a.altitude + (b.altitude - a.altitude) * f));
+}
+
+// Largest tolerance-normalised error strictly between first and last (> 1 means out of tolerance)
+function worstPoint(points, first, last, toleranceNm, altitudeToleranceFt) {
+  let index = -1;
+  let error = 0;
+  for (let i = first + 1; i < last; i += 1) {
+    const lateral = crossTrackNm(points[i], points[first], points[last]) / toleranceNm;
+    const vertical = altitudeDeviationFt(points[i], points[first], points[last]) / altitudeToleranceFt;
+    const e = Math.max(lateral, vertical);
+    if (e > error) {
+      error = e;
+      index = i;
+    }
+  }
+  return { first, last, index, error };
+}
+
+// points: track rows ordered by ts ({ ts, lat, lon, altitude, ... }); returns the kept rows.
+export function simplifyTrack(points, { toleranceNm = 0.5, altitudeToleranceFt = 500, maxPoints = 1000 } = {}) {
+  const rows = (points || []).filter((p) => Number.isFinite(p?.lat) && Number.isFinite(p?.lon));
+  const limit = Math.max(2, Math.floor(maxPoints));
+  if (rows.length <= 2) return rows;
+
+  const keep = new Uint8Array(rows.length);
+  keep[0] = 1;
+  keep[rows.length - 1] = 1;
+  let kept = 2;
+
+  const segments = [worstPoint(rows, 0, rows.length - 1, toleranceNm, altitudeToleranceFt)];
+  while (kept < limit) {
+    let worst = -1;
+    for (let i = 0; i < segments.length; i += 1) {
+      if (segments[i].error > 1 && (worst === -1 || segments[i].error > segments[worst].error)) worst = i;
+    }
+    if (worst === -1) break;
+
+    const { first, last, index } = segments[worst];
+    keep[index] = 1;
+    kept += 1;
+    segments.splice(
+      worst,
+      1,
+      worstPoint(rows, first, index, toleranceNm, altitudeToleranceFt),
+      worstPoint(rows, index, last, toleranceNm, altitudeToleranceFt)
+    );
+  }
+
+  return rows.filter((_, i) => keep[i] === 1);
+}